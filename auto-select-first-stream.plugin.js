@@ -1,13 +1,15 @@
 /**
  * @name Auto-Select First Stream Plugin
- * @description Automatically selects and plays the first available stream when the streams list appears.
- * @version 1.3.0
+ * @description Automatically plays the best stream for the auto-play policy once the streams list settles.
+ * @version 1.4.0
  * @author EZOBOSS
+ * @dependencies stream-ranking.plugin.js, release-parser.plugin.js, stream-affinity.plugin.js, settings-toggle.plugin.js, dom-observer.plugin.js, selector-registry.plugin.js, plugin-host.plugin.js, logger.plugin.js
  */
 
 class AutoSelectFirstStream {
     constructor() {
-        this.observer = null;
+        this.log = window.Logger.create("AutoSelectFirstStream");
+        this.unobserve = null;
         this.processedContainers = new WeakSet();
         this.lastAutoPlayedId = null;
 
@@ -17,15 +19,27 @@ class AutoSelectFirstStream {
         );
         this.isEnabled = settings.auto_play_first_stream !== false;
 
-        this.STREAMS_CONTAINER_SELECTOR = '[class*="streams-container-bbSc4"]';
-        this.STREAM_ITEM_SELECTOR = 'a[class*="stream-container-"]';
+        this.STREAMS_CONTAINER_SELECTOR =
+            window.SelectorRegistry.get("streamsContainer");
+        this.STREAM_ITEM_SELECTOR = window.SelectorRegistry.get("streamItem");
         this.toggleButton = null;
 
+        // Settling window: wait for slower addons before choosing
+        this.MAX_SETTLE_TIME = 10000;
+        this.settleTimer = null;
+        this.settleStartedAt = 0;
+        this.lastStreamCount = 0;
+
+        this.countdownTimer = null;
+        this.toast = null;
+        this.toastText = null;
+
         this.init();
     }
 
     init() {
-        console.log("[AutoSelectFirstStream] Initializing...");
+        this.log.info("Initializing...");
+        this.registerSettings();
         this.injectStyles();
         this.observeHashChanges();
         this.handleRouteChange();
@@ -41,34 +55,216 @@ class AutoSelectFirstStream {
         document.head.appendChild(link);
     }
 
-    startObserving() {
-        if (this.observer) return;
+    registerSettings() {
+        const settings = window.StremioSettings;
+        if (!settings?.register) return;
+
+        settings.register("auto_play", {
+            title: "Auto-play policy",
+            settings: [
+                {
+                    key: "preferred_resolution",
+                    type: "select",
+                    label: "Preferred resolution",
+                    default: "any",
+                    options: [
+                        { value: "any", label: "Any" },
+                        { value: "2160", label: "4K" },
+                        { value: "1080", label: "1080p" },
+                        { value: "720", label: "720p" },
+                    ],
+                },
+                {
+                    key: "max_size",
+                    type: "number",
+                    label: "Max size (0 = no limit)",
+                    default: 0,
+                    min: 0,
+                    max: 200,
+                    unit: "GB",
+                },
+                {
+                    key: "required_tags",
+                    type: "text",
+                    label: "Required tags (comma separated)",
+                    default: "",
+                },
+                {
+                    key: "banned_keywords",
+                    type: "text",
+                    label: "Banned keywords (comma separated)",
+                    default: "HDCAM, CAMRip, TELESYNC, HDTS",
+                },
+                {
+                    key: "preferred_addons",
+                    type: "text",
+                    label: "Preferred addons (comma separated)",
+                    default: "",
+                },
+                {
+                    key: "settle_delay",
+                    type: "number",
+                    label: "Wait for more streams",
+                    default: 2,
+                    min: 0,
+                    max: 10,
+                    unit: "s",
+                },
+                {
+                    key: "countdown",
+                    type: "number",
+                    label: "Countdown before playing",
+                    default: 5,
+                    min: 0,
+                    max: 15,
+                    unit: "s",
+                },
+            ],
+        });
+    }
+
+    getPolicy() {
+        const values = window.StremioSettings?.getAll("auto_play") || {};
+        const list = (text) =>
+            (text || "")
+                .split(",")
+                .map((item) => item.trim())
+                .filter(Boolean);
+
+        return {
+            resolution:
+                values.preferred_resolution &&
+                values.preferred_resolution !== "any"
+                    ? Number(values.preferred_resolution)
+                    : 0,
+            maxSizeGB: values.max_size || 0,
+            requiredTags: list(values.required_tags).map((t) =>
+                t.toUpperCase()
+            ),
+            bannedKeywords: list(values.banned_keywords),
+            preferredAddons: list(values.preferred_addons),
+            settleDelay: (values.settle_delay ?? 2) * 1000,
+            countdown: values.countdown ?? 5,
+        };
+    }
+
+    /**
+     * Hard limits of the policy; streams failing them are never auto-played
+     */
+    passesPolicy(record, policy) {
+        if (policy.maxSizeGB && record.sizeGB > policy.maxSizeGB) return false;
 
-        this.observer = new MutationObserver((mutations) => {
-            this.handleMutations();
+        const labels = new Set(
+            [...record.tags, ...record.hdr, record.source, record.codec].map(
+                (label) => label.toUpperCase()
+            )
+        );
+        if (policy.requiredTags.some((tag) => !labels.has(tag))) return false;
+
+        // Not \b: keywords like "HDR10+" or ".CAM" start or end with
+        // punctuation, which only needs to match as written on that side
+        return !policy.bannedKeywords.some((keyword) => {
+            const escaped = keyword.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+            const before = /^[A-Za-z0-9]/.test(keyword)
+                ? "(?<![A-Za-z0-9])"
+                : "";
+            const after = /[A-Za-z0-9]$/.test(keyword) ? "(?![A-Za-z0-9])" : "";
+            return new RegExp(`${before}${escaped}${after}`, "i").test(
+                record.text
+            );
         });
+    }
+
+    /**
+     * The active ranking profile with the policy's preferences on top,
+     * strong enough to decide between otherwise similar streams
+     */
+    buildPolicyProfile(policy, hasAffinity) {
+        const profile = window.StreamRanking.getActiveProfile();
+        const rules = [...profile.rules];
+
+        // The release picked for the previous episode wins when available
+        if (hasAffinity) rules.push(StreamAffinity.RULE);
+
+        if (policy.resolution) {
+            rules.push({
+                label: "Preferred resolution",
+                field: "resolution",
+                op: "eq",
+                value: policy.resolution,
+                weight: 500,
+            });
+        }
+        if (policy.preferredAddons.length) {
+            rules.push({
+                label: "Preferred addon",
+                field: "addon",
+                op: "oneOf",
+                value: policy.preferredAddons,
+                weight: 200,
+            });
+        }
+        return { ...profile, name: `${profile.name} (auto-play)`, rules };
+    }
 
-        this.observer.observe(document.body, {
-            childList: true,
-            subtree: true,
+    pickBestStream(streams, contentId, seriesId = "") {
+        const policy = this.getPolicy();
+        const video = window.ReleaseParser.parseVideoId(
+            decodeURIComponent(contentId),
+            decodeURIComponent(seriesId)
+        );
+
+        const hasAffinity = window.StreamAffinity.markStreams(streams);
+        const candidates = streams.filter((stream) => {
+            // Hidden by the stream list's filter bar
+            if (stream.classList.contains("stream-filtered-out")) return false;
+
+            const record = window.ReleaseParser.forElement(stream);
+            record.episodeMatch = video
+                ? window.ReleaseParser.coversEpisode(
+                      record,
+                      video.season,
+                      video.episode
+                  )
+                : false;
+            return this.passesPolicy(record, policy);
+        });
+        if (candidates.length === 0) return null;
+
+        const [best] = window.StreamRanking.rank(
+            candidates,
+            (stream) => window.ReleaseParser.forElement(stream),
+            this.buildPolicyProfile(policy, hasAffinity)
+        );
+        return best.item;
+    }
+
+    startObserving() {
+        if (this.unobserve) return;
+
+        // New streams (or a new list) restart the settle window
+        this.unobserve = window.DomObserver.observe({
+            id: "auto-select-first-stream",
+            selector: `${this.STREAMS_CONTAINER_SELECTOR}, ${this.STREAM_ITEM_SELECTOR}`,
+            added: () => this.handleMutations(),
         });
     }
 
     stopObserving() {
-        if (this.observer) {
-            this.observer.disconnect();
-            this.observer = null;
+        if (this.unobserve) {
+            this.unobserve();
+            this.unobserve = null;
         }
     }
 
     observeHashChanges() {
-        window.addEventListener("hashchange", () => {
-            this.handleRouteChange();
-        });
+        this.onHashChange = () => this.handleRouteChange();
+        window.addEventListener("hashchange", this.onHashChange);
     }
 
     handleRouteChange() {
         const hash = window.location.hash;
+        this.cancelPending();
         if (this.isDetailPage(hash)) {
             this.processedContainers = new WeakSet();
             this.createToggleButton();
@@ -91,6 +287,11 @@ class AutoSelectFirstStream {
         return parts[parts.length - 1];
     }
 
+    getSeriesId(hash) {
+        const parts = hash.split("/");
+        return parts[parts.length - 2] || "";
+    }
+
     shouldAutoPlay(hash) {
         if (!this.isEnabled) return false;
         if (hash.includes("?season=")) return false;
@@ -112,29 +313,131 @@ class AutoSelectFirstStream {
         if (!this.shouldAutoPlay(hash)) return;
 
         const currentId = this.getContentId(hash);
-        if (this.lastAutoPlayedId === currentId) return;
+        if (this.lastAutoPlayedId === currentId || this.countdownTimer) return;
 
         const streamsContainer = document.querySelector(
             this.STREAMS_CONTAINER_SELECTOR
         );
+        if (!streamsContainer || this.processedContainers.has(streamsContainer))
+            return;
 
+        const streamCount = streamsContainer.querySelectorAll(
+            this.STREAM_ITEM_SELECTOR
+        ).length;
+        if (streamCount === 0 || streamCount === this.lastStreamCount) return;
+        this.lastStreamCount = streamCount;
+
+        // Each new batch of streams restarts the window, up to MAX_SETTLE_TIME
+        if (!this.settleStartedAt) this.settleStartedAt = Date.now();
+        const remaining =
+            this.MAX_SETTLE_TIME - (Date.now() - this.settleStartedAt);
+
+        clearTimeout(this.settleTimer);
+        this.settleTimer = setTimeout(
+            () => this.selectStream(streamsContainer, currentId),
+            Math.max(0, Math.min(this.getPolicy().settleDelay, remaining))
+        );
+    }
+
+    selectStream(streamsContainer, currentId) {
+        this.settleTimer = null;
         if (
-            streamsContainer &&
-            !this.processedContainers.has(streamsContainer)
-        ) {
-            const firstStream = streamsContainer.querySelector(
-                this.STREAM_ITEM_SELECTOR
+            !this.isEnabled ||
+            this.getContentId(window.location.hash) !== currentId
+        )
+            return;
+
+        this.processedContainers.add(streamsContainer);
+        this.lastAutoPlayedId = currentId;
+
+        const streams = Array.from(
+            streamsContainer.querySelectorAll(this.STREAM_ITEM_SELECTOR)
+        );
+        const stream = this.pickBestStream(
+            streams,
+            currentId,
+            this.getSeriesId(window.location.hash)
+        );
+
+        if (!stream) {
+            this.log.info(
+                `No stream of ${streams.length} matches the auto-play policy`
             );
+            this.showToast("No stream matches the auto-play policy");
+            setTimeout(() => this.removeToast(), 4000);
+            return;
+        }
+
+        const record = window.ReleaseParser.forElement(stream);
+        this.log.info(`Auto-selecting "${record.name}" for ${currentId}...`);
+        this.startCountdown(stream, record);
+    }
+
+    // ─── Countdown toast ────────────────────────────────
 
-            if (firstStream) {
-                console.log(
-                    `[AutoSelectFirstStream] Auto-selecting first stream for ${currentId}...`
-                );
-                this.processedContainers.add(streamsContainer);
-                this.lastAutoPlayedId = currentId;
-                firstStream.click();
+    startCountdown(stream, record) {
+        let secondsLeft = this.getPolicy().countdown;
+        if (secondsLeft <= 0) {
+            stream.click();
+            return;
+        }
+
+        const name = record.name || record.addon || "the best stream";
+        this.showToast(`Playing ${name} in ${secondsLeft}s`, true);
+
+        this.countdownTimer = setInterval(() => {
+            secondsLeft--;
+            if (secondsLeft > 0) {
+                this.toastText.textContent = `Playing ${name} in ${secondsLeft}s`;
+                return;
             }
+            this.cancelCountdown();
+            stream.click();
+        }, 1000);
+    }
+
+    cancelCountdown() {
+        clearInterval(this.countdownTimer);
+        this.countdownTimer = null;
+        this.removeToast();
+    }
+
+    cancelPending() {
+        clearTimeout(this.settleTimer);
+        this.settleTimer = null;
+        this.settleStartedAt = 0;
+        this.lastStreamCount = 0;
+        this.cancelCountdown();
+    }
+
+    showToast(text, cancellable = false) {
+        this.removeToast();
+
+        this.toast = document.createElement("div");
+        this.toast.className = "auto-select-toast";
+        this.toastText = document.createElement("span");
+        this.toastText.className = "auto-select-toast-text";
+        this.toastText.textContent = text;
+        this.toast.appendChild(this.toastText);
+
+        if (cancellable) {
+            const cancel = document.createElement("button");
+            cancel.className = "auto-select-toast-cancel";
+            cancel.textContent = "Cancel";
+            cancel.addEventListener("click", () => {
+                this.log.info("Auto-play cancelled");
+                this.cancelCountdown();
+            });
+            this.toast.appendChild(cancel);
         }
+
+        document.body.appendChild(this.toast);
+    }
+
+    removeToast() {
+        this.toast?.remove();
+        this.toast = null;
+        this.toastText = null;
     }
 
     createToggleButton() {
@@ -165,6 +468,8 @@ class AutoSelectFirstStream {
             if (this.isEnabled) {
                 // If turning on, try to trigger immediately if container is present
                 this.handleMutations();
+            } else {
+                this.cancelPending();
             }
         });
 
@@ -187,20 +492,25 @@ class AutoSelectFirstStream {
     }
 
     destroy() {
+        window.removeEventListener("hashchange", this.onHashChange);
+        this.cancelPending();
         this.stopObserving();
         this.removeToggleButton();
+        document.getElementById("auto-select-styles")?.remove();
         this.processedContainers = new WeakSet();
         this.lastAutoPlayedId = null;
     }
 }
 
 // Initialize the plugin
-if (window.requestIdleCallback) {
-    window.requestIdleCallback(() => {
-        window.autoSelectFirstStream = new AutoSelectFirstStream();
+requestIdleCallback(() => {
+    window.PluginHost.register({
+        id: "auto-select-first-stream",
+        start: () =>
+            (window.autoSelectFirstStream = new AutoSelectFirstStream()),
+        stop: (plugin) => {
+            plugin.destroy();
+            window.autoSelectFirstStream = null;
+        },
     });
-} else {
-    setTimeout(() => {
-        window.autoSelectFirstStream = new AutoSelectFirstStream();
-    }, 1);
-}
+});
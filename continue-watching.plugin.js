@@ -3,7 +3,7 @@
  * @description Adds a quick continue watching button with a dropdown for recent series
  * @version 1.2.0
  * @author EZOBOSS
- * @dependencies metadatadb.plugin.js
+ * @dependencies metadatadb.plugin.js, watch-state.plugin.js, plugin-host.plugin.js, logger.plugin.js
  */
 
 (function () {
@@ -14,16 +14,19 @@
         };
 
         constructor() {
+            this.log = window.Logger.create("ContinueWatching");
             this.metadataDB = window.MetadataDB;
+            this.watchState = window.WatchState;
             this.history = this.loadHistory();
             this.init();
         }
 
         init() {
+            this.registerSettings();
             this.renderContainer();
 
             // Check on navigation
-            window.addEventListener("hashchange", (e) => {
+            this.onHashChange = (e) => {
                 const oldHash = e.oldURL ? new URL(e.oldURL).hash : "";
                 const newHash = window.location.hash;
 
@@ -33,30 +36,78 @@
                     !newHash.includes("/player/")
                 ) {
                     // Give a small delay for localStorage to be updated by the player
-                    setTimeout(() => {
+                    this.playerExitTimer = setTimeout(() => {
                         this.checkLastVideo();
                     }, 1000);
                 }
 
                 this.checkVisibility();
                 this.updateList();
-            });
+            };
+            window.addEventListener("hashchange", this.onHashChange);
 
             // Listen for storage changes (sync across tabs)
-            window.addEventListener("storage", (e) => {
+            this.onStorage = (e) => {
                 if (e.key === ContinueWatchingPlugin.CONFIG.HISTORY_KEY) {
                     this.history = this.loadHistory();
                     this.updateList();
                 }
-                if (e.key === "library_recent") {
-                    this.updateList();
-                }
-            });
+            };
+            window.addEventListener("storage", this.onStorage);
+
+            // Library changes, from the player or other tabs
+            this.unsubscribeWatchState = this.watchState.onChange(() =>
+                this.updateList(),
+            );
 
             this.checkVisibility();
             this.updateList();
         }
 
+        registerSettings() {
+            this.maxHistory = ContinueWatchingPlugin.CONFIG.MAX_HISTORY;
+
+            const settings = window.StremioSettings;
+            if (!settings?.register) return;
+
+            settings.register("continue_watching", {
+                title: "Continue watching",
+                settings: [
+                    {
+                        key: "max_history",
+                        type: "number",
+                        label: "Series to remember",
+                        default: ContinueWatchingPlugin.CONFIG.MAX_HISTORY,
+                        min: 1,
+                        max: 30,
+                    },
+                ],
+            });
+
+            this.maxHistory = settings.get("continue_watching", "max_history");
+            this.unsubscribeSettings = settings.onChange(
+                "continue_watching",
+                (key, value) => {
+                    if (key !== "max_history") return;
+                    this.maxHistory = value;
+                    if (this.history.length > value) {
+                        this.history.length = value;
+                        this.saveHistory();
+                        this.updateList();
+                    }
+                },
+            );
+        }
+
+        destroy() {
+            window.removeEventListener("hashchange", this.onHashChange);
+            window.removeEventListener("storage", this.onStorage);
+            clearTimeout(this.playerExitTimer);
+            this.unsubscribeWatchState();
+            this.unsubscribeSettings?.();
+            document.querySelector(".continue-watching-container")?.remove();
+        }
+
         loadHistory() {
             try {
                 const raw = localStorage.getItem(
@@ -75,7 +126,7 @@
                     JSON.stringify(this.history),
                 );
             } catch (e) {
-                console.warn("Failed to save continue watching history", e);
+                this.log.warn("Failed to save continue watching history", e);
             }
         }
 
@@ -123,12 +174,8 @@
                     this.history.unshift(lastId);
 
                     // Limit size
-                    if (
-                        this.history.length >
-                        ContinueWatchingPlugin.CONFIG.MAX_HISTORY
-                    ) {
-                        this.history.length =
-                            ContinueWatchingPlugin.CONFIG.MAX_HISTORY;
+                    if (this.history.length > this.maxHistory) {
+                        this.history.length = this.maxHistory;
                     }
 
                     this.saveHistory();
@@ -150,38 +197,15 @@
                 return a.episode - b.episode;
             });
 
-            let latestWatched = null;
-            let lastWatchedTime = null;
-            let timeOffset = 0;
-            let duration = 0;
-
-            // Try to use library item state first
-            if (libItem && libItem.state) {
-                if (libItem.state.video_id) {
-                    // watched format: "tt123:1:2:..."
-                    const parts = libItem.state.video_id.split(":");
-                    const season = parseInt(parts[1]);
-                    const episode = parseInt(parts[2]);
-
-                    if (!isNaN(season) && !isNaN(episode)) {
-                        latestWatched = { season, episode };
-                        lastWatchedTime = libItem.state.lastWatched;
-                    }
-                }
-
-                timeOffset = libItem.state.timeOffset || 0;
-                duration = libItem.state.duration || 0;
-            }
-
-            // Fallback to MetadataDB watched status if library lookup failed
-            if (!latestWatched) {
-                for (let i = sortedVideos.length - 1; i >= 0; i--) {
-                    if (sortedVideos[i].watched === true) {
-                        latestWatched = sortedVideos[i];
-                        break;
-                    }
-                }
-            }
+            // The episode last opened in the player, else the last one watched
+            const current = this.watchState.getCurrent(seriesId);
+            const latestWatched =
+                current || this.watchState.getLastCompleted(seriesId);
+            const lastWatchedTime = current?.lastWatched
+                ? new Date(current.lastWatched).toISOString()
+                : null;
+            let timeOffset = current?.timeOffset || 0;
+            let duration = current?.duration || 0;
 
             if (!latestWatched) return null;
 
@@ -278,6 +302,7 @@
             if (this.history.length === 0) return [];
 
             await this.metadataDB.initPromise;
+            await this.watchState.sync();
             const library = this.getLibraryRecent();
 
             const list = [];
@@ -602,23 +627,9 @@
 
     // Initialize
     requestIdleCallback(() => {
-        if (
-            window.MetadataDB &&
-            window.StremioSettings &&
-            window.StremioSettings.isEnabled("dynamic_island")
-        ) {
-            new ContinueWatchingPlugin();
-        } /* else {
-            const checkInterval = setInterval(() => {
-                if (
-                    window.MetadataDB &&
-                    window.StremioSettings &&
-                    window.StremioSettings.isEnabled("dynamic_island")
-                ) {
-                    clearInterval(checkInterval);
-                    new ContinueWatchingPlugin();
-                }
-            }, 100);
-        } */
+        window.PluginHost.register({
+            id: "continue-watching",
+            start: () => new ContinueWatchingPlugin(),
+        });
     });
 })();
@@ -0,0 +1,467 @@
+/**
+ * @name Diagnostics
+ * @description Hidden overlay (Ctrl+Shift+D) with plugin status, captured errors, cache and storage stats, and a copyable report for bug reports
+ * @version 1.0.0
+ * @author EZOBOSS
+ * @dependencies plugin-host.plugin.js, metadatadb.plugin.js, http-client.plugin.js, dom-observer.plugin.js, selector-registry.plugin.js, logger.plugin.js
+ */
+
+class Diagnostics {
+    static CONFIG = {
+        PANEL_ID: "lg-diagnostics",
+        MAX_ERRORS: 50,
+        REFRESH_INTERVAL: 2000, // While the overlay is open
+        SLOWEST_HANDLERS: 5,
+        RECENT_LOGS: 20, // Shown in the overlay, the report has the whole buffer
+    };
+
+    constructor() {
+        this.errors = []; // { time, source, plugin, message, stack }, oldest first
+        this.panel = null;
+        this.refreshTimer = null;
+        this.isOpen = false;
+
+        // Errors are captured from the start, the overlay is built on demand
+        this.captureErrors();
+        document.addEventListener("keydown", (e) => {
+            if (e.ctrlKey && e.shiftKey && e.code === "KeyD") {
+                e.preventDefault();
+                this.toggle();
+            }
+        });
+    }
+
+    // ─── Error capture ──────────────────────────────────
+
+    captureErrors() {
+        // Plugins catch their own failures and report them here
+        const consoleError = console.error.bind(console);
+        console.error = (...args) => {
+            this.recordError("console", args);
+            consoleError(...args);
+        };
+
+        window.addEventListener("error", (e) => {
+            this.recordError("uncaught", [e.error || e.message]);
+        });
+        window.addEventListener("unhandledrejection", (e) => {
+            this.recordError("unhandled rejection", [e.reason]);
+        });
+    }
+
+    recordError(source, args) {
+        try {
+            const error = args.find((arg) => arg instanceof Error);
+            const message = args
+                .map((arg) => {
+                    if (arg instanceof Error)
+                        return `${arg.name}: ${arg.message}`;
+                    if (typeof arg === "string") return arg;
+                    try {
+                        return JSON.stringify(arg);
+                    } catch {
+                        return String(arg);
+                    }
+                })
+                .join(" ");
+
+            this.errors.push({
+                time: new Date().toISOString(),
+                source,
+                plugin: message.match(/^\[([^\]]+)\]/)?.[1] || null,
+                message,
+                // Without an Error, where it was reported from
+                stack:
+                    error?.stack ||
+                    new Error().stack?.split("\n").slice(3).join("\n") ||
+                    null,
+            });
+            if (this.errors.length > Diagnostics.CONFIG.MAX_ERRORS) {
+                this.errors.shift();
+            }
+        } catch {
+            // Never let diagnostics break the caller's error handling
+        }
+    }
+
+    clearErrors() {
+        this.errors = [];
+    }
+
+    // ─── Collecting ─────────────────────────────────────
+
+    /**
+     * Bytes per localStorage key prefix (the part before the first "_" or
+     * ":"), largest first; strings are stored as UTF-16
+     */
+    getStorageUsage() {
+        const prefixes = new Map();
+        let total = 0;
+
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            const bytes =
+                (key.length + (localStorage.getItem(key) || "").length) * 2;
+            const prefix = key.split(/[_:]/)[0];
+            const entry = prefixes.get(prefix) || { prefix, keys: 0, bytes: 0 };
+            entry.keys++;
+            entry.bytes += bytes;
+            prefixes.set(prefix, entry);
+            total += bytes;
+        }
+
+        return {
+            total,
+            prefixes: [...prefixes.values()].sort((a, b) => b.bytes - a.bytes),
+        };
+    }
+
+    /**
+     * Everything the overlay shows, as one JSON-friendly object
+     */
+    async getReport() {
+        const section = async (name, read) => {
+            try {
+                return await read();
+            } catch (e) {
+                return { error: `${name} unavailable: ${e.message}` };
+            }
+        };
+
+        return {
+            generatedAt: new Date().toISOString(),
+            userAgent: navigator.userAgent,
+            route: window.location.hash || "#/",
+            plugins: await section("Plugin host", () =>
+                window.PluginHost.getStatus(),
+            ),
+            errors: [...this.errors].reverse(),
+            logs: await section("Logger", () => window.Logger.getEntries()),
+            metadataDB: await section("MetadataDB", () =>
+                window.MetadataDB.getStats(),
+            ),
+            localStorage: await section("localStorage", () =>
+                this.getStorageUsage(),
+            ),
+            http: await section("HTTP client", () =>
+                window.HttpClient.getMetrics(),
+            ),
+            domObserver: await section("DOM observer", () =>
+                window.DomObserver.getMetrics(),
+            ),
+            selectors: await section("Selector registry", () =>
+                window.SelectorRegistry.check(),
+            ),
+        };
+    }
+
+    // ─── Overlay ────────────────────────────────────────
+
+    toggle() {
+        if (this.isOpen) this.close();
+        else this.open();
+    }
+
+    open() {
+        if (!this.panel) this.createPanel();
+        this.isOpen = true;
+        this.panel.classList.add("visible");
+        this.refresh();
+        this.refreshTimer = setInterval(
+            () => this.refresh(),
+            Diagnostics.CONFIG.REFRESH_INTERVAL,
+        );
+    }
+
+    close() {
+        this.isOpen = false;
+        clearInterval(this.refreshTimer);
+        this.refreshTimer = null;
+        this.panel?.classList.remove("visible");
+    }
+
+    createPanel() {
+        this.panel = document.createElement("div");
+        this.panel.id = Diagnostics.CONFIG.PANEL_ID;
+        this.panel.className = "lg-diagnostics";
+        this.panel.innerHTML = `
+            <div class="lg-diagnostics-header">
+                <span class="lg-diagnostics-title">Diagnostics</span>
+                <button data-action="copy">Copy report</button>
+                <button data-action="clear">Clear errors</button>
+                <button data-action="close">×</button>
+            </div>
+            <div class="lg-diagnostics-body"></div>
+        `;
+
+        this.panel.addEventListener("click", async (e) => {
+            const button = e.target.closest("button[data-action]");
+            if (!button) return;
+
+            switch (button.dataset.action) {
+                case "copy":
+                    button.textContent = (await this.copyReport())
+                        ? "Copied"
+                        : "Copy failed";
+                    setTimeout(
+                        () => (button.textContent = "Copy report"),
+                        1500,
+                    );
+                    break;
+                case "clear":
+                    this.clearErrors();
+                    this.refresh();
+                    break;
+                case "close":
+                    this.close();
+                    break;
+            }
+        });
+
+        document.body.appendChild(this.panel);
+    }
+
+    async copyReport() {
+        const text = JSON.stringify(await this.getReport(), null, 2);
+        try {
+            await navigator.clipboard.writeText(text);
+            return true;
+        } catch {
+            // Clipboard API refused (no focus or permission)
+            const textarea = document.createElement("textarea");
+            textarea.value = text;
+            document.body.appendChild(textarea);
+            textarea.select();
+            const copied = document.execCommand("copy");
+            textarea.remove();
+            return copied;
+        }
+    }
+
+    async refresh() {
+        const report = await this.getReport();
+        if (!this.isOpen) return;
+
+        // Expanded errors stay open across refreshes
+        const body = this.panel.querySelector(".lg-diagnostics-body");
+        const open = new Set(
+            [...body.querySelectorAll(".lg-diagnostics-error[open]")].map(
+                (details) => details.dataset.key,
+            ),
+        );
+        const { scrollTop } = body;
+
+        body.innerHTML = [
+            this.renderPlugins(report.plugins),
+            this.renderErrors(report.errors),
+            this.renderLogs(report.logs),
+            this.renderMetadata(report.metadataDB),
+            this.renderStorage(report.localStorage),
+            this.renderObserver(report.domObserver),
+            this.renderHttp(report.http),
+            this.renderSelectors(report.selectors),
+        ].join("");
+
+        body.querySelectorAll(".lg-diagnostics-error").forEach((details) => {
+            details.open = open.has(details.dataset.key);
+        });
+        body.scrollTop = scrollTop;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement("div");
+        div.textContent = text ?? "";
+        return div.innerHTML;
+    }
+
+    renderSection(title, content) {
+        return `
+            <section class="lg-diagnostics-section">
+                <h4>${title}</h4>
+                ${content}
+            </section>
+        `;
+    }
+
+    renderTable(headers, rows) {
+        if (rows.length === 0)
+            return `<div class="lg-diagnostics-empty">None</div>`;
+        return `
+            <table>
+                <tr>${headers.map((h) => `<th>${h}</th>`).join("")}</tr>
+                ${rows
+                    .map(
+                        (cells) =>
+                            `<tr>${cells
+                                .map(
+                                    (c) =>
+                                        `<td>${this.escapeHtml(String(c))}</td>`,
+                                )
+                                .join("")}</tr>`,
+                    )
+                    .join("")}
+            </table>
+        `;
+    }
+
+    renderUnavailable(title, data) {
+        return this.renderSection(
+            title,
+            `<div class="lg-diagnostics-empty">${this.escapeHtml(data.error)}</div>`,
+        );
+    }
+
+    renderPlugins(plugins) {
+        if (plugins.error) return this.renderUnavailable("Plugins", plugins);
+        const status = (p) => {
+            if (p.error) return `error: ${p.error}`;
+            if (p.running) return "running";
+            return p.enabled ? "waiting" : "off";
+        };
+        return this.renderSection(
+            "Plugins",
+            this.renderTable(
+                ["Plugin", "Version", "Status"],
+                plugins.map((p) => [p.name, p.version || "", status(p)]),
+            ),
+        );
+    }
+
+    renderErrors(errors) {
+        const items = errors
+            .map((e) => {
+                // Identifies the entry across refreshes, see refresh()
+                const key = this.escapeHtml(`${e.time}|${e.message}`).replace(
+                    /"/g,
+                    "&quot;",
+                );
+                return `
+                <details class="lg-diagnostics-error" data-key="${key}">
+                    <summary>
+                        <time>${e.time.slice(11, 19)}</time>
+                        ${this.escapeHtml(e.message)}
+                    </summary>
+                    <pre>${this.escapeHtml(e.stack || "No stack")}</pre>
+                </details>`;
+            })
+            .join("");
+        return this.renderSection(
+            `Errors (${errors.length})`,
+            items || `<div class="lg-diagnostics-empty">None</div>`,
+        );
+    }
+
+    renderLogs(entries) {
+        if (entries.error) return this.renderUnavailable("Log", entries);
+        return this.renderSection(
+            "Log",
+            this.renderTable(
+                ["Time", "Level", "Plugin", "Message"],
+                entries
+                    .slice(-Diagnostics.CONFIG.RECENT_LOGS)
+                    .reverse()
+                    .map((e) => [
+                        e.time.slice(11, 19),
+                        e.level,
+                        e.namespace,
+                        e.message,
+                    ]),
+            ),
+        );
+    }
+
+    renderMetadata(stats) {
+        if (stats.error) return this.renderUnavailable("MetadataDB", stats);
+        const { memoryCache, pendingWrites, records } = stats;
+        const hitRate =
+            memoryCache.hitRate === null
+                ? "n/a"
+                : `${Math.round(memoryCache.hitRate * 100)}%`;
+        return this.renderSection(
+            "MetadataDB",
+            this.renderTable(
+                ["", ""],
+                [
+                    ["Memory cache", `${memoryCache.size}/${memoryCache.max}`],
+                    [
+                        "Hit rate",
+                        `${hitRate} (${memoryCache.hits} hits, ${memoryCache.misses} misses)`,
+                    ],
+                    ["Pending writes", pendingWrites],
+                    [
+                        "Records",
+                        `${records.total} (${records.series} series, ${records.movie} movies)`,
+                    ],
+                ],
+            ),
+        );
+    }
+
+    renderStorage(usage) {
+        if (usage.error) return this.renderUnavailable("localStorage", usage);
+        const kb = (bytes) => `${(bytes / 1024).toFixed(1)} KB`;
+        return this.renderSection(
+            `localStorage (${kb(usage.total)})`,
+            this.renderTable(
+                ["Prefix", "Keys", "Size"],
+                usage.prefixes.map((p) => [p.prefix, p.keys, kb(p.bytes)]),
+            ),
+        );
+    }
+
+    renderObserver(metrics) {
+        if (metrics.error)
+            return this.renderUnavailable("DOM observer", metrics);
+        const slowest = Object.entries(metrics.handlers)
+            .sort(([, a], [, b]) => b.totalMs - a.totalMs)
+            .slice(0, Diagnostics.CONFIG.SLOWEST_HANDLERS);
+        return this.renderSection(
+            `DOM observer (${metrics.batches} batches, ${metrics.queued} queued)`,
+            this.renderTable(
+                ["Handler", "Calls", "Total", "Max", "Errors"],
+                slowest.map(([id, h]) => [
+                    id,
+                    h.calls,
+                    `${h.totalMs} ms`,
+                    `${h.maxMs} ms`,
+                    h.errors,
+                ]),
+            ),
+        );
+    }
+
+    renderHttp(metrics) {
+        if (metrics.error) return this.renderUnavailable("HTTP", metrics);
+        return this.renderSection(
+            "HTTP",
+            this.renderTable(
+                ["Host", "OK", "Failed", "Retries", "Avg", "Circuit"],
+                Object.entries(metrics).map(([host, m]) => [
+                    host,
+                    m.succeeded,
+                    m.failed,
+                    m.retries,
+                    `${m.avgMs} ms`,
+                    m.circuit,
+                ]),
+            ),
+        );
+    }
+
+    renderSelectors(report) {
+        if (report.error) return this.renderUnavailable("Selectors", report);
+        // Exact matches and other pages' selectors are as expected
+        const notable = Object.entries(report).filter(
+            ([, r]) => r.status !== "exact" && r.status !== "elsewhere",
+        );
+        return this.renderSection(
+            "Selectors",
+            this.renderTable(
+                ["Name", "Status", "Selector"],
+                notable.map(([name, r]) => [name, r.status, r.selector || ""]),
+            ),
+        );
+    }
+}
+
+window.Diagnostics = new Diagnostics();
@@ -0,0 +1,319 @@
+/**
+ * @name DOM Observer
+ * @description One shared, batched MutationObserver on the page; plugins register selector-based handlers that run at idle time
+ * @version 1.0.0
+ * @author EZOBOSS
+ * @dependencies logger.plugin.js
+ */
+
+class DomObserver {
+    static CONFIG = {
+        IDLE_TIMEOUT: 100, // Dispatch within this even if the page never idles
+        CHUNK_SIZE: 200, // Mutation records handled before checking the idle deadline
+        MIN_IDLE_MS: 1,
+    };
+
+    constructor() {
+        this.handlers = new Map(); // id -> handler
+        this.queue = []; // MutationRecords waiting for dispatch
+        this.idleHandle = null;
+        this.attributeFilter = [];
+        this.connected = false;
+        this.observer = new MutationObserver((records) =>
+            this._enqueue(records),
+        );
+        this.metrics = { records: 0, batches: 0 };
+    }
+
+    // Created on first use, as the logger loads after this file
+    get log() {
+        return (this._log ??= window.Logger.create("DomObserver"));
+    }
+
+    // ─── Registration ───────────────────────────────────
+
+    /**
+     * Register a handler; returns a function that removes it.
+     *
+     * `selector` picks the elements the handler cares about, including
+     * ones nested inside added or removed subtrees. Each callback gets the
+     * matching elements of one batch:
+     * - `added(elements)` / `removed(elements)`; an element moved within
+     *   a batch only counts as added
+     * - `attributeChanged(elements)` for changes to any of `attributes`
+     * - `changed()` once per batch with any childList change, no selector needed
+     * `ignore` skips mutations inside matching containers, and `existing`
+     * also hands elements already on the page to `added`.
+     */
+    observe({
+        id,
+        selector = null,
+        added = null,
+        removed = null,
+        attributes = [],
+        attributeChanged = null,
+        changed = null,
+        ignore = null,
+        existing = false,
+    }) {
+        if (this.handlers.has(id)) {
+            this.log.warn(`Replacing handler "${id}"`);
+        }
+
+        const handler = {
+            id,
+            selector,
+            added,
+            removed,
+            attributes,
+            attributeChanged,
+            changed,
+            ignore,
+            metrics: { calls: 0, elements: 0, totalMs: 0, maxMs: 0, errors: 0 },
+        };
+        this.handlers.set(id, handler);
+        this._reconnect();
+
+        if (existing && selector && added) {
+            requestIdleCallback(
+                () => {
+                    if (this.handlers.get(id) !== handler) return;
+                    const elements = [
+                        ...document.querySelectorAll(selector),
+                    ].filter((el) => !this._isIgnored(handler, el));
+                    this._run(handler, "added", elements);
+                },
+                { timeout: DomObserver.CONFIG.IDLE_TIMEOUT },
+            );
+        }
+
+        return () => {
+            if (this.handlers.get(id) !== handler) return;
+            this.handlers.delete(id);
+            this._reconnect();
+        };
+    }
+
+    /**
+     * (Re)start the observer with the attributes handlers ask for, or stop
+     * it when nobody is listening
+     */
+    _reconnect() {
+        if (!document.body) {
+            const retry = () => this._reconnect();
+            document.addEventListener("DOMContentLoaded", retry, {
+                once: true,
+            });
+            return;
+        }
+
+        const attributes = new Set();
+        for (const handler of this.handlers.values()) {
+            handler.attributes.forEach((name) => attributes.add(name));
+        }
+        const attributeFilter = [...attributes].sort();
+
+        if (this.handlers.size === 0) {
+            if (this.connected) {
+                this._enqueue(this.observer.takeRecords());
+                this.observer.disconnect();
+                this.connected = false;
+            }
+            return;
+        }
+        if (
+            this.connected &&
+            attributeFilter.join() === this.attributeFilter.join()
+        )
+            return;
+
+        // Re-observing replaces the options; keep what was already seen
+        if (this.connected) this._enqueue(this.observer.takeRecords());
+        this.attributeFilter = attributeFilter;
+        this.observer.observe(document.body, {
+            childList: true,
+            subtree: true,
+            ...(attributeFilter.length > 0 && {
+                attributes: true,
+                attributeFilter,
+            }),
+        });
+        this.connected = true;
+    }
+
+    // ─── Dispatch ───────────────────────────────────────
+
+    _enqueue(records) {
+        if (records.length === 0) return;
+        this.queue.push(...records);
+        this.metrics.records += records.length;
+
+        if (this.idleHandle === null) {
+            this.idleHandle = requestIdleCallback(
+                (deadline) => this._flush(deadline),
+                { timeout: DomObserver.CONFIG.IDLE_TIMEOUT },
+            );
+        }
+    }
+
+    _flush(deadline) {
+        this.idleHandle = null;
+
+        do {
+            this._dispatch(this.queue.splice(0, DomObserver.CONFIG.CHUNK_SIZE));
+        } while (
+            this.queue.length > 0 &&
+            deadline.timeRemaining() > DomObserver.CONFIG.MIN_IDLE_MS
+        );
+
+        // Out of idle time, carry on at the next idle period
+        if (this.queue.length > 0 && this.idleHandle === null) {
+            this.idleHandle = requestIdleCallback((next) => this._flush(next), {
+                timeout: DomObserver.CONFIG.IDLE_TIMEOUT,
+            });
+        }
+    }
+
+    _dispatch(records) {
+        this.metrics.batches++;
+
+        for (const handler of [...this.handlers.values()]) {
+            // Unregistered by an earlier handler of this batch
+            if (this.handlers.get(handler.id) !== handler) continue;
+
+            const relevant = handler.ignore
+                ? records.filter((r) => !this._isIgnored(handler, r.target))
+                : records;
+
+            if (
+                handler.changed &&
+                relevant.some((r) => r.type === "childList")
+            ) {
+                this._run(handler, "changed");
+            }
+            if (!handler.selector) continue;
+
+            if (handler.added) {
+                const elements = this._collect(handler, relevant, "addedNodes");
+                if (elements.length > 0) this._run(handler, "added", elements);
+            }
+            if (handler.removed) {
+                const elements = this._collect(
+                    handler,
+                    relevant,
+                    "removedNodes",
+                );
+                if (elements.length > 0) {
+                    this._run(handler, "removed", elements);
+                }
+            }
+            if (handler.attributeChanged) {
+                const elements = new Set();
+                relevant.forEach((r) => {
+                    if (
+                        r.type === "attributes" &&
+                        handler.attributes.includes(r.attributeName) &&
+                        r.target.isConnected &&
+                        r.target.matches(handler.selector)
+                    ) {
+                        elements.add(r.target);
+                    }
+                });
+                if (elements.size > 0) {
+                    this._run(handler, "attributeChanged", [...elements]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Elements matching the handler's selector in the records' added or
+     * removed subtrees. Only nodes still on the page count as added, and
+     * only nodes no longer on it (and not added in the same batch) as
+     * removed.
+     */
+    _collect(handler, records, listName) {
+        const wantConnected = listName === "addedNodes";
+        // Removed again before anyone saw them added
+        const transient = wantConnected
+            ? null
+            : new Set(records.flatMap((r) => [...(r.addedNodes || [])]));
+        const elements = new Set();
+
+        for (const record of records) {
+            if (record.type !== "childList") continue;
+            for (const node of record[listName]) {
+                if (node.nodeType !== Node.ELEMENT_NODE) continue;
+                if (node.isConnected !== wantConnected) continue;
+                if (transient?.has(node)) continue;
+
+                if (node.matches(handler.selector)) elements.add(node);
+                node.querySelectorAll(handler.selector).forEach((el) =>
+                    elements.add(el),
+                );
+            }
+        }
+        return [...elements];
+    }
+
+    _isIgnored(handler, node) {
+        if (!handler.ignore) return false;
+        const el =
+            node.nodeType === Node.ELEMENT_NODE ? node : node.parentElement;
+        return !!el?.closest(handler.ignore);
+    }
+
+    _run(handler, callbackName, elements = null) {
+        const startedAt = performance.now();
+        try {
+            handler[callbackName](elements);
+        } catch (e) {
+            handler.metrics.errors++;
+            this.log.error(
+                `Handler "${handler.id}" failed in ${callbackName}:`,
+                e,
+            );
+        } finally {
+            const ms = performance.now() - startedAt;
+            handler.metrics.calls++;
+            handler.metrics.elements += elements?.length || 0;
+            handler.metrics.totalMs += ms;
+            handler.metrics.maxMs = Math.max(handler.metrics.maxMs, ms);
+        }
+    }
+
+    // ─── Metrics ────────────────────────────────────────
+
+    /**
+     * Per-handler call counts, elements handed over and time spent, plus
+     * how many mutation records and batches went through overall
+     */
+    getMetrics() {
+        const handlers = {};
+        for (const [id, handler] of this.handlers) {
+            const { calls, totalMs, maxMs } = handler.metrics;
+            handlers[id] = {
+                ...handler.metrics,
+                totalMs: Math.round(totalMs),
+                avgMs: calls ? +(totalMs / calls).toFixed(2) : 0,
+                maxMs: +maxMs.toFixed(2),
+            };
+        }
+        return {
+            ...this.metrics,
+            queued: this.queue.length,
+            handlers,
+        };
+    }
+
+    resetMetrics() {
+        this.metrics = { records: 0, batches: 0 };
+        for (const handler of this.handlers.values()) {
+            Object.keys(handler.metrics).forEach(
+                (key) => (handler.metrics[key] = 0),
+            );
+        }
+    }
+}
+
+window.DomObserver = new DomObserver();
@@ -1,8 +1,9 @@
 /**
  * @name EnhancedCovers-Optimized
- * @description Widens the cover images in the library using MutationObserver.
- * @version 1.1.0
+ * @description Widens the cover images in the library using the shared DOM observer.
+ * @version 1.2.0
  * @author Fxy, EZOBOSS
+ * @dependencies dom-observer.plugin.js, plugin-host.plugin.js
  */
 
 function replaceSingleCover(img) {
@@ -12,34 +13,17 @@ function replaceSingleCover(img) {
     }
 }
 
-function processNewNodes(mutations) {
-    for (const mutation of mutations) {
-        if (mutation.type === "childList" && mutation.addedNodes.length > 0) {
-            mutation.addedNodes.forEach((node) => {
-                if (node.nodeType === 1) {
-                    if (
-                        node.tagName === "IMG" &&
-                        node.className.includes("poster-image-layer")
-                    ) {
-                        replaceSingleCover(node);
-                    }
-
-                    const newPosters = node.querySelectorAll(
-                        '[class*="poster-image-layer"] img'
-                    );
-                    newPosters.forEach(replaceSingleCover);
-                }
-            });
-        }
-    }
-}
-
-document
-    .querySelectorAll('[class*="poster-image-layer"] img')
-    .forEach(replaceSingleCover);
-
-const observer = new MutationObserver(processNewNodes);
-observer.observe(document.body, {
-    childList: true,
-    subtree: true,
+requestIdleCallback(() => {
+    window.PluginHost.register({
+        id: "enhanced-covers",
+        start: () =>
+            window.DomObserver.observe({
+                id: "enhanced-covers",
+                selector:
+                    'img[class*="poster-image-layer"], [class*="poster-image-layer"] img',
+                added: (images) => images.forEach(replaceSingleCover),
+                existing: true,
+            }),
+        stop: (unobserve) => unobserve(),
+    });
 });
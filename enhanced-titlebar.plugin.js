@@ -3,17 +3,17 @@
  * @description Optimized version with IndexedDB and Web Workers.
  * @version 1.2.0
  * @author Fxy, EZOBOSS
- * @dependancies: metadatadb.plugin.js
+ * @dependancies: metadatadb.plugin.js, dom-observer.plugin.js, selector-registry.plugin.js, plugin-host.plugin.js, logger.plugin.js
  */
 
 const CONFIG = {
-    apiBase: "https://v3-cinemeta.strem.io/meta",
     timeout: 5000,
     updateInterval: 10000,
     concurrency: 4,
     OBSERVER_MARGIN: "2000px 2000px",
 };
 let db;
+let log;
 const WORKER_CODE = `
 self.onmessage = function(e) {
     const { meta, id } = e.data;
@@ -109,7 +109,7 @@ worker.onmessage = (e) => {
     }
 };
 worker.onerror = (e) => {
-    console.error("[ETB] Worker Error:", e);
+    log.error("Worker Error:", e);
     // Optional: Reject all pending callbacks if the worker dies
     workerCallbacks.forEach(({ reject }) => reject("Worker crashed"));
     workerCallbacks.clear();
@@ -141,7 +141,7 @@ const taskQueue = {
         try {
             await task();
         } catch (e) {
-            console.error("[ETB] Task failed", e);
+            log.error("Task failed", e);
         } finally {
             this.active--;
             this.process();
@@ -171,39 +171,19 @@ async function getMetadata(id, type) {
         let meta = await db.get(id, type);
         let source = "cache";
 
-        // 2. If not in DB, fetch from API
+        // 2. If not in DB, fetch from the metadata providers
         if (!meta) {
             source = "api";
-            const controller = new AbortController();
-            const timeoutId = setTimeout(
-                () => controller.abort(),
-                CONFIG.timeout,
-            );
-
-            try {
-                const res = await fetch(
-                    `${CONFIG.apiBase}/${type}/${id}.json`,
-                    {
-                        signal: controller.signal,
-                        credentials: "omit",
-                    },
-                );
-                clearTimeout(timeoutId);
-
-                if (!res.ok) throw new Error(res.statusText);
-
-                const data = await res.json();
-                meta = data.meta;
-
-                if (meta) {
-                    console.log(`[ETB] Fetched ${id}: ${meta.name} from API`);
-                    // Save raw meta to DB with type for expiration logic
-                    await db.put(id, meta, type);
-                }
-            } catch (fetchErr) {
-                console.warn(`[ETB] Fetch failed for ${id}:`, fetchErr);
+            meta = await db.fetchFromApi(id, type, { timeout: CONFIG.timeout });
+
+            if (!meta) {
+                log.warn(`Fetch failed for ${id}`);
                 return null;
             }
+
+            log.info(`Fetched ${id}: ${meta.name} from API`);
+            // Save raw meta to DB with type for expiration logic
+            await db.put(id, meta, type);
         }
 
         if (!meta) return null;
@@ -231,47 +211,50 @@ async function getMetadata(id, type) {
             runtime: meta.runtime || null,
             type: meta.type || type,
             description: meta.description || null,
-            logo: `https://images.metahub.space/logo/small/${id}/img`,
+            // Non-IMDb IDs have no metahub logo, use the provider's
+            logo: RE_IMDB_ID.test(id)
+                ? `https://images.metahub.space/logo/small/${id}/img`
+                : meta.logo || null,
             trailer,
             // Dynamic properties from Worker
             releaseDate: dynamicData.releaseDate,
             newTag: dynamicData.newTag,
         };
 
-        // console.log(`[ETB] Loaded ${id} from ${source}`, metadata);
+        // log.info(`Loaded ${id} from ${source}`, metadata);
         return metadata;
     } catch (e) {
-        console.error(`[ETB] Error in getMetadata for ${id}:`, e);
+        log.error(`Error in getMetadata for ${id}:`, e);
         return null;
     }
 }
 
-const RE_ID = /tt\d{7,}/;
+const RE_IMDB_ID = /^tt\d+$/;
 const RE_TYPE = /\/(movie|series)\//i;
 
 async function extractMediaInfo(element) {
-    const link =
-        element.closest('a[href*="tt"]') ||
-        element.querySelector('a[href*="tt"]');
+    const links = [
+        element.closest("a[href]"),
+        element.querySelector("a[href]"),
+    ];
 
-    if (link) {
+    for (const link of links) {
+        if (!link) continue;
         const href = link.href;
-        const idMatch = href.match(RE_ID);
-        if (idMatch) {
+        const id = db.extractId(href);
+        if (id) {
             const typeMatch = href.match(RE_TYPE);
             return {
-                id: idMatch[0],
+                id,
                 type: typeMatch ? typeMatch[1].toLowerCase() : "movie",
             };
         }
     }
 
-    const img =
-        element.previousElementSibling?.querySelector?.('img[src*="tt"]');
+    const img = element.previousElementSibling?.querySelector?.("img[src]");
     if (img) {
-        const idMatch = img.src.match(RE_ID);
-        if (idMatch && idMatch[0]) {
-            const id = idMatch[0];
+        const id = db.extractId(img.src);
+        if (id) {
             const meta = await db.get(id).catch(() => null);
             if (meta && meta.type) {
                 return { id, type: meta.type };
@@ -340,9 +323,9 @@ function createMetadataElements(metadata) {
 
 async function enhanceTitleBar(titleBar) {
     if (titleBar.classList.contains("enhanced-title-bar")) return;
-    const titleEl = titleBar.querySelector(
-        ".title-label-VnEAc,[class*='title-label'],[class*='title']",
-    );
+    const titleEl =
+        window.SelectorRegistry.query("titleLabel", titleBar) ||
+        titleBar.querySelector("[class*='title']");
     if (!titleEl) return;
     const originalTitle = titleEl.textContent.trim();
     if (!originalTitle) return;
@@ -402,19 +385,28 @@ async function enhanceTitleBar(titleBar) {
     }
 }
 
-const TITLE_BAR_SELECTOR =
-    ".title-bar-container-1Ba0x,[class*='title-bar-container'],[class*='titleBarContainer'],[class*='title-container']:not([class*='search-hints']),[class*='media-title']";
+// Stremio's title bars, plus title containers of other layouts
+function titleBarSelector() {
+    return `${window.SelectorRegistry.get(
+        "titleBar",
+    )},[class*='titleBarContainer'],[class*='title-container']:not([class*='search-hints']),[class*='media-title']`;
+}
 
 // Intersection Observer
 const containerObservers = new WeakMap();
 let globalObserver;
+let unobserveTitleBars = null;
 
-function getObserverFor(element) {
+function scrollContainerOf(element) {
     // Find closest scrollable container
     // Common selectors for Stremio horizontal lists and our custom lists
-    const container = element.closest(
-        ".meta-items-container-qcuUA, .upcoming-groups-container, .scroll-container",
+    return element.closest(
+        `${window.SelectorRegistry.get("metaItems")}, .upcoming-groups-container, .scroll-container`,
     );
+}
+
+function getObserverFor(element) {
+    const container = scrollContainerOf(element);
 
     if (!container) {
         if (!globalObserver) {
@@ -483,48 +475,46 @@ function observeElement(el) {
 }
 
 function initObservers() {
-    document.querySelectorAll(TITLE_BAR_SELECTOR).forEach(observeElement);
-
-    if (typeof MutationObserver !== "undefined") {
-        const mutationObserver = new MutationObserver((mutations) => {
-            for (const m of mutations) {
-                if (m.type === "childList" && m.addedNodes.length > 0) {
-                    m.addedNodes.forEach((node) => {
-                        if (node.nodeType !== Node.ELEMENT_NODE) return;
-
-                        if (node.matches && node.matches(TITLE_BAR_SELECTOR)) {
-                            observeElement(node);
-                        }
-
-                        if (node.querySelectorAll) {
-                            node.querySelectorAll(TITLE_BAR_SELECTOR).forEach(
-                                observeElement,
-                            );
-                        }
-                    });
-                }
-            }
-        });
-
-        mutationObserver.observe(document.body, {
-            childList: true,
-            subtree: true,
-        });
-    }
+    unobserveTitleBars = window.DomObserver.observe({
+        id: "enhanced-titlebar",
+        selector: titleBarSelector(),
+        added: (titleBars) => titleBars.forEach(observeElement),
+        existing: true,
+    });
 }
 
 async function init() {
+    log = window.Logger.create("ETB");
     try {
         db = window.MetadataDB;
         injectStyles();
         initObservers();
     } catch (error) {
-        console.error("[ETB] Failed to initialize:", error);
+        log.error("Failed to initialize:", error);
     }
 }
 
-if (document.readyState === "loading") {
-    document.addEventListener("DOMContentLoaded", init);
-} else {
-    init();
+// Title bars already enhanced keep their content until Stremio re-renders them
+function destroy() {
+    unobserveTitleBars?.();
+    unobserveTitleBars = null;
+    taskQueue.queue.length = 0;
+
+    document.querySelectorAll("[data-etb-observed]").forEach((el) => {
+        const container = scrollContainerOf(el);
+        const observer = container
+            ? containerObservers.get(container)
+            : globalObserver;
+        observer?.unobserve(el);
+        delete el.dataset.etbObserved;
+    });
+    document.getElementById("enhanced-title-bar-styles")?.remove();
 }
+
+requestIdleCallback(() => {
+    window.PluginHost.register({
+        id: "enhanced-titlebar",
+        start: init,
+        stop: destroy,
+    });
+});
@@ -3,11 +3,14 @@
  * @description Netflix-style rotating hero banner.
  * @version 3.0.0
  * @author Fxy, EZOBOSS
+ * @dependencies metadatadb.plugin.js, http-client.plugin.js, dom-observer.plugin.js, selector-registry.plugin.js, plugin-host.plugin.js, logger.plugin.js
  */
 
 (function () {
     class HeroPlugin {
         constructor() {
+            // Quiet unless raised in Settings → Liquid Glass → Logging
+            this.log = window.Logger.create("Hero", { level: "silent" });
             this.config = {
                 HERO_AMOUNT: 15,
                 ROTATION_INTERVAL: 8000,
@@ -16,7 +19,6 @@
                 MAX_RETRIES: 2,
                 BATCH_SIZE: 6,
                 CACHE_TTL_MS: 1000 * 60 * 60 * 6, // 6 hours
-                LOG_LEVEL: "silent",
                 PLAY_TRAILER_ON_HOVER:
                     JSON.parse(localStorage.getItem("custom_setting") || "{}")
                         .play_trailer_on_hover ?? true,
@@ -28,6 +30,7 @@
                 isAutoRotating: true,
                 autoRotateTimer: null,
                 observers: [],
+                unobserve: [], // DomObserver handlers
                 ytPlayer: null,
                 isInitializing: false,
                 retryCount: 0,
@@ -37,6 +40,16 @@
 
             this.dom = {};
             this.ytReady = false;
+            this.destroyed = false;
+
+            this.cache = window.MetadataDB.createStore("hero", {
+                ttl: this.config.CACHE_TTL_MS,
+                legacy: {
+                    storage: sessionStorage,
+                    prefix: "hero_cache_",
+                    parse: ({ t, v }) => ({ value: v, storedAt: t }),
+                },
+            });
 
             // Bind methods
             this.handleNavigation = this.handleNavigation.bind(this);
@@ -97,15 +110,6 @@
             this.init();
         }
 
-        // -------------------------
-        // Logger
-        // -------------------------
-        log(level, ...args) {
-            if (this.config.LOG_LEVEL === "silent") return;
-            if (level === "debug" && this.config.LOG_LEVEL !== "debug") return;
-            console[level]("[Hero]", ...args);
-        }
-
         // -------------------------
         // Utilities
         // -------------------------
@@ -121,53 +125,16 @@
             url,
             { timeout = this.config.FETCH_TIMEOUT, retries = 1 } = {}
         ) {
-            let attempt = 0;
-            while (attempt <= retries) {
-                attempt++;
-                const controller = new AbortController();
-                const id = setTimeout(() => controller.abort(), timeout);
-                try {
-                    const res = await fetch(url, { signal: controller.signal });
-                    clearTimeout(id);
-                    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-                    return res.json();
-                } catch (err) {
-                    clearTimeout(id);
-                    if (attempt > retries) throw err;
-                    await new Promise((r) => setTimeout(r, 300 * attempt));
-                }
-            }
-        }
-
-        cacheKey(k) {
-            return `hero_cache_${k}`;
-        }
-
-        cacheSet(k, v) {
-            try {
-                sessionStorage.setItem(
-                    this.cacheKey(k),
-                    JSON.stringify({ t: Date.now(), v })
-                );
-            } catch (e) {
-                this.log("debug", "Cache set failed", e);
+            // Serve the last good response when offline or flaky
+            if (window.OfflineCache) {
+                return window.OfflineCache.fetchJSON(url, {
+                    timeout,
+                    retries,
+                    maxAge: this.config.CACHE_TTL_MS,
+                });
             }
-        }
 
-        cacheGet(k) {
-            try {
-                const raw = sessionStorage.getItem(this.cacheKey(k));
-                if (!raw) return null;
-                const { t, v } = JSON.parse(raw);
-                if (Date.now() - t > this.config.CACHE_TTL_MS) {
-                    sessionStorage.removeItem(this.cacheKey(k));
-                    return null;
-                }
-                return v;
-            } catch (e) {
-                this.log("debug", "Cache get failed", e);
-                return null;
-            }
+            return window.HttpClient.getJSON(url, { timeout, retries });
         }
 
         getDaysSinceRelease(releaseDateStr) {
@@ -191,7 +158,7 @@
         // API & Metadata
         // -------------------------
         async fetchCatalogTitles(type, limit = 10) {
-            const cache = this.cacheGet(`catalog_${type}`);
+            const cache = await this.cache.get(`catalog_${type}`);
             if (cache) return cache;
 
             const url = `https://cinemeta-catalogs.strem.io/top/catalog/${type}/top.json`;
@@ -211,23 +178,24 @@
                     released: this.calculateReleaseDate(m) || null,
                     type,
                 }));
-                this.cacheSet(`catalog_${type}`, metas);
+                this.cache.set(`catalog_${type}`, metas);
                 return metas;
             } catch (e) {
-                this.log("warn", "fetchCatalogTitles failed", e);
+                this.log.warn("fetchCatalogTitles failed", e);
                 return [];
             }
         }
 
         async getDetailedMetaData(id, type) {
-            const cache = this.cacheGet(`meta_${id}`);
+            const cache = await this.cache.get(`meta_${id}`);
             if (cache) return cache;
             try {
-                const json = await this.safeFetch(
-                    `https://v3-cinemeta.strem.io/meta/${type}/${id}.json`,
-                    { timeout: this.config.DETAIL_TIMEOUT, retries: 1 }
-                );
-                const meta = json.meta;
+                const meta =
+                    (await window.MetadataDB.fetchFromApi(id, type, {
+                        timeout: this.config.DETAIL_TIMEOUT,
+                    })) ||
+                    // Offline: fall back to the stored copy
+                    (await window.MetadataDB.getMany([id])).get(id);
                 if (!meta) return null;
 
                 const actualType =
@@ -263,10 +231,10 @@
                             ? `New episode ${releaseDate}`
                             : releaseDate,
                 };
-                this.cacheSet(`meta_${id}`, result);
+                this.cache.set(`meta_${id}`, result);
                 return result;
             } catch (e) {
-                this.log("warn", "getDetailedMetaData failed", id, e);
+                this.log.warn("getDetailedMetaData failed", id, e);
                 return null;
             }
         }
@@ -338,12 +306,12 @@
         }
 
         async collectTitlesFromAPI(amount = 10) {
-            const cached = this.cacheGet("hero_titles");
+            const cached = await this.cache.get("hero_titles");
             if (cached) {
-                this.log("info", "fetched cached titles", cached);
+                this.log.info("fetched cached titles", cached);
                 return cached;
             }
-            this.log("info", "Collecting titles from API");
+            this.log.info("Collecting titles from API");
             try {
                 const [movies, series] = await Promise.all([
                     this.fetchCatalogTitles("movie", 45),
@@ -381,10 +349,10 @@
                 }
 
                 const enriched = await this.enrichTitles(result);
-                this.cacheSet("hero_titles", enriched);
+                this.cache.set("hero_titles", enriched);
                 return enriched;
             } catch (e) {
-                this.log("warn", "collectTitlesFromAPI failed", e);
+                this.log.warn("collectTitlesFromAPI failed", e);
                 return [];
             }
         }
@@ -400,12 +368,18 @@
                     this.collectTitlesFromAPI(this.config.HERO_AMOUNT),
                     timeout,
                 ]);
-                if (collected && collected.length)
+                if (collected && collected.length) {
                     this.state.heroTitles = collected;
-                else this.state.heroTitles = this.FALLBACK_TITLES.slice();
-                this.cacheSet("hero_titles", this.state.heroTitles);
+                    // Keep every slide's artwork, not just the ones shown
+                    window.OfflineCache?.precache(
+                        collected.flatMap((t) => [t.background, t.logo])
+                    );
+                } else {
+                    this.state.heroTitles = this.FALLBACK_TITLES.slice();
+                }
+                this.cache.set("hero_titles", this.state.heroTitles);
             } catch (e) {
-                this.log("warn", "initializeTitles error", e);
+                this.log.warn("initializeTitles error", e);
                 this.state.heroTitles = this.FALLBACK_TITLES.slice();
             } finally {
                 this.state.isInitializing = false;
@@ -432,7 +406,10 @@
                     ".hero-overlay-button-watch"
                 ),
                 heroButtonMoreInfo: hero.querySelector(".hero-overlay-button"),
-                cardContainer: hero.querySelector(".board-content-nPWv1"),
+                cardContainer: window.SelectorRegistry.query(
+                    "boardContent",
+                    hero
+                ),
             };
             this._renderedState = {};
         }
@@ -805,31 +782,28 @@
         }
 
         isBoardTabSelected() {
-            const boardTab = document.querySelector(
-                'a[title="Board"].selected, a[href="#/"].selected, .nav-tab-button-container-dYhs0.selected[href="#/"]'
-            );
-            return boardTab !== null;
+            const boardTab =
+                document.querySelector(
+                    'a[title="Board"].selected, a[href="#/"].selected'
+                ) ||
+                window.SelectorRegistry.queryAll("navTabButton").find((tab) =>
+                    tab.matches('.selected[href="#/"]')
+                );
+            return !!boardTab;
         }
 
         shouldShowHero() {
+            if (this.destroyed) return false;
             return this.isBoardPage() && this.isBoardTabSelected();
         }
 
         findParentElement() {
-            const selectors = [
-                "#app > div.router-_65XU.routes-container > div > div.route-content > div.board-container-DTN_b > div > div > div",
-                ".board-container-DTN_b > div > div > div",
-                ".board-container-DTN_b",
-                '[class*="board-container"]',
-                ".route-content > div",
-            ];
-            for (const s of selectors) {
-                const el = document.querySelector(s);
-                if (el) return el;
+            const board = window.SelectorRegistry.query("boardContainer");
+            if (board) {
+                return board.querySelector(":scope > div > div > div") || board;
             }
-            const rows = document.querySelectorAll(".board-row-CoJrZ");
-            if (rows.length) return rows[0].parentElement;
-            return null;
+            const row = window.SelectorRegistry.query("boardRow");
+            return row ? row.parentElement : null;
         }
 
         async addHeroDiv() {
@@ -841,6 +815,8 @@
             if (!this.state.heroTitles.length) await this.initializeTitles();
             if (!this.state.heroTitles.length)
                 this.state.heroTitles = this.FALLBACK_TITLES.slice();
+            // Navigated away or stopped while the titles loaded
+            if (!this.shouldShowHero()) return;
 
             this.state.currentIndex = 0;
             this.mountHeroTo(parent, this.state.heroTitles[0]);
@@ -861,6 +837,8 @@
                 } catch (e) {}
             });
             this.state.observers = [];
+            this.state.unobserve.forEach((unobserve) => unobserve());
+            this.state.unobserve = [];
             this.stopAutoRotate();
         }
 
@@ -869,7 +847,7 @@
             const shouldShow = this.shouldShowHero();
 
             if (!shouldShow && heroExists) {
-                this.log("info", "Navigated away; cleaning up hero");
+                this.log.info("Navigated away; cleaning up hero");
                 this.cleanupAll();
                 return;
             }
@@ -983,23 +961,23 @@
         // Observers
         // -------------------------
         setupObservers() {
-            this.log("debug", "[Lifecycle] Setting up observers");
+            this.log.debug("[Lifecycle] Setting up observers");
             if (this.state.observers.length > 0) return;
 
             const mutationHandler = this.debounce(() => {
                 try {
                     this.handleNavigation();
                 } catch (e) {
-                    this.log("warn", "mutation handler error", e);
+                    this.log.warn("mutation handler error", e);
                 }
             }, 250);
 
-            const mainObserver = new MutationObserver(mutationHandler);
-            mainObserver.observe(document.body, {
-                childList: true,
-                subtree: true,
-            });
-            this.state.observers.push(mainObserver);
+            this.state.unobserve.push(
+                window.DomObserver.observe({
+                    id: "hero-div:navigation",
+                    changed: mutationHandler,
+                })
+            );
 
             // Initialize cardVisibilityObserver early so it's available for both observers
             this.cardVisibilityObserver = new IntersectionObserver(
@@ -1020,58 +998,36 @@
             // WeakSet to track observed cards (faster than dataset)
             const observedCards = new WeakSet();
 
-            const trailerHoverObserver = new MutationObserver((mutations) => {
-                const newContainers = [];
-
-                for (const mutation of mutations) {
-                    for (const node of mutation.addedNodes) {
-                        if (node.nodeType !== 1) continue;
-
-                        const className = node.className;
-                        if (typeof className !== "string") continue;
-
-                        if (className.includes("meta-row-container-xtlB1")) {
-                            // Find the container inside the new row
-                            const container = node.querySelector(
-                                ".meta-items-container-qcuUA"
-                            );
-                            if (container) {
-                                newContainers.push(container);
-                            }
-
-                            const cards = node.querySelectorAll(
-                                ".meta-item-container-Tj0Ib"
-                            );
-                            for (const card of cards) {
-                                if (!observedCards.has(card)) {
-                                    cardHideObserver.observe(card);
-                                    this.cardVisibilityObserver.observe(card);
-                                    observedCards.add(card);
-                                }
-                            }
-                            break;
-                        }
-
-                        if (className.includes("meta-item-container-Tj0Ib")) {
-                            if (!observedCards.has(node)) {
-                                cardHideObserver.observe(node);
-                                this.cardVisibilityObserver.observe(node);
-                                observedCards.add(node);
-                            }
-                        }
+            const observeCards = (cards) => {
+                for (const card of cards) {
+                    if (!observedCards.has(card)) {
+                        cardHideObserver.observe(card);
+                        this.cardVisibilityObserver.observe(card);
+                        observedCards.add(card);
                     }
                 }
-
-                if (newContainers.length > 0) {
-                    this.setupHeroTrailerHover(newContainers);
-                }
+            };
+            const unobserveCards = window.DomObserver.observe({
+                id: "hero-div:cards",
+                selector: window.SelectorRegistry.get("metaItem"),
+                added: observeCards,
             });
-
-            trailerHoverObserver.observe(document.body, {
-                childList: true,
-                subtree: true,
+            const unobserveRows = window.DomObserver.observe({
+                id: "hero-div:rows",
+                selector: window.SelectorRegistry.get("boardRow"),
+                added: (rows) => {
+                    // The card container inside each new row
+                    const containers = rows
+                        .map((row) =>
+                            window.SelectorRegistry.query("metaItems", row)
+                        )
+                        .filter(Boolean);
+                    if (containers.length > 0) {
+                        this.setupHeroTrailerHover(containers);
+                    }
+                },
             });
-            this.state.observers.push(trailerHoverObserver);
+            this.state.unobserve.push(unobserveCards, unobserveRows);
             /* */
             const cardHideObserver = new IntersectionObserver(
                 (cards) => {
@@ -1086,9 +1042,7 @@
                 { rootMargin: "-60% 0px 0px 0px", threshold: 0.3 }
             );
 
-            const boards = document.querySelectorAll(
-                ".meta-item-container-Tj0Ib"
-            );
+            const boards = window.SelectorRegistry.queryAll("metaItem");
             boards.forEach((card) => {
                 cardHideObserver.observe(card);
                 observedCards.add(card);
@@ -1099,22 +1053,20 @@
         setupHeroTrailerHover(specificContainers = null) {
             const containers =
                 specificContainers ||
-                document.querySelectorAll(".meta-items-container-qcuUA");
+                window.SelectorRegistry.queryAll("metaItems");
             const hero = document.querySelector(".hero-container");
             if ((!containers.length && !specificContainers) || !hero) return;
 
             containers.forEach((container) => {
                 // Always check for new cards, even if listeners are attached
-                container
-                    .querySelectorAll(
-                        '.meta-item-container-Tj0Ib, [class*="meta-item-container"]'
-                    )
-                    .forEach((card) => {
+                window.SelectorRegistry.queryAll("metaItem", container).forEach(
+                    (card) => {
                         if (!card.dataset._observed) {
                             this.cardVisibilityObserver.observe(card);
                             card.dataset._observed = "1";
                         }
-                    });
+                    }
+                );
 
                 // Prevent duplicate listeners
                 if (container.dataset._heroHoverAttached) return;
@@ -1123,7 +1075,12 @@
                 container.addEventListener(
                     "mouseenter",
                     async (e) => {
-                        if (e.target.matches(".meta-item-container-Tj0Ib")) {
+                        if (
+                            window.SelectorRegistry.matches(
+                                e.target,
+                                "metaItem"
+                            )
+                        ) {
                             const card = e.target;
                             if (!card || !container.contains(card)) return;
 
@@ -1175,7 +1132,12 @@
                 container.addEventListener(
                     "mouseleave",
                     (e) => {
-                        if (e.target.matches(".meta-item-container-Tj0Ib")) {
+                        if (
+                            window.SelectorRegistry.matches(
+                                e.target,
+                                "metaItem"
+                            )
+                        ) {
                             const card = e.target;
                             if (!card || !container.contains(card)) return;
 
@@ -1342,18 +1304,65 @@
             }
         }
 
+        // -------------------------
+        // Settings
+        // -------------------------
+        registerSettings() {
+            const settings = window.StremioSettings;
+            if (!settings?.register) return;
+
+            settings.register("hero", {
+                title: "Hero banner",
+                settings: [
+                    {
+                        key: "hero_amount",
+                        type: "number",
+                        label: "Titles in rotation",
+                        default: this.config.HERO_AMOUNT,
+                        min: 3,
+                        max: 30,
+                    },
+                    {
+                        key: "rotation_interval",
+                        type: "number",
+                        label: "Rotation interval",
+                        default: this.config.ROTATION_INTERVAL / 1000,
+                        min: 3,
+                        max: 30,
+                        unit: "s",
+                    },
+                ],
+            });
+
+            this.applySettings();
+            this.unsubscribeSettings = settings.onChange("hero", (key) => {
+                this.applySettings();
+                if (key === "rotation_interval" && this.state.isAutoRotating)
+                    this.startAutoRotate();
+                if (key === "hero_amount") this.cache.delete("hero_titles");
+            });
+        }
+
+        applySettings() {
+            const { hero_amount, rotation_interval } =
+                window.StremioSettings.getAll("hero");
+            this.config.HERO_AMOUNT = hero_amount;
+            this.config.ROTATION_INTERVAL = rotation_interval * 1000;
+        }
+
         init() {
+            this.registerSettings();
+
             // Global helpers for HTML onclick attributes
             window.playTitle = this.playTitle.bind(this);
             window.showMoreInfo = this.showMoreInfo.bind(this);
 
+            this.handlePopState = () => setTimeout(this.handleNavigation, 100);
+            this.handleFocus = () => setTimeout(this.handleNavigation, 200);
+
             window.addEventListener("hashchange", this.handleNavigation);
-            window.addEventListener("popstate", () =>
-                setTimeout(this.handleNavigation, 100)
-            );
-            window.addEventListener("focus", () =>
-                setTimeout(this.handleNavigation, 200)
-            );
+            window.addEventListener("popstate", this.handlePopState);
+            window.addEventListener("focus", this.handleFocus);
             document.addEventListener(
                 "visibilitychange",
                 this.handleVisibilityChange
@@ -1362,10 +1371,30 @@
             // Initial check
             setTimeout(() => this.handleNavigation(), 1200);
         }
+
+        destroy() {
+            this.destroyed = true;
+            window.removeEventListener("hashchange", this.handleNavigation);
+            window.removeEventListener("popstate", this.handlePopState);
+            window.removeEventListener("focus", this.handleFocus);
+            document.removeEventListener(
+                "visibilitychange",
+                this.handleVisibilityChange
+            );
+            this.unsubscribeSettings?.();
+            this.cleanupAll();
+            this.cardVisibilityObserver?.disconnect();
+
+            delete window.playTitle;
+            delete window.showMoreInfo;
+        }
     }
 
     // Instantiate the plugin
     requestIdleCallback(() => {
-        new HeroPlugin();
+        window.PluginHost.register({
+            id: "hero-div",
+            start: () => new HeroPlugin(),
+        });
     });
 })();
@@ -3,7 +3,7 @@
  * @description Shows episode info panel when hovering cards on home screen
  * @version 1.0.0
  * @author EZOBOSS
- * @dependencies metadatadb.plugin.js
+ * @dependencies metadatadb.plugin.js, watch-state.plugin.js, selector-registry.plugin.js, plugin-host.plugin.js, logger.plugin.js
  */
 
 (function () {
@@ -11,32 +11,35 @@
 
     class HoverInfoPanel {
         static CONFIG = {
-            CARD_SELECTOR: ".meta-item-container-Tj0Ib",
-            CONTAINER_SELECTOR: ".meta-items-container-qcuUA",
+            CARD: "metaItem", // SelectorRegistry names
+            CONTAINER: "metaItems",
             PANEL_ID: "hover-info-panel",
             HOVER_DELAY: 150, // ms before showing panel
             MAX_EPISODES: 50, // Max episodes to display per section
         };
 
         constructor() {
+            this.log = window.Logger.create("HoverInfoPanel");
             this.panel = null;
             this.hoverTimeout = null;
             this.currentCardId = null;
+            this.currentSeriesId = null;
             this.metadataDB = null;
             this.isVisible = false;
             this.metadataDB = window.MetadataDB;
+            this.watchState = window.WatchState;
 
             this.init();
         }
 
         async init() {
-            console.log("[HoverInfoPanel] Initializing...");
+            this.log.info("Initializing...");
 
             this.createPanel();
-            console.log("[HoverInfoPanel] Panel created");
+            this.log.info("Panel created");
 
             this.setupEventListeners();
-            console.log("[HoverInfoPanel] Event listeners ready");
+            this.log.info("Event listeners ready");
         }
 
         createPanel() {
@@ -63,34 +66,55 @@
                 </div>
             `;
 
+            // "Remind me" toggles on upcoming episodes
+            this.panel.addEventListener("click", (e) => {
+                const button = e.target.closest(".episode-remind");
+                if (!button || !window.Reminders) return;
+
+                const enabled = window.Reminders.toggle(
+                    this.currentSeriesId,
+                    Number(button.dataset.season),
+                    Number(button.dataset.episode),
+                );
+                button.classList.toggle("active", enabled);
+            });
+
             document.body.appendChild(this.panel);
         }
 
         setupEventListeners() {
+            this.onMouseEnter = this.handleMouseEnter.bind(this);
+            this.onMouseLeave = this.handleMouseLeave.bind(this);
+            this.onHashChange = () => this.hidePanel();
+
             // Use event delegation on document for efficiency
-            document.addEventListener(
-                "mouseenter",
-                this.handleMouseEnter.bind(this),
-                true,
-            );
-            document.addEventListener(
-                "mouseleave",
-                this.handleMouseLeave.bind(this),
-                true,
-            );
+            document.addEventListener("mouseenter", this.onMouseEnter, true);
+            document.addEventListener("mouseleave", this.onMouseLeave, true);
 
             // Hide panel when navigating away
-            window.addEventListener("hashchange", () => this.hidePanel());
+            window.addEventListener("hashchange", this.onHashChange);
+        }
+
+        destroy() {
+            document.removeEventListener("mouseenter", this.onMouseEnter, true);
+            document.removeEventListener("mouseleave", this.onMouseLeave, true);
+            window.removeEventListener("hashchange", this.onHashChange);
+            clearTimeout(this.hoverTimeout);
+            this.panel?.remove();
+            this.panel = null;
         }
 
         handleMouseEnter(e) {
             if (!e.target || typeof e.target.closest !== "function") return;
-            const card = e.target.closest(HoverInfoPanel.CONFIG.CARD_SELECTOR);
+            const card = window.SelectorRegistry.closest(
+                e.target,
+                HoverInfoPanel.CONFIG.CARD,
+            );
             if (!card) return;
 
             // Only show on home screen
             if (!this.isBoardPage()) {
-                console.log("[HoverInfoPanel] Not on board page");
+                this.log.debug("Not on board page");
                 return;
             }
 
@@ -102,7 +126,7 @@
             const cardId = this.extractCardId(card);
 
             if (!cardId) {
-                console.log("[HoverInfoPanel] No card ID found");
+                this.log.debug("No card ID found");
                 return;
             }
 
@@ -114,7 +138,10 @@
 
         handleMouseLeave(e) {
             if (!e.target || typeof e.target.closest !== "function") return;
-            const card = e.target.closest(HoverInfoPanel.CONFIG.CARD_SELECTOR);
+            const card = window.SelectorRegistry.closest(
+                e.target,
+                HoverInfoPanel.CONFIG.CARD,
+            );
             if (!card) return;
 
             // Clear pending show
@@ -144,19 +171,18 @@
         extractCardId(card) {
             // 3. Check anchor link ID
             const anchor = card.querySelector("a");
-            if (anchor?.id && anchor.id.startsWith("tt")) return anchor.id;
+            if (anchor?.id && this.metadataDB.hasProvider(anchor.id))
+                return anchor.id;
 
-            // 4. Check anchor href for IMDB ID pattern
-            const href = anchor?.getAttribute("href") || "";
-            const match = href.match(/\/(tt\d+)/);
-            if (match) return match[1];
+            // 4. Check anchor href for a provider-handled ID
+            const hrefId = this.metadataDB.extractId(
+                anchor?.getAttribute("href"),
+            );
+            if (hrefId) return hrefId;
 
             // 6. Check data-id on img
             const img = card.querySelector("img");
-            const imgId = img.src?.match(/\/(tt\d+)/);
-            if (imgId) return imgId[1];
-
-            return null;
+            return this.metadataDB.extractId(img?.src);
         }
 
         async showPanelForCard(card, cardId) {
@@ -203,16 +229,14 @@
 
                 this.renderPanel(card, meta);
             } catch (error) {
-                console.error(
-                    "[HoverInfoPanel] Error fetching metadata:",
-                    error,
-                );
+                this.log.error("Error fetching metadata:", error);
                 this.hidePanel();
             }
         }
 
         renderPanel(card, meta) {
             const now = Date.now();
+            this.currentSeriesId = meta.id;
 
             // Parse episodes into upcoming and released
             const upcoming = [];
@@ -233,7 +257,11 @@
                         `Episode ${video.episode || video.number || 0}`,
                     released: video.released,
                     releaseDate: releaseDate,
-                    watched: video.watched === true,
+                    watched: this.watchState.isWatched(
+                        meta.id,
+                        video.season,
+                        video.episode,
+                    ),
                 };
 
                 if (releaseDate > now) {
@@ -365,6 +393,22 @@
 
             const watchedClass = episode.watched ? "watched" : "";
             const typeClass = isUpcoming ? "upcoming" : "released";
+            const remindButton =
+                isUpcoming && window.Reminders
+                    ? `<button class="episode-remind ${
+                          window.Reminders.has(
+                              this.currentSeriesId,
+                              episode.season,
+                              episode.episode,
+                          )
+                              ? "active"
+                              : ""
+                      }" data-season="${episode.season}" data-episode="${
+                          episode.episode
+                      }" aria-label="Remind me">
+                        <svg viewBox="0 0 24 24"><path d="M12 22c1.1 0 2-.9 2-2h-4c0 1.1.9 2 2 2zm6-6v-5c0-3.07-1.63-5.64-4.5-6.32V4c0-.83-.67-1.5-1.5-1.5s-1.5.67-1.5 1.5v.68C7.64 5.36 6 7.92 6 11v5l-2 2v1h16v-1l-2-2z"/></svg>
+                    </button>`
+                    : "";
 
             return `
                 <div class="episode-card ${watchedClass} ${typeClass}">
@@ -374,6 +418,7 @@
                         <span class="episode-date">${dateStr}</span>
                     </div>
                     ${episode.watched ? '<div class="episode-watched">✓</div>' : ""}
+                    ${remindButton}
                 </div>
             `;
         }
@@ -401,14 +446,9 @@
     }
 
     requestIdleCallback(() => {
-        if (
-            window.StremioSettings &&
-            window.StremioSettings.isEnabled("HoverInfoPanel")
-        ) {
-            new HoverInfoPanel();
-        } else if (!window.StremioSettings) {
-            // Fallback if settings-toggle.plugin.js is not loaded or failed
-            new HoverInfoPanel();
-        }
+        window.PluginHost.register({
+            id: "hover-info",
+            start: () => new HoverInfoPanel(),
+        });
     });
 })();
@@ -0,0 +1,328 @@
+/**
+ * @name HTTP Client
+ * @description Shared JSON client with request dedupe, per-host limits, retries with backoff, timeouts, a circuit breaker and metrics
+ * @version 1.0.0
+ * @author EZOBOSS
+ * @dependencies logger.plugin.js
+ */
+
+class HttpClient {
+    static CONFIG = {
+        TIMEOUT: 5000,
+        RETRIES: 1,
+        BASE_BACKOFF: 300,
+        MAX_BACKOFF: 10 * 1000,
+        // Per-host limits; hosts not listed use DEFAULT
+        HOST_LIMITS: {
+            DEFAULT: { concurrency: 4, perSecond: 10 },
+            "v3-cinemeta.strem.io": { concurrency: 6, perSecond: 20 },
+            "cinemeta-catalogs.strem.io": { concurrency: 6, perSecond: 20 },
+        },
+        BREAKER_THRESHOLD: 5, // Consecutive failures that open a host's circuit
+        BREAKER_COOLDOWN: 30 * 1000, // Before a single trial request is let through
+    };
+
+    constructor() {
+        this.inflight = new Map(); // url -> Promise of parsed JSON
+        this.hosts = new Map(); // host -> { active, queue, tokens, refilledAt, breaker, metrics }
+    }
+
+    // Created on first use, as the logger loads after this file
+    get log() {
+        return (this._log ??= window.Logger.create("HttpClient"));
+    }
+
+    // ─── Hosts ──────────────────────────────────────────
+
+    _host(url) {
+        let host;
+        try {
+            host = new URL(url, location.href).host;
+        } catch {
+            host = "invalid";
+        }
+
+        if (!this.hosts.has(host)) {
+            const limits =
+                HttpClient.CONFIG.HOST_LIMITS[host] ||
+                HttpClient.CONFIG.HOST_LIMITS.DEFAULT;
+            this.hosts.set(host, {
+                name: host,
+                limits,
+                active: 0,
+                queue: [],
+                tokens: limits.perSecond,
+                refilledAt: Date.now(),
+                timer: null,
+                breaker: { state: "closed", failures: 0, openedAt: 0 },
+                metrics: {
+                    requests: 0,
+                    deduped: 0,
+                    succeeded: 0,
+                    failed: 0,
+                    retries: 0,
+                    timeouts: 0,
+                    rejected: 0, // Failed fast by an open circuit
+                    totalMs: 0,
+                },
+            });
+        }
+        return this.hosts.get(host);
+    }
+
+    _refill(host) {
+        const now = Date.now();
+        const elapsed = (now - host.refilledAt) / 1000;
+        host.tokens = Math.min(
+            host.limits.perSecond,
+            host.tokens + elapsed * host.limits.perSecond,
+        );
+        host.refilledAt = now;
+    }
+
+    /**
+     * Wait for a concurrency slot and a rate limit token on the host
+     */
+    _acquire(host) {
+        return new Promise((resolve) => {
+            host.queue.push(resolve);
+            this._drain(host);
+        });
+    }
+
+    _release(host) {
+        host.active--;
+        this._drain(host);
+    }
+
+    _drain(host) {
+        while (host.queue.length > 0 && host.active < host.limits.concurrency) {
+            this._refill(host);
+            if (host.tokens < 1) {
+                // Come back when the next token is due
+                if (!host.timer) {
+                    const wait =
+                        ((1 - host.tokens) / host.limits.perSecond) * 1000;
+                    host.timer = setTimeout(() => {
+                        host.timer = null;
+                        this._drain(host);
+                    }, Math.ceil(wait));
+                }
+                return;
+            }
+
+            host.tokens--;
+            host.active++;
+            host.queue.shift()();
+        }
+    }
+
+    // ─── Circuit breaker ────────────────────────────────
+
+    _allow(host) {
+        const { breaker } = host;
+        if (breaker.state === "closed") return true;
+
+        if (
+            breaker.state === "open" &&
+            Date.now() - breaker.openedAt >= HttpClient.CONFIG.BREAKER_COOLDOWN
+        ) {
+            breaker.state = "half-open";
+            return true; // This request is the trial
+        }
+        return false;
+    }
+
+    _recordSuccess(host) {
+        host.breaker = { state: "closed", failures: 0, openedAt: 0 };
+    }
+
+    _recordFailure(host) {
+        const { breaker } = host;
+        breaker.failures++;
+        if (
+            breaker.state === "half-open" ||
+            breaker.failures >= HttpClient.CONFIG.BREAKER_THRESHOLD
+        ) {
+            if (breaker.state !== "open") {
+                this.log.warn(
+                    `Circuit open for ${host.name} after ${breaker.failures} failures`,
+                );
+            }
+            breaker.state = "open";
+            breaker.openedAt = Date.now();
+        }
+    }
+
+    // ─── Requests ───────────────────────────────────────
+
+    _isRetryable(error) {
+        // Network errors and timeouts have no status
+        return (
+            error.status === undefined ||
+            error.status === 429 ||
+            error.status >= 500
+        );
+    }
+
+    _backoff(attempt, error) {
+        const retryAfter = Number(error.retryAfter);
+        if (retryAfter > 0) return retryAfter * 1000;
+
+        // Exponential with equal jitter: half fixed, half random
+        const delay = Math.min(
+            HttpClient.CONFIG.BASE_BACKOFF * 2 ** (attempt - 1),
+            HttpClient.CONFIG.MAX_BACKOFF,
+        );
+        return delay / 2 + Math.random() * (delay / 2);
+    }
+
+    async _attempt(url, host, timeout) {
+        await this._acquire(host);
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), timeout);
+        const startedAt = performance.now();
+
+        try {
+            const response = await fetch(url, {
+                signal: controller.signal,
+                credentials: "omit",
+            });
+            if (!response.ok) {
+                throw Object.assign(new Error(`HTTP ${response.status}`), {
+                    status: response.status,
+                    retryAfter: response.headers.get("Retry-After"),
+                });
+            }
+            try {
+                return await response.json();
+            } catch {
+                // A malformed body won't get better by retrying
+                throw Object.assign(new Error(`Invalid JSON from ${url}`), {
+                    status: response.status,
+                });
+            }
+        } catch (error) {
+            if (error.name === "AbortError") {
+                host.metrics.timeouts++;
+                throw new Error(`Timed out after ${timeout}ms: ${url}`);
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+            host.metrics.totalMs += performance.now() - startedAt;
+            this._release(host);
+        }
+    }
+
+    async _request(url, { timeout, retries }) {
+        const host = this._host(url);
+
+        for (let attempt = 1; ; attempt++) {
+            if (!this._allow(host)) {
+                host.metrics.rejected++;
+                throw Object.assign(
+                    new Error(`Circuit open for ${host.name}`),
+                    { circuitOpen: true },
+                );
+            }
+
+            try {
+                const data = await this._attempt(url, host, timeout);
+                this._recordSuccess(host);
+                host.metrics.succeeded++;
+                return data;
+            } catch (error) {
+                // 4xx means the host is fine, the request is not
+                if (!this._isRetryable(error)) {
+                    this._recordSuccess(host);
+                    host.metrics.failed++;
+                    throw error;
+                }
+
+                this._recordFailure(host);
+                if (attempt > retries) {
+                    host.metrics.failed++;
+                    throw error;
+                }
+                host.metrics.retries++;
+                await new Promise((r) =>
+                    setTimeout(r, this._backoff(attempt, error)),
+                );
+            }
+        }
+    }
+
+    /**
+     * GET and parse JSON. Concurrent calls for the same URL share one
+     * request; a caller's `signal` only abandons its own wait.
+     */
+    getJSON(
+        url,
+        {
+            timeout = HttpClient.CONFIG.TIMEOUT,
+            retries = HttpClient.CONFIG.RETRIES,
+            signal,
+        } = {},
+    ) {
+        const host = this._host(url);
+        host.metrics.requests++;
+
+        let shared = this.inflight.get(url);
+        if (shared) {
+            host.metrics.deduped++;
+        } else {
+            shared = this._request(url, { timeout, retries }).finally(() =>
+                this.inflight.delete(url),
+            );
+            this.inflight.set(url, shared);
+        }
+
+        if (!signal) return shared;
+        if (signal.aborted) {
+            return Promise.reject(new DOMException("Aborted", "AbortError"));
+        }
+        return new Promise((resolve, reject) => {
+            const onAbort = () =>
+                reject(new DOMException("Aborted", "AbortError"));
+            signal.addEventListener("abort", onAbort, { once: true });
+            shared
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener("abort", onAbort));
+        });
+    }
+
+    // ─── Metrics ────────────────────────────────────────
+
+    /**
+     * Per-host counters, average latency, queue and circuit state
+     */
+    getMetrics() {
+        const metrics = {};
+        for (const [name, host] of this.hosts) {
+            const attempts =
+                host.metrics.succeeded +
+                host.metrics.failed +
+                host.metrics.retries;
+            metrics[name] = {
+                ...host.metrics,
+                avgMs: attempts
+                    ? Math.round(host.metrics.totalMs / attempts)
+                    : 0,
+                active: host.active,
+                queued: host.queue.length,
+                circuit: host.breaker.state,
+            };
+        }
+        return metrics;
+    }
+
+    resetMetrics() {
+        for (const host of this.hosts.values()) {
+            Object.keys(host.metrics).forEach((key) => (host.metrics[key] = 0));
+        }
+    }
+}
+
+window.HttpClient = new HttpClient();
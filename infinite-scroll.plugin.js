@@ -3,6 +3,7 @@
  * @description Infinite scroll for homescreen.
  * @version 2.0.0
  * @author EZOBOSS
+ * @dependencies metadatadb.plugin.js, http-client.plugin.js, dom-observer.plugin.js, selector-registry.plugin.js, plugin-host.plugin.js, logger.plugin.js
  */
 
 (function () {
@@ -10,9 +11,7 @@
         static CONFIG = {
             FETCH_TIMEOUT: 5000,
             CACHE_TTL: 1000 * 60 * 60 * 12, // 12 hours
-            CACHE_PREFIX: "scroll_cache_",
-            CONTAINER_SELECTOR:
-                ".meta-row-container-xtlB1 .meta-items-container-qcuUA",
+            LEGACY_CACHE_PREFIX: "scroll_cache_", // Pre-MetadataDB localStorage keys
             SCROLL: {
                 FRICTION: 0.99,
                 WHEEL_FORCE: 0.1,
@@ -23,17 +22,29 @@
         };
 
         constructor() {
-            console.log("[InfiniteScrollPlugin] Initializing...");
+            this.log = window.Logger.create("InfiniteScrollPlugin");
+            this.log.info("Initializing...");
 
             this.memoryCache = new Map();
+            this.cache = window.MetadataDB.createStore("infinite-scroll", {
+                ttl: InfiniteScrollPlugin.CONFIG.CACHE_TTL,
+                legacy: {
+                    prefix: InfiniteScrollPlugin.CONFIG.LEGACY_CACHE_PREFIX,
+                    parse: ({ value, timestamp }) => ({
+                        value,
+                        storedAt: timestamp,
+                    }),
+                },
+            });
             this.idLookupSets = new Map();
             this.fetchProgress = {};
-            this.observer = null;
+            this.unobserveTracks = null;
 
             this.activeScrolls = new Set();
             this.isLoopRunning = false;
 
             this.trackObservers = new WeakMap();
+            this.trackTeardowns = new WeakMap();
 
             this.globalTick = this.globalTick.bind(this);
             this.onHashChange = this.onHashChange.bind(this);
@@ -44,13 +55,28 @@
         }
 
         init() {
-            this.clearExpiredCache();
             window.addEventListener("hashchange", this.onHashChange);
             this.initObserver();
 
             this.findAndInitTracks();
         }
 
+        // Cards already loaded stay until Stremio re-renders their row
+        destroy() {
+            window.removeEventListener("hashchange", this.onHashChange);
+            this.disconnectObserver();
+            this.activeScrolls.clear();
+
+            document
+                .querySelectorAll('[data-wheel-scroll-initialized="true"]')
+                .forEach((track) => this.trackTeardowns.get(track)?.());
+            document.querySelector("#scroll-indicator-animation")?.remove();
+
+            if (window.InfiniteScrollPluginInstance === this) {
+                window.InfiniteScrollPluginInstance = null;
+            }
+        }
+
         onHashChange() {
             if (!this.isHomepage()) {
                 this.activeScrolls.clear();
@@ -64,34 +90,25 @@
         }
 
         initObserver() {
-            if (this.observer) return;
-
-            this.observer = new MutationObserver((mutations) => {
-                if (!this.isHomepage()) return;
-
-                let shouldCheck = false;
-                for (const m of mutations) {
-                    if (m.addedNodes.length > 0) {
-                        shouldCheck = true;
-                        break;
-                    }
-                }
-
-                if (shouldCheck) {
-                    this.findAndInitTracks();
-                }
-            });
-
-            this.observer.observe(document.body, {
-                childList: true,
-                subtree: true,
+            if (this.unobserveTracks) return;
+
+            // Board rows, or their cards, arriving as the home page renders
+            const registry = window.SelectorRegistry;
+            this.unobserveTracks = window.DomObserver.observe({
+                id: "infinite-scroll",
+                selector: `${registry.get("boardRow")}, ${registry.get(
+                    "metaItems"
+                )}`,
+                added: () => {
+                    if (this.isHomepage()) this.findAndInitTracks();
+                },
             });
         }
 
         disconnectObserver() {
-            if (this.observer) {
-                this.observer.disconnect();
-                this.observer = null;
+            if (this.unobserveTracks) {
+                this.unobserveTracks();
+                this.unobserveTracks = null;
             }
         }
 
@@ -104,9 +121,12 @@
         findAndInitTracks() {
             if (!this.isHomepage()) return false;
 
-            const tracks = document.querySelectorAll(
-                InfiniteScrollPlugin.CONFIG.CONTAINER_SELECTOR
-            );
+            // The card container of each board row
+            const registry = window.SelectorRegistry;
+            const tracks = registry
+                .queryAll("boardRow")
+                .map((row) => registry.query("metaItems", row))
+                .filter(Boolean);
 
             // Ensure that DOM has loaded enough tracks
             if (tracks.length > 6) {
@@ -125,17 +145,17 @@
                     return true;
                 }
 
-                console.log(
-                    "[InfiniteScrollPlugin] Tracks found. Initializing."
-                );
+                this.log.info("Tracks found. Initializing.");
 
                 // Dynamically detect tracks using header titles
                 let initializedCount = 0;
 
                 tracks.forEach((track) => {
                     // Find the neighboring header element
-                    const headerContainer = track.parentElement?.querySelector(
-                        ".header-container-tR3Ev .title-container-Mkwnq"
+                    if (!track.parentElement) return;
+                    const headerContainer = registry.query(
+                        "boardRowTitle",
+                        track.parentElement
                     );
 
                     if (!headerContainer) return;
@@ -159,8 +179,8 @@
                 });
 
                 if (initializedCount >= 4) {
-                    console.log(
-                        `[InfiniteScrollPlugin] Successfully initialized ${initializedCount} tracks`
+                    this.log.info(
+                        `Successfully initialized ${initializedCount} tracks`
                     );
                     // Ensure observer is stopped if it was running
                     this.disconnectObserver();
@@ -228,7 +248,7 @@
                 ) {
                     s.isFetching = true;
                     this.fetchMoreItems(s.track, s.type, s.catalog)
-                        .catch(console.error)
+                        .catch((err) => this.log.error("Fetch failed", err))
                         .finally(() => {
                             s.isFetching = false;
                         });
@@ -570,165 +590,98 @@
             let rafPending = false;
 
             // Sync state on manual scroll (e.g. drag)
-            track.addEventListener(
-                "scroll",
-                () => {
-                    // If this scroll is being driven by our physics loop, ignore it
-                    // to prevent "Write (globalTick) -> Read (scroll listener)" thrashing
-                    if (this.activeScrolls.has(state)) {
-                        if (!rafPending) {
-                            rafPending = true;
-                            requestAnimationFrame(() => {
-                                const diff = Math.abs(
-                                    track.scrollLeft - state.currentScroll
-                                );
-                                if (diff > 5) {
-                                    // User likely dragged the scrollbar or touched
-                                    state.scrollTarget = track.scrollLeft;
-                                    state.currentScroll = track.scrollLeft;
-                                    state.velocity = 0;
-                                }
-                                rafPending = false;
-                                return;
-                            });
-                        }
-                    }
-
-                    if (!this.activeScrolls.has(state)) {
-                        state.scrollTarget = track.scrollLeft;
-                        state.currentScroll = track.scrollLeft;
-                    }
-
-                    // Throttle indicator updates to once per frame
-                    // Only if we're not currently in the physics loop (which handles it)
-                    if (!this.activeScrolls.has(state) && !rafPending) {
+            const handleScroll = () => {
+                // If this scroll is being driven by our physics loop, ignore it
+                // to prevent "Write (globalTick) -> Read (scroll listener)" thrashing
+                if (this.activeScrolls.has(state)) {
+                    if (!rafPending) {
                         rafPending = true;
                         requestAnimationFrame(() => {
-                            if (!this.activeScrolls.has(state)) {
-                                scrollIndicator &&
-                                    this.updateScrollIndicator(
-                                        track,
-                                        scrollIndicator,
-                                        {
-                                            scrollLeft: track.scrollLeft,
-                                            scrollWidth:
-                                                state.widthCache.scrollWidth,
-                                            clientWidth:
-                                                state.widthCache.clientWidth,
-                                            totalItems: state.totalItems,
-                                        }
-                                    );
+                            const diff = Math.abs(
+                                track.scrollLeft - state.currentScroll
+                            );
+                            if (diff > 5) {
+                                // User likely dragged the scrollbar or touched
+                                state.scrollTarget = track.scrollLeft;
+                                state.currentScroll = track.scrollLeft;
+                                state.velocity = 0;
                             }
                             rafPending = false;
+                            return;
                         });
                     }
-                },
-                { passive: true }
-            );
-        }
-
-        cacheKey(key) {
-            return InfiniteScrollPlugin.CONFIG.CACHE_PREFIX + key;
-        }
+                }
 
-        cacheSet(key, value) {
-            const entry = { value, timestamp: Date.now() };
-            this.memoryCache.set(key, entry);
+                if (!this.activeScrolls.has(state)) {
+                    state.scrollTarget = track.scrollLeft;
+                    state.currentScroll = track.scrollLeft;
+                }
 
-            requestIdleCallback(() => {
-                try {
-                    localStorage.setItem(
-                        this.cacheKey(key),
-                        JSON.stringify(entry)
-                    );
-                } catch (e) {
-                    console.warn("Cache quota exceeded");
+                // Throttle indicator updates to once per frame
+                // Only if we're not currently in the physics loop (which handles it)
+                if (!this.activeScrolls.has(state) && !rafPending) {
+                    rafPending = true;
+                    requestAnimationFrame(() => {
+                        if (!this.activeScrolls.has(state)) {
+                            scrollIndicator &&
+                                this.updateScrollIndicator(
+                                    track,
+                                    scrollIndicator,
+                                    {
+                                        scrollLeft: track.scrollLeft,
+                                        scrollWidth:
+                                            state.widthCache.scrollWidth,
+                                        clientWidth:
+                                            state.widthCache.clientWidth,
+                                        totalItems: state.totalItems,
+                                    }
+                                );
+                        }
+                        rafPending = false;
+                    });
                 }
+            };
+            track.addEventListener("scroll", handleScroll, { passive: true });
+
+            this.trackTeardowns.set(track, () => {
+                track.removeEventListener("wheel", handleWheel);
+                track.removeEventListener("scroll", handleScroll);
+                resizeObserver.disconnect();
+                lazyObserver.disconnect();
+                scrollIndicator?.remove();
+                this.activeScrolls.delete(state);
+                track.style.willChange = "";
+                track.style.contain = "";
+                delete track.dataset.wheelScrollInitialized;
             });
         }
 
-        cacheGet(key) {
-            const now = Date.now();
+        cacheSet(key, value) {
+            this.memoryCache.set(key, { value, timestamp: Date.now() });
+            requestIdleCallback(() => this.cache.set(key, value));
+        }
+
+        async cacheGet(key) {
             const mem = this.memoryCache.get(key);
             if (
                 mem &&
-                now - mem.timestamp < InfiniteScrollPlugin.CONFIG.CACHE_TTL
+                Date.now() - mem.timestamp <
+                    InfiniteScrollPlugin.CONFIG.CACHE_TTL
             )
                 return mem.value;
 
-            try {
-                const raw = localStorage.getItem(this.cacheKey(key));
-                if (!raw) return null;
-                const data = JSON.parse(raw);
-                if (
-                    now - data.timestamp >
-                    InfiniteScrollPlugin.CONFIG.CACHE_TTL
-                ) {
-                    localStorage.removeItem(this.cacheKey(key));
-                    this.memoryCache.delete(key);
-                    return null;
-                }
-                this.memoryCache.set(key, data);
-                this.idLookupSets.set(
-                    key,
-                    new Set(data.value.map((i) => i.id))
-                );
-                return data.value;
-            } catch {
+            // Keeps the stored age, so the copy expires with the entry
+            const entry = await this.cache.getEntry(key);
+            if (!entry) {
+                this.memoryCache.delete(key);
                 return null;
             }
-        }
-
-        clearExpiredCache() {
-            // Run cache cleanup during idle time to avoid blocking the main thread
-            requestIdleCallback(() => {
-                const now = Date.now();
-                const prefix = InfiniteScrollPlugin.CONFIG.CACHE_PREFIX;
-                let clearedCount = 0;
-
-                try {
-                    const keysToRemove = [];
-
-                    // Iterate through localStorage to find expired cache entries
-                    for (let i = 0; i < localStorage.length; i++) {
-                        const storageKey = localStorage.key(i);
-                        if (storageKey && storageKey.startsWith(prefix)) {
-                            try {
-                                const raw = localStorage.getItem(storageKey);
-                                if (raw) {
-                                    const data = JSON.parse(raw);
-                                    if (
-                                        now - data.timestamp >
-                                        InfiniteScrollPlugin.CONFIG.CACHE_TTL
-                                    ) {
-                                        keysToRemove.push(storageKey);
-                                    }
-                                }
-                            } catch (e) {
-                                // If parsing fails, remove the corrupted entry
-                                keysToRemove.push(storageKey);
-                            }
-                        }
-                    }
-
-                    // Remove expired entries
-                    keysToRemove.forEach((key) => {
-                        localStorage.removeItem(key);
-                        clearedCount++;
-                    });
-
-                    if (clearedCount > 0) {
-                        console.log(
-                            `[InfiniteScrollPlugin] Cleared ${clearedCount} expired cache entries`
-                        );
-                    }
-                } catch (e) {
-                    console.warn(
-                        "[InfiniteScrollPlugin] Error clearing expired cache:",
-                        e
-                    );
-                }
+            this.memoryCache.set(key, {
+                value: entry.value,
+                timestamp: entry.storedAt,
             });
+            this.idLookupSets.set(key, new Set(entry.value.map((i) => i.id)));
+            return entry.value;
         }
 
         async safeFetch(
@@ -738,22 +691,16 @@
                 retries = 1,
             } = {}
         ) {
-            let attempt = 0;
-            while (attempt <= retries) {
-                attempt++;
-                const controller = new AbortController();
-                const id = setTimeout(() => controller.abort(), timeout);
-                try {
-                    const res = await fetch(url, { signal: controller.signal });
-                    clearTimeout(id);
-                    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-                    return res.json();
-                } catch (err) {
-                    clearTimeout(id);
-                    if (attempt > retries) throw err;
-                    await new Promise((r) => setTimeout(r, 300 * attempt));
-                }
+            // Serve the last good response when offline or flaky
+            if (window.OfflineCache) {
+                return window.OfflineCache.fetchJSON(url, {
+                    timeout,
+                    retries,
+                    maxAge: InfiniteScrollPlugin.CONFIG.CACHE_TTL,
+                });
             }
+
+            return window.HttpClient.getJSON(url, { timeout, retries });
         }
 
         mapToListItem(m, type) {
@@ -785,7 +732,7 @@
 
             const key = `${type}_${catalog}`;
             const cacheKey = `catalog_${key}`;
-            let allData = this.cacheGet(cacheKey) || [];
+            let allData = (await this.cacheGet(cacheKey)) || [];
             const offset = this.fetchProgress[key] || 0;
 
             const baseUrl = `https://cinemeta-catalogs.strem.io/top/catalog/${type}/${catalog}`;
@@ -817,8 +764,8 @@
                     fetchUrl = `${baseUrl}/skip=${skip}.json`;
                 }
 
-                console.log(
-                    `[InfiniteScrollPlugin] Fetching fresh data (skip=${skip}) for "${key}"`
+                this.log.info(
+                    `Fetching fresh data (skip=${skip}) for "${key}"`
                 );
 
                 try {
@@ -826,8 +773,8 @@
 
                     if (!json || !json.metas) {
                         if (allData.length > 0) {
-                            console.log(
-                                `[InfiniteScrollPlugin] End of catalog reached for "${key}"`
+                            this.log.info(
+                                `End of catalog reached for "${key}"`
                             );
                             return [];
                         }
@@ -848,10 +795,7 @@
                     allData = [...allData, ...filteredMetas];
                     this.cacheSet(cacheKey, allData);
                 } catch (e) {
-                    console.warn(
-                        `[InfiniteScrollPlugin] fetch failed for ${key}`,
-                        e
-                    );
+                    this.log.warn(`fetch failed for ${key}`, e);
                     return [];
                 }
             }
@@ -863,7 +807,7 @@
         }
 
         async fetchMoreItems(track, type = "movie", catalog = "top") {
-            console.log("[InfiniteScrollPlugin] Fetching more items...");
+            this.log.info("Fetching more items...");
 
             try {
                 const items = await this.fetchCatalogTitles(
@@ -873,9 +817,7 @@
                     track
                 );
                 if (!items?.length) {
-                    console.log(
-                        "[InfiniteScrollPlugin] No more items to load."
-                    );
+                    this.log.info("No more items to load.");
                     return;
                 }
 
@@ -934,13 +876,16 @@
                     }
                 });
             } catch (err) {
-                console.error("[InfiniteScrollPlugin] Fetch error", err);
+                this.log.error("Fetch error", err);
             }
         }
     }
 
     // Initialize on idle callback to avoid blocking main thread
     requestIdleCallback(() => {
-        new InfiniteScrollPlugin();
+        window.PluginHost.register({
+            id: "infinite-scroll",
+            start: () => new InfiniteScrollPlugin(),
+        });
     });
 })();
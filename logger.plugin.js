@@ -0,0 +1,318 @@
+/**
+ * @name Logger
+ * @description Shared logger with per-plugin namespaces, levels adjustable from settings, a buffer of recent entries and repeat suppression
+ * @version 1.0.0
+ * @author EZOBOSS
+ */
+
+class Logger {
+    static CONFIG = {
+        SETTINGS_ID: "logging",
+        LEVELS: ["debug", "info", "warn", "error", "silent"],
+        DEFAULT_LEVEL: "info",
+        BUFFER_SIZE: 500,
+        REPEAT_WINDOW: 10 * 1000,
+        REPEAT_LIMIT: 5, // Identical messages per window before suppressing
+        MAX_ARG_LENGTH: 1000, // Characters kept per serialized argument
+        FILE_PREFIX: "liquid-glass-logs",
+    };
+
+    static CONSOLE_METHODS = {
+        debug: "debug",
+        info: "log",
+        warn: "warn",
+        error: "error",
+    };
+
+    constructor() {
+        this.namespaces = new Map(); // namespace -> default level
+        this.levels = new Map(); // namespace ("*" for the default) -> level
+        this.entries = []; // { time, namespace, level, message, stack }, oldest first
+        this.repeats = new Map(); // namespace|level|message -> { since, count, suppressed, timer, ... }
+        this.settingsHandle = null;
+        this.settingsReady = false;
+    }
+
+    /**
+     * A logger for one plugin: { debug, info, warn, error }, each taking
+     * console-style arguments. Output is prefixed with "[namespace]"; the
+     * level is the user's choice for the namespace, else `level`, else the
+     * global default.
+     */
+    create(namespace, { level = null } = {}) {
+        if (!this.namespaces.has(namespace)) {
+            this.namespaces.set(namespace, level);
+            this._scheduleSettings();
+        }
+
+        const logger = {};
+        Object.keys(Logger.CONSOLE_METHODS).forEach((method) => {
+            logger[method] = (...args) => this._log(namespace, method, args);
+        });
+        return logger;
+    }
+
+    // ─── Levels ─────────────────────────────────────────
+
+    getLevel(namespace = null) {
+        const fallback = this.levels.get("*") || Logger.CONFIG.DEFAULT_LEVEL;
+        if (!namespace) return fallback;
+
+        // Until settings are read, the level the plugin asked for
+        const level =
+            this.levels.get(namespace) ?? this.namespaces.get(namespace);
+        return level && level !== "default" ? level : fallback;
+    }
+
+    /**
+     * Change a namespace's level, or the default one without a namespace.
+     * Goes through settings so it survives a reload.
+     */
+    setLevel(namespace, level) {
+        if (!Logger.CONFIG.LEVELS.includes(level) && level !== "default") {
+            throw new Error(`[Logger] Unknown level "${level}"`);
+        }
+        const key = namespace ?? "*";
+        if (window.StremioSettings) {
+            // A namespace created since the last registration has no setting yet
+            this._registerSettings();
+            window.StremioSettings.set(Logger.CONFIG.SETTINGS_ID, key, level);
+        }
+        this.levels.set(key, level);
+    }
+
+    _enabled(namespace, level) {
+        const { LEVELS } = Logger.CONFIG;
+        return (
+            LEVELS.indexOf(level) >= LEVELS.indexOf(this.getLevel(namespace))
+        );
+    }
+
+    // ─── Settings ───────────────────────────────────────
+
+    /**
+     * Namespaces are created as plugins load, so the settings group is
+     * (re)registered at the next idle period rather than once per namespace
+     */
+    _scheduleSettings() {
+        if (this.settingsHandle !== null) return;
+        this.settingsHandle = requestIdleCallback(() => {
+            this.settingsHandle = null;
+            this._registerSettings();
+        });
+    }
+
+    _registerSettings() {
+        const settings = window.StremioSettings;
+        if (!settings?.register) return;
+
+        const { SETTINGS_ID, LEVELS, DEFAULT_LEVEL } = Logger.CONFIG;
+        const options = LEVELS.map((level) => ({
+            value: level,
+            label: level[0].toUpperCase() + level.slice(1),
+        }));
+
+        settings.register(SETTINGS_ID, {
+            title: "Logging",
+            settings: [
+                {
+                    key: "*",
+                    type: "select",
+                    label: "Default level",
+                    default: DEFAULT_LEVEL,
+                    options,
+                },
+                ...[...this.namespaces]
+                    .sort(([a], [b]) => a.localeCompare(b))
+                    .map(([namespace, level]) => ({
+                        key: namespace,
+                        type: "select",
+                        label: namespace,
+                        default: level || "default",
+                        options: [
+                            { value: "default", label: "Default" },
+                            ...options,
+                        ],
+                    })),
+            ],
+        });
+
+        Object.entries(settings.getAll(SETTINGS_ID)).forEach(([key, level]) =>
+            this.levels.set(key, level),
+        );
+
+        if (this.settingsReady) return;
+        this.settingsReady = true;
+        settings.onChange(SETTINGS_ID, (key, level) =>
+            this.levels.set(key, level),
+        );
+        settings.registerAction({
+            id: "logger-export",
+            label: "Recent log entries",
+            buttonLabel: "Export",
+            onClick: () => this.download(),
+        });
+    }
+
+    // ─── Writing ────────────────────────────────────────
+
+    _log(namespace, level, args) {
+        if (!this._enabled(namespace, level)) return;
+
+        const message = this._format(args);
+        if (this._isRepeat(namespace, level, message)) return;
+
+        console[Logger.CONSOLE_METHODS[level]](`[${namespace}]`, ...args);
+        this._record(namespace, level, message, args);
+    }
+
+    /**
+     * Messages logged on every mutation or scroll would bury everything
+     * else. Past REPEAT_LIMIT identical ones within REPEAT_WINDOW, they are
+     * dropped and counted; the count is logged once the window has passed.
+     */
+    _isRepeat(namespace, level, message) {
+        const { REPEAT_WINDOW, REPEAT_LIMIT } = Logger.CONFIG;
+        const key = `${namespace}|${level}|${message}`;
+        const now = Date.now();
+        let repeat = this.repeats.get(key);
+
+        if (repeat && now - repeat.since > REPEAT_WINDOW) {
+            this._endRepeat(key, repeat);
+            repeat = null;
+        }
+        if (!repeat) {
+            this._pruneRepeats(now);
+            repeat = {
+                namespace,
+                level,
+                message,
+                since: now,
+                count: 0,
+                suppressed: 0,
+                timer: null,
+            };
+            this.repeats.set(key, repeat);
+        }
+
+        repeat.count++;
+        if (repeat.count <= REPEAT_LIMIT) return false;
+        if (repeat.suppressed++ === 0) {
+            // Report when the window ends, whether or not the burst goes on
+            repeat.timer = setTimeout(
+                () => this._endRepeat(key, repeat),
+                repeat.since + REPEAT_WINDOW - now,
+            );
+        }
+        return true;
+    }
+
+    /**
+     * Close a repeat window, logging how many messages it suppressed
+     */
+    _endRepeat(key, repeat) {
+        clearTimeout(repeat.timer);
+        if (this.repeats.get(key) === repeat) this.repeats.delete(key);
+        if (repeat.suppressed === 0) return;
+
+        const { namespace, level, message, suppressed } = repeat;
+        const summary = `Suppressed ${suppressed} repeats of: ${message}`;
+        console[Logger.CONSOLE_METHODS[level]](`[${namespace}]`, summary);
+        this._record(namespace, level, summary);
+    }
+
+    _pruneRepeats(now) {
+        if (this.repeats.size < Logger.CONFIG.BUFFER_SIZE) return;
+        for (const [key, repeat] of this.repeats) {
+            if (now - repeat.since > Logger.CONFIG.REPEAT_WINDOW) {
+                this._endRepeat(key, repeat);
+            }
+        }
+    }
+
+    _format(args) {
+        return args
+            .map((arg) => {
+                if (arg instanceof Error) return `${arg.name}: ${arg.message}`;
+                if (typeof arg === "string") return arg;
+                try {
+                    return JSON.stringify(arg) ?? String(arg);
+                } catch {
+                    return String(arg);
+                }
+            })
+            .map((text) =>
+                text.length > Logger.CONFIG.MAX_ARG_LENGTH
+                    ? `${text.slice(0, Logger.CONFIG.MAX_ARG_LENGTH)}…`
+                    : text,
+            )
+            .join(" ");
+    }
+
+    _record(namespace, level, message, args = []) {
+        this.entries.push({
+            time: new Date().toISOString(),
+            namespace,
+            level,
+            message,
+            stack: args.find((arg) => arg instanceof Error)?.stack || null,
+        });
+        if (this.entries.length > Logger.CONFIG.BUFFER_SIZE) {
+            this.entries.shift();
+        }
+    }
+
+    // ─── Reading ────────────────────────────────────────
+
+    /**
+     * Buffered entries, oldest first, optionally of one namespace and at
+     * or above a level
+     */
+    getEntries({ namespace = null, level = "debug" } = {}) {
+        const { LEVELS } = Logger.CONFIG;
+        return this.entries.filter(
+            (entry) =>
+                (!namespace || entry.namespace === namespace) &&
+                LEVELS.indexOf(entry.level) >= LEVELS.indexOf(level),
+        );
+    }
+
+    export(filters) {
+        return JSON.stringify(
+            {
+                exportedAt: new Date().toISOString(),
+                levels: Object.fromEntries(
+                    [...this.namespaces.keys()].map((namespace) => [
+                        namespace,
+                        this.getLevel(namespace),
+                    ]),
+                ),
+                entries: this.getEntries(filters),
+            },
+            null,
+            2,
+        );
+    }
+
+    download() {
+        const blob = new Blob([this.export()], { type: "application/json" });
+        const url = URL.createObjectURL(blob);
+        const date = new Date().toISOString().slice(0, 10);
+
+        const link = document.createElement("a");
+        link.href = url;
+        link.download = `${Logger.CONFIG.FILE_PREFIX}-${date}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    clear() {
+        this.entries = [];
+        this.repeats.forEach((repeat) => clearTimeout(repeat.timer));
+        this.repeats.clear();
+    }
+}
+
+window.Logger = new Logger();
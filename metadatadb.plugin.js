@@ -3,21 +3,165 @@
  * @description High-performance IndexedDB wrapper with in-memory caching
  * @version 2.0.0
  * @author EZOBOSS
- * @dependencies enhanced-titlebar.plugin.js, notifications.plugin.js, upcoming-list.plugin.js
+ * @dependencies http-client.plugin.js, logger.plugin.js
  */
 
 class MetadataDB {
     static CONFIG = {
         DB_NAME: "ETB_MetadataDB",
-        DB_VERSION: 1,
+        DB_VERSION: 4,
         STORE_NAME: "metadata",
+        KV_STORE_NAME: "kv", // Namespaced plugin caches, see createStore()
+        CHANNEL_NAME: "liquid-glass-metadatadb", // Cross-tab change propagation
+        MIGRATION_FAILURE_KEY: "metadatadb_migration_failure",
+        MIGRATION_RETRY_DELAY: 24 * 60 * 60 * 1000, // Retry a failed upgrade after 1 day
         CACHE_TTL_SERIES: 30 * 24 * 60 * 60 * 1000, // 30 days for series
         CACHE_TTL_NEW_MOVIE: 30 * 24 * 60 * 60 * 1000, // 30 days for new movies
         MEMORY_CACHE_SIZE: 500, // Max items in memory cache
         BATCH_DELAY: 250, // ms to wait before flushing batch writes
+        FETCH_TIMEOUT: 5000, // ms per provider attempt
+        // Built-in metadata providers (Stremio addon protocol), highest priority first
+        PROVIDERS: [
+            {
+                name: "cinemeta",
+                baseUrl: "https://v3-cinemeta.strem.io",
+                // Uncached instance with the latest episode air dates
+                liveBaseUrl: "https://cinemeta-live.strem.io",
+                prefixes: ["tt"],
+                idPattern: /tt\d{7,}/,
+                priority: 100,
+                searchCatalog: "top",
+            },
+            {
+                name: "kitsu",
+                baseUrl: "https://anime-kitsu.strem.fun",
+                prefixes: ["kitsu:", "mal:", "anilist:", "anidb:"],
+                priority: 50,
+            },
+        ],
     };
 
+    /**
+     * Ordered schema upgrade steps. Each runs inside the versionchange
+     * transaction, so a throwing step rolls back the whole upgrade and
+     * leaves the existing records untouched. Append new steps here and
+     * bump CONFIG.DB_VERSION to the last step's version.
+     */
+    static MIGRATIONS = [
+        {
+            version: 1,
+            description: "Create metadata store with type/timestamp indexes",
+            upgrade(db) {
+                if (db.objectStoreNames.contains(MetadataDB.CONFIG.STORE_NAME))
+                    return;
+
+                const store = db.createObjectStore(
+                    MetadataDB.CONFIG.STORE_NAME,
+                    { keyPath: "id" },
+                );
+                store.createIndex("type", "type", { unique: false });
+                store.createIndex("timestamp", "timestamp", { unique: false });
+            },
+        },
+        {
+            version: 2,
+            description: "Index lastAccessed/nextReleaseDate and backfill them",
+            upgrade(db, transaction) {
+                const store = transaction.objectStore(
+                    MetadataDB.CONFIG.STORE_NAME,
+                );
+                if (!store.indexNames.contains("lastAccessed")) {
+                    store.createIndex("lastAccessed", "lastAccessed", {
+                        unique: false,
+                    });
+                }
+                if (!store.indexNames.contains("nextReleaseDate")) {
+                    store.createIndex("nextReleaseDate", "nextReleaseDate", {
+                        unique: false,
+                    });
+                }
+
+                MetadataDB.rewriteRecords(store, (record) => {
+                    record.lastAccessed ??= record.timestamp;
+                    record.nextReleaseDate = MetadataDB.computeNextReleaseDate(
+                        record.data,
+                    );
+                    return record;
+                });
+            },
+        },
+        {
+            version: 3,
+            description: "Create key-value store for plugin caches",
+            upgrade(db) {
+                if (
+                    db.objectStoreNames.contains(
+                        MetadataDB.CONFIG.KV_STORE_NAME,
+                    )
+                )
+                    return;
+
+                // [namespace, key] keeps each namespace in one key range
+                const store = db.createObjectStore(
+                    MetadataDB.CONFIG.KV_STORE_NAME,
+                    { keyPath: ["namespace", "key"] },
+                );
+                store.createIndex("expiresAt", "expiresAt", { unique: false });
+            },
+        },
+        {
+            version: 4,
+            description:
+                "Index watched/releaseDates for queries and backfill them",
+            upgrade(db, transaction) {
+                const store = transaction.objectStore(
+                    MetadataDB.CONFIG.STORE_NAME,
+                );
+                if (!store.indexNames.contains("watched")) {
+                    store.createIndex("watched", "watched", { unique: false });
+                }
+                if (!store.indexNames.contains("releaseDates")) {
+                    store.createIndex("releaseDates", "releaseDates", {
+                        unique: false,
+                        multiEntry: true,
+                    });
+                }
+
+                MetadataDB.rewriteRecords(store, (record) =>
+                    MetadataDB.stampQueryFields(record),
+                );
+            },
+        },
+    ];
+
+    /**
+     * Fields query() can filter on and the index behind each. Range fields
+     * take { from, to } in ms, both inclusive and optional. `released`
+     * matches records with any release (episode or movie) in the range.
+     */
+    static QUERY_FIELDS = {
+        type: { index: "type", exact: true },
+        watched: { index: "watched", exact: true },
+        released: { index: "releaseDates", multiEntry: true },
+        nextReleaseDate: { index: "nextReleaseDate" },
+        timestamp: { index: "timestamp" },
+        lastAccessed: { index: "lastAccessed" },
+    };
+
+    // Without a sort, the first filter present in this order picks the index
+    static QUERY_SCAN_ORDER = [
+        "released",
+        "nextReleaseDate",
+        "watched",
+        "type",
+        "timestamp",
+        "lastAccessed",
+    ];
+
+    static SORT_FIELDS = ["id", "timestamp", "lastAccessed", "nextReleaseDate"];
+
     constructor() {
+        this.log = window.Logger.create("MetadataDB");
         this.db = null;
         this.isReady = false;
         this.initPromise = this.init();
@@ -25,6 +169,7 @@ class MetadataDB {
         // In-memory LRU cache for hot data
         this.memoryCache = new Map();
         this.cacheAccessOrder = [];
+        this.cacheStats = { hits: 0, misses: 0 };
 
         // Batch write queue for performance
         this.writeQueue = new Map();
@@ -35,84 +180,251 @@ class MetadataDB {
 
         // Pub/Sub: subscribers per ID (or '*' for all changes)
         this.subscribers = new Map();
+
+        // Writes in other tabs invalidate this tab's memory cache and
+        // reach its subscribers with changeType "remote"
+        this.channel =
+            "BroadcastChannel" in window
+                ? new BroadcastChannel(MetadataDB.CONFIG.CHANNEL_NAME)
+                : null;
+        if (this.channel) {
+            this.channel.onmessage = (e) => this._onRemoteChange(e.data);
+        }
+
+        // Metadata providers, sorted by descending priority
+        this.providers = [];
+        MetadataDB.CONFIG.PROVIDERS.forEach((options) =>
+            this.registerProvider(MetadataDB.createAddonProvider(options)),
+        );
     }
 
     async init() {
+        const targetVersion = this._shouldAttemptUpgrade()
+            ? MetadataDB.CONFIG.DB_VERSION
+            : undefined;
+
         try {
-            await new Promise((resolve, reject) => {
-                const request = indexedDB.open(
-                    MetadataDB.CONFIG.DB_NAME,
-                    MetadataDB.CONFIG.DB_VERSION,
+            try {
+                await this._open(targetVersion);
+            } catch (error) {
+                if (targetVersion === undefined) throw error;
+
+                // Upgrade aborted or DB is newer than this build:
+                // reopen at whatever version exists so cached data stays usable
+                this.log.warn(
+                    "Schema upgrade failed, opening existing schema:",
+                    error,
                 );
+                this._recordMigrationFailure(targetVersion, error);
+                await this._open();
+            }
+        } catch (error) {
+            this.log.error("Initialization failed:", error);
+            throw error;
+        }
+    }
 
-                request.onerror = () => {
-                    console.error(
-                        "[MetadataDB] Failed to open database:",
-                        request.error,
+    /**
+     * Open the database, running pending migrations when `version` is
+     * higher than the stored one. Without a version the existing schema
+     * is opened as-is.
+     */
+    _open(version) {
+        return new Promise((resolve, reject) => {
+            const request =
+                version === undefined
+                    ? indexedDB.open(MetadataDB.CONFIG.DB_NAME)
+                    : indexedDB.open(MetadataDB.CONFIG.DB_NAME, version);
+
+            request.onerror = () => {
+                this.log.error("Failed to open database:", request.error);
+                reject(request.error);
+            };
+
+            request.onsuccess = (event) => {
+                this.db = event.target.result;
+                this.isReady = true;
+
+                if (this.db.version >= MetadataDB.CONFIG.DB_VERSION) {
+                    localStorage.removeItem(
+                        MetadataDB.CONFIG.MIGRATION_FAILURE_KEY,
                     );
-                    reject(request.error);
+                }
+
+                this.db.onerror = (event) => {
+                    this.log.error("Database error:", event.target.error);
                 };
 
-                request.onsuccess = (event) => {
-                    this.db = event.target.result;
-                    this.isReady = true;
+                // Another tab is upgrading the schema: step aside so it
+                // isn't blocked, then reconnect once it is done. Calls made
+                // in between wait for the new connection.
+                this.db.onversionchange = () => {
+                    this.log.warn(
+                        "Database version changed, reconnecting after the upgrade",
+                    );
+                    this.db.close();
+                    this.db = null;
+                    this.isReady = false;
+                    this.initPromise = this._open().catch((error) =>
+                        this.log.error("Failed to reconnect:", error),
+                    );
+                };
 
-                    this.db.onerror = (event) => {
-                        console.error(
-                            "[MetadataDB] Database error:",
-                            event.target.error,
-                        );
-                    };
+                resolve();
+            };
 
-                    this.db.onversionchange = () => {
-                        console.warn(
-                            "[MetadataDB] Database version changed, closing connection",
-                        );
-                        this.db.close();
-                        this.isReady = false;
-                    };
+            request.onupgradeneeded = (event) => {
+                this._runMigrations(
+                    event.target.result,
+                    event.target.transaction,
+                    event.oldVersion,
+                    event.newVersion,
+                );
+            };
+
+            // Tabs running this plugin close their connection on
+            // versionchange, so the upgrade goes ahead once they do; only a
+            // tab that keeps its connection open holds it up until closed.
+            // The request stays queued either way and calls wait on it.
+            request.onblocked = () => {
+                this.log.warn(
+                    "Database upgrade waiting for other Stremio windows to release the database",
+                );
+            };
+        });
+    }
 
-                    resolve();
-                };
+    _runMigrations(db, transaction, oldVersion, newVersion) {
+        for (const migration of MetadataDB.MIGRATIONS) {
+            if (migration.version <= oldVersion) continue;
+            if (migration.version > newVersion) break;
 
-                request.onupgradeneeded = (event) => {
-                    const db = event.target.result;
+            this.log.info(
+                `Migrating to v${migration.version}: ${migration.description}`,
+            );
+            try {
+                migration.upgrade(db, transaction);
+            } catch (error) {
+                this.log.error(
+                    `Migration v${migration.version} failed:`,
+                    error,
+                );
+                // Roll back every step of this upgrade
+                transaction.abort();
+                return;
+            }
+        }
+    }
 
-                    if (
-                        !db.objectStoreNames.contains(
-                            MetadataDB.CONFIG.STORE_NAME,
-                        )
-                    ) {
-                        const store = db.createObjectStore(
-                            MetadataDB.CONFIG.STORE_NAME,
-                            {
-                                keyPath: "id",
-                            },
-                        );
+    /**
+     * Skip the upgrade for a while after it failed, instead of
+     * re-running a broken migration on every page load
+     */
+    _shouldAttemptUpgrade() {
+        try {
+            const failure = JSON.parse(
+                localStorage.getItem(MetadataDB.CONFIG.MIGRATION_FAILURE_KEY),
+            );
+            return !(
+                failure?.version === MetadataDB.CONFIG.DB_VERSION &&
+                Date.now() - failure.at <
+                    MetadataDB.CONFIG.MIGRATION_RETRY_DELAY
+            );
+        } catch {
+            return true;
+        }
+    }
 
-                        store.createIndex("type", "type", { unique: false });
-                        store.createIndex("timestamp", "timestamp", {
-                            unique: false,
-                        });
-                    }
-                };
+    _recordMigrationFailure(version, error) {
+        try {
+            localStorage.setItem(
+                MetadataDB.CONFIG.MIGRATION_FAILURE_KEY,
+                JSON.stringify({
+                    version,
+                    at: Date.now(),
+                    error: String(error?.message || error),
+                }),
+            );
+        } catch {}
+    }
 
-                request.onblocked = () => {
-                    console.warn(
-                        "[MetadataDB] Database upgrade blocked by other tabs",
-                    );
-                };
-            });
-        } catch (error) {
-            console.error("[MetadataDB] Initialization failed:", error);
-            throw error;
+    /**
+     * Rewrite every record of a store in place via a cursor. A record whose
+     * transform throws is left as it was rather than failing the upgrade.
+     */
+    static rewriteRecords(store, transform) {
+        const request = store.openCursor();
+        request.onsuccess = () => {
+            const cursor = request.result;
+            if (!cursor) return;
+
+            try {
+                const updated = transform(structuredClone(cursor.value));
+                if (updated) cursor.update(updated);
+            } catch (error) {
+                window.MetadataDB.log.warn(
+                    `Skipped migrating record ${cursor.key}:`,
+                    error,
+                );
+            }
+            cursor.continue();
+        };
+    }
+
+    /**
+     * Earliest future release (ms) among a meta's videos, or the meta itself
+     * for movies. Stored on each record to back the nextReleaseDate index.
+     */
+    static computeNextReleaseDate(data) {
+        if (!data) return null;
+
+        const now = Date.now();
+        let next = null;
+        const dates = Array.isArray(data.videos)
+            ? data.videos.map((v) => v.released)
+            : [data.released];
+
+        for (const released of dates) {
+            const ms = Date.parse(released);
+            if (!isNaN(ms) && ms > now && (next === null || ms < next)) {
+                next = ms;
+            }
         }
+        return next;
+    }
+
+    /**
+     * Derived fields backing the query indexes. IndexedDB can't index
+     * booleans, so `watched` is 1 when any episode is watched, else 0.
+     */
+    static stampQueryFields(record) {
+        const data = record.data;
+        const dates = Array.isArray(data?.videos)
+            ? data.videos.map((v) => v.released)
+            : [data?.released];
+
+        record.type ??= data?.type;
+        record.watched = data?.videos?.some((v) => v.watched === true) ? 1 : 0;
+        record.releaseDates = [
+            ...new Set(
+                dates.map((d) => Date.parse(d)).filter((ms) => !isNaN(ms)),
+            ),
+        ];
+        return record;
+    }
+
+    /**
+     * Stamp the indexed, derived fields on a record about to be written,
+     * keeping access tracking from the record it replaces
+     */
+    _prepareRecord(record, existing) {
+        record.lastAccessed = existing?.lastAccessed ?? record.timestamp;
+        record.nextReleaseDate = MetadataDB.computeNextReleaseDate(record.data);
+        return MetadataDB.stampQueryFields(record);
     }
 
     async ensureReady() {
-        if (!this.isReady) {
-            await this.initPromise;
-        }
+        if (!this.isReady) await this.initPromise;
         if (!this.db) {
             throw new Error("[MetadataDB] Database connection not available");
         }
@@ -151,6 +463,7 @@ class MetadataDB {
 
     _getFromCache(id) {
         if (this.memoryCache.has(id)) {
+            this.cacheStats.hits++;
             const existingIndex = this.cacheAccessOrder.indexOf(id);
             if (existingIndex > -1) {
                 this.cacheAccessOrder.splice(existingIndex, 1);
@@ -159,6 +472,7 @@ class MetadataDB {
             // Return reference directly - it is already frozen
             return this.memoryCache.get(id);
         }
+        this.cacheStats.misses++;
         return undefined;
     }
 
@@ -196,10 +510,7 @@ class MetadataDB {
                 try {
                     callback(id, data, changeType);
                 } catch (err) {
-                    console.error(
-                        "[MetadataDB] Subscriber callback error:",
-                        err,
-                    );
+                    this.log.error("Subscriber callback error:", err);
                 }
             }
         }
@@ -211,15 +522,41 @@ class MetadataDB {
                 try {
                     callback(id, data, changeType);
                 } catch (err) {
-                    console.error(
-                        "[MetadataDB] Subscriber callback error:",
-                        err,
-                    );
+                    this.log.error("Subscriber callback error:", err);
                 }
             }
         }
     }
 
+    _broadcastChange(ids) {
+        if (!this.channel || ids.length === 0) return;
+        try {
+            this.channel.postMessage({ ids });
+        } catch (error) {
+            this.log.warn("Failed to broadcast change:", error);
+        }
+    }
+
+    /**
+     * Another tab committed writes: drop our cached copies and hand
+     * subscribers the stored records (null once deleted)
+     */
+    async _onRemoteChange(message) {
+        if (!Array.isArray(message?.ids)) return;
+
+        // Our own queued write is newer than whatever the other tab stored
+        const ids = message.ids.filter((id) => !this.writeQueue.has(id));
+        if (ids.length === 0) return;
+
+        // The next get() reloads; peeking neither caches a miss nor
+        // writes lastAccessed back over the other tab's record
+        ids.forEach((id) => this._removeFromCache(id));
+        const records = await this._peekMany(ids);
+        for (const id of ids) {
+            this._notifySubscribers(id, records.get(id) ?? null, "remote");
+        }
+    }
+
     _shouldExpire(record) {
         const age = Date.now() - record.timestamp;
 
@@ -263,15 +600,15 @@ class MetadataDB {
 
     _hasDataChanged(existing, incoming) {
         if (!existing || !incoming) {
-            console.log("[MetadataDB] One of the objects is missing");
+            this.log.debug("One of the objects is missing");
             return true;
         }
 
-        console.log("[MetadataDB] Checking for data changes:", existing.name);
+        this.log.debug("Checking for data changes:", existing.name);
 
         const check = (field, a, b) => {
             if (a !== b && b !== undefined && b !== null) {
-                console.log(`[MetadataDB] Change detected in "${field}":`, {
+                this.log.debug(`Change detected in "${field}":`, {
                     existing: a,
                     incoming: b,
                 });
@@ -303,44 +640,246 @@ class MetadataDB {
 
         if (Array.isArray(existingVideos) && Array.isArray(incomingVideos)) {
             if (existingVideos.length !== incomingVideos.length) {
-                console.log("[MetadataDB] Change detected in videos.length:", {
+                this.log.debug("Change detected in videos.length:", {
                     existing: existingVideos.length,
                     incoming: incomingVideos.length,
                 });
                 return true;
             }
         } else if (existingVideos !== incomingVideos) {
-            console.log("[MetadataDB] Change detected in videos reference:", {
+            this.log.debug("Change detected in videos reference:", {
                 existing: existingVideos,
                 incoming: incomingVideos,
             });
             return true;
         }
 
-        console.log("[MetadataDB] Data is identical");
+        this.log.debug("Data is identical");
         return false;
     }
 
-    async fetchFromApi(id, type) {
-        try {
-            const response = await fetch(
-                `https://v3-cinemeta.strem.io/meta/${type}/${id}.json`,
+    /**
+     * Build a provider for any addon speaking the Stremio addon protocol
+     * (`/meta/{type}/{id}.json`, optional `/catalog/{type}/{catalog}/search=`).
+     * `liveBaseUrl` is an optional fresher instance for `live` fetches.
+     */
+    static createAddonProvider({
+        name,
+        baseUrl,
+        liveBaseUrl = null,
+        prefixes,
+        priority = 0,
+        searchCatalog = null,
+        idPattern = null,
+    }) {
+        const base = baseUrl.replace(/\/+$/, "");
+        const liveBase = liveBaseUrl?.replace(/\/+$/, "") || base;
+
+        // Shared client: plugins asking for the same meta share one request
+        const getJson = (url, signal) =>
+            window.HttpClient.getJSON(url, { signal });
+
+        return {
+            name,
+            prefixes,
+            priority,
+            idPattern,
+            async fetch(id, type, { signal, live = false } = {}) {
+                const data = await getJson(
+                    `${
+                        live ? liveBase : base
+                    }/meta/${type}/${encodeURIComponent(id)}.json`,
+                    signal,
+                );
+                return data?.meta || null;
+            },
+            normalize: MetadataDB.normalizeMeta,
+            search: searchCatalog
+                ? async (type, query, { signal } = {}) => {
+                      const data = await getJson(
+                          `${base}/catalog/${type}/${searchCatalog}/search=${encodeURIComponent(query)}.json`,
+                          signal,
+                      );
+                      return data?.metas || [];
+                  }
+                : null,
+        };
+    }
+
+    /**
+     * Coerce addon metadata into the Cinemeta shape the plugins expect:
+     * movie/series type, a name, and numeric season/episode on every video
+     */
+    static normalizeMeta(meta, id, type) {
+        if (!meta || typeof meta !== "object") return null;
+
+        const normalized = {
+            ...meta,
+            id: meta.id || id,
+            type: meta.type === "anime" ? "series" : meta.type || type,
+            name: meta.name || meta.title,
+        };
+
+        if (Array.isArray(meta.videos)) {
+            normalized.videos = meta.videos.map((video) => {
+                const season = video.season ?? 1;
+                const episode = video.episode ?? video.number ?? 0;
+                const released = video.released || video.firstAired;
+                return {
+                    ...video,
+                    season: +season,
+                    episode: +episode,
+                    released,
+                };
+            });
+        }
+
+        return normalized;
+    }
+
+    /**
+     * Register (or replace, by name) a metadata provider.
+     * A provider is { name, prefixes, priority, fetch(id, type, { signal, live }),
+     * normalize?(meta, id, type), search?(type, query, { signal }), idPattern? }
+     */
+    registerProvider(provider) {
+        if (
+            !provider?.name ||
+            !Array.isArray(provider.prefixes) ||
+            provider.prefixes.length === 0 ||
+            typeof provider.fetch !== "function"
+        ) {
+            throw new Error(
+                "[MetadataDB] A provider needs a name, ID prefixes and a fetch function",
             );
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+        }
+
+        this.unregisterProvider(provider.name);
+        this.providers.push({
+            priority: 0,
+            normalize: MetadataDB.normalizeMeta,
+            ...provider,
+        });
+        this.providers.sort((a, b) => b.priority - a.priority);
+    }
+
+    unregisterProvider(name) {
+        this.providers = this.providers.filter((p) => p.name !== name);
+    }
+
+    getProviders(id) {
+        if (typeof id !== "string") return [];
+        return this.providers.filter((p) =>
+            p.prefixes.some((prefix) => id.startsWith(prefix)),
+        );
+    }
+
+    hasProvider(id) {
+        return this.getProviders(id).length > 0;
+    }
+
+    /**
+     * Find the first provider-handled ID inside a URL, href or image src
+     */
+    extractId(text) {
+        if (!text) return null;
+
+        let decoded = text;
+        try {
+            decoded = decodeURIComponent(text);
+        } catch {
+            // Keep the raw text if it is not valid URI encoding
+        }
+
+        let best = null;
+        for (const provider of this.providers) {
+            for (const prefix of provider.prefixes) {
+                const pattern =
+                    provider.idPattern ||
+                    new RegExp(
+                        `${prefix.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}\\d+`,
+                    );
+                const match = pattern.exec(decoded);
+                if (match && (!best || match.index < best.index)) {
+                    best = { id: match[0], index: match.index };
+                }
             }
-            const data = await response.json();
-            console.log(
-                `[MetadataDB] Fetched ${id}: ${data.meta.name} from API`,
-            );
-            return data.meta || null;
-        } catch (error) {
-            console.error(
-                `[MetadataDB] Error fetching ${type} ${id} from API:`,
-                error,
-            );
+        }
+        return best ? best.id : null;
+    }
+
+    /**
+     * Fetch metadata from the providers handling this ID, falling through
+     * them in priority order until one returns a usable meta object.
+     * `live` asks for the providers' freshest source, for callers that
+     * track upcoming air dates.
+     */
+    async fetchFromApi(
+        id,
+        type,
+        { timeout = MetadataDB.CONFIG.FETCH_TIMEOUT, live = false } = {},
+    ) {
+        const providers = this.getProviders(id);
+        if (providers.length === 0) {
+            this.log.warn(`No metadata provider handles ${id}`);
             return null;
         }
+
+        for (const provider of providers) {
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), timeout);
+            try {
+                const raw = await provider.fetch(id, type, {
+                    signal: controller.signal,
+                    live,
+                });
+                const meta = raw ? provider.normalize(raw, id, type) : null;
+                if (meta) {
+                    this.log.info(
+                        `Fetched ${id}: ${meta.name} from ${provider.name}`,
+                    );
+                    return meta;
+                }
+            } catch (error) {
+                this.log.error(
+                    `Error fetching ${type} ${id} from ${provider.name}:`,
+                    error,
+                );
+            } finally {
+                clearTimeout(timeoutId);
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Search every provider that supports it, merging results in priority order
+     */
+    async search(type, query, { signal } = {}) {
+        const searchable = this.providers.filter((p) => p.search);
+        if (searchable.length === 0) {
+            throw new Error("[MetadataDB] No provider supports search");
+        }
+
+        const results = await Promise.allSettled(
+            searchable.map((p) => p.search(type, query, { signal })),
+        );
+        if (results.every((r) => r.status === "rejected")) {
+            throw results[0].reason;
+        }
+
+        const seen = new Set();
+        const metas = [];
+        for (const result of results) {
+            if (result.status !== "fulfilled") continue;
+            for (const meta of result.value) {
+                if (!meta?.id || seen.has(meta.id)) continue;
+                seen.add(meta.id);
+                metas.push(meta);
+            }
+        }
+        return metas;
     }
 
     async get(id, type = "movie") {
@@ -360,10 +899,7 @@ class MetadataDB {
                 );
 
                 transaction.onerror = () => {
-                    console.error(
-                        "[MetadataDB] Transaction error:",
-                        transaction.error,
-                    );
+                    this.log.error("Transaction error:", transaction.error);
                     reject(transaction.error);
                 };
 
@@ -407,15 +943,12 @@ class MetadataDB {
                 };
 
                 request.onerror = () => {
-                    console.error(
-                        "[MetadataDB] Get request error:",
-                        request.error,
-                    );
+                    this.log.error("Get request error:", request.error);
                     reject(request.error);
                 };
             });
         } catch (error) {
-            console.error(`[MetadataDB] Failed to get record ${id}:`, error);
+            this.log.error(`Failed to get record ${id}:`, error);
             return null; // Graceful degradation
         }
     }
@@ -431,10 +964,7 @@ class MetadataDB {
                 );
 
                 transaction.onerror = () => {
-                    console.error(
-                        "[MetadataDB] Transaction error:",
-                        transaction.error,
-                    );
+                    this.log.error("Transaction error:", transaction.error);
                     reject(transaction.error);
                 };
 
@@ -462,15 +992,12 @@ class MetadataDB {
                 };
 
                 request.onerror = () => {
-                    console.error(
-                        "[MetadataDB] GetAll request error:",
-                        request.error,
-                    );
+                    this.log.error("GetAll request error:", request.error);
                     reject(request.error);
                 };
             });
         } catch (error) {
-            console.error("[MetadataDB] Failed to get all records:", error);
+            this.log.error("Failed to get all records:", error);
             return [];
         }
     }
@@ -527,11 +1054,300 @@ class MetadataDB {
 
             return results;
         } catch (error) {
-            console.error("[MetadataDB] Failed to get many records:", error);
+            this.log.error("Failed to get many records:", error);
             return new Map(); // Graceful degradation
         }
     }
 
+    /**
+     * Stored data by ID (null when missing or expired), read without
+     * touching the memory cache or lastAccessed
+     */
+    async _peekMany(ids) {
+        const results = new Map();
+        try {
+            await this.ensureReady();
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction(
+                    [MetadataDB.CONFIG.STORE_NAME],
+                    "readonly",
+                );
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+
+                const store = transaction.objectStore(
+                    MetadataDB.CONFIG.STORE_NAME,
+                );
+                for (const id of ids) {
+                    const request = store.get(id);
+                    request.onsuccess = () => {
+                        const record = request.result;
+                        results.set(
+                            id,
+                            record && !this._shouldExpire(record)
+                                ? record.data
+                                : null,
+                        );
+                    };
+                }
+            });
+        } catch (error) {
+            this.log.error("Failed to read changed records:", error);
+        }
+        return results;
+    }
+
+    _planQuery(filters, sort) {
+        for (const field of Object.keys(filters)) {
+            if (!MetadataDB.QUERY_FIELDS[field]) {
+                throw new Error(`[MetadataDB] Unknown query field "${field}"`);
+            }
+        }
+        if (sort && !MetadataDB.SORT_FIELDS.includes(sort.by)) {
+            throw new Error(`[MetadataDB] Can't sort by "${sort.by}"`);
+        }
+
+        const field =
+            sort?.by ??
+            MetadataDB.QUERY_SCAN_ORDER.find((f) => filters[f] !== undefined) ??
+            "id";
+        return {
+            field,
+            index: field === "id" ? null : MetadataDB.QUERY_FIELDS[field].index,
+            range:
+                filters[field] !== undefined
+                    ? this._keyRange(field, filters[field])
+                    : null,
+            direction: sort?.direction === "desc" ? "prev" : "next",
+        };
+    }
+
+    _queryKey(field, value) {
+        return field === "watched" ? (value ? 1 : 0) : value;
+    }
+
+    _keyRange(field, value) {
+        if (MetadataDB.QUERY_FIELDS[field].exact) {
+            return IDBKeyRange.only(this._queryKey(field, value));
+        }
+        const { from, to } = value;
+        if (from != null && to != null) return IDBKeyRange.bound(from, to);
+        if (from != null) return IDBKeyRange.lowerBound(from);
+        if (to != null) return IDBKeyRange.upperBound(to);
+        return null;
+    }
+
+    _matchesQuery(record, filters, scanField, scanKey) {
+        for (const [field, value] of Object.entries(filters)) {
+            const { exact, multiEntry } = MetadataDB.QUERY_FIELDS[field];
+            const stored = record[multiEntry ? "releaseDates" : field];
+
+            if (exact) {
+                if (stored !== this._queryKey(field, value)) return false;
+                continue;
+            }
+
+            const inRange = (ms) =>
+                typeof ms === "number" &&
+                (value.from == null || ms >= value.from) &&
+                (value.to == null || ms <= value.to);
+            if (!multiEntry) {
+                if (!inRange(stored)) return false;
+                continue;
+            }
+
+            const hits = (stored || []).filter(inRange);
+            if (hits.length === 0) return false;
+            // A multiEntry index yields the record once per date in range;
+            // only its first counts, so each record is returned once
+            if (field === scanField && Math.min(...hits) !== scanKey) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    _project(record, fields) {
+        if (!fields) return record;
+
+        const { releaseDates, data, ...rest } = record;
+        const picked = {};
+        for (const key of fields) {
+            if (data && key in data) picked[key] = data[key];
+        }
+        return { ...rest, data: picked };
+    }
+
+    /**
+     * Find records through the indexes instead of loading the whole store:
+     *
+     *   query({ type: "series", watched: true, released: { from, to } })
+     *
+     * Filters are QUERY_FIELDS plus `filter(record)` for anything else.
+     * `sort` ({ by, direction: "asc" | "desc" }) walks the index of one of
+     * SORT_FIELDS, leaving out records without that field; without it,
+     * results come in the order of the narrowest filter's index. `fields`
+     * keeps only those keys of `data`, e.g. to skip `videos`.
+     * Returns { records, cursor }: pass `cursor` back as `after` for the
+     * next `limit` records. It is null once there are no more.
+     */
+    async query({
+        filter = null,
+        sort = null,
+        limit = Infinity,
+        after = null,
+        fields = null,
+        ...filters
+    } = {}) {
+        const plan = this._planQuery(filters, sort);
+
+        try {
+            await this.ensureReady();
+
+            return await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction(
+                    [MetadataDB.CONFIG.STORE_NAME],
+                    "readonly",
+                );
+                const store = transaction.objectStore(
+                    MetadataDB.CONFIG.STORE_NAME,
+                );
+
+                let range = plan.range;
+                if (after && !plan.index) {
+                    range =
+                        plan.direction === "next"
+                            ? IDBKeyRange.lowerBound(after.id, true)
+                            : IDBKeyRange.upperBound(after.id, true);
+                }
+
+                const records = [];
+                let nextCursor = null;
+                let resumed = !after || !plan.index;
+
+                transaction.oncomplete = () =>
+                    resolve({ records, cursor: nextCursor });
+                transaction.onerror = () => reject(transaction.error);
+
+                const source = plan.index ? store.index(plan.index) : store;
+                const request = source.openCursor(range, plan.direction);
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+
+                    // Skip ahead to the record after the previous page's last
+                    if (!resumed) {
+                        const order =
+                            indexedDB.cmp(cursor.key, after.key) ||
+                            indexedDB.cmp(cursor.primaryKey, after.id);
+                        const past =
+                            plan.direction === "next" ? order > 0 : order < 0;
+                        if (!past) {
+                            if (order === 0) cursor.continue();
+                            else cursor.continuePrimaryKey(after.key, after.id);
+                            return;
+                        }
+                        resumed = true;
+                    }
+
+                    const record = cursor.value;
+                    if (
+                        this._matchesQuery(
+                            record,
+                            filters,
+                            plan.field,
+                            cursor.key,
+                        ) &&
+                        (!filter || filter(record))
+                    ) {
+                        const result = this._project(record, fields);
+                        if (result.data) this._deepFreeze(result.data);
+                        records.push(result);
+
+                        if (records.length >= limit) {
+                            nextCursor = {
+                                key: cursor.key,
+                                id: cursor.primaryKey,
+                            };
+                            return;
+                        }
+                    }
+                    cursor.continue();
+                };
+            });
+        } catch (error) {
+            this.log.error("Query failed:", error);
+            return { records: [], cursor: null };
+        }
+    }
+
+    /**
+     * Number of records matching query() filters. A single index-backed
+     * filter is counted by the index without reading any record.
+     */
+    async count({ filter = null, ...filters } = {}) {
+        const fields = Object.keys(filters);
+        const plan = this._planQuery(filters);
+
+        if (
+            filter ||
+            fields.length > 1 ||
+            MetadataDB.QUERY_FIELDS[fields[0]]?.multiEntry
+        ) {
+            const { records } = await this.query({
+                filter,
+                fields: [],
+                ...filters,
+            });
+            return records.length;
+        }
+
+        try {
+            await this.ensureReady();
+
+            return await new Promise((resolve, reject) => {
+                const store = this.db
+                    .transaction([MetadataDB.CONFIG.STORE_NAME], "readonly")
+                    .objectStore(MetadataDB.CONFIG.STORE_NAME);
+                const source = plan.index ? store.index(plan.index) : store;
+                const request = source.count(plan.range ?? undefined);
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            this.log.error("Count failed:", error);
+            return 0;
+        }
+    }
+
+    /**
+     * Memory cache size and hit rate, writes waiting for the next batch,
+     * and stored records per type
+     */
+    async getStats() {
+        const { hits, misses } = this.cacheStats;
+        const [total, series, movie] = await Promise.all([
+            this.count(),
+            this.count({ type: "series" }),
+            this.count({ type: "movie" }),
+        ]);
+
+        return {
+            memoryCache: {
+                size: this.memoryCache.size,
+                max: MetadataDB.CONFIG.MEMORY_CACHE_SIZE,
+                hits,
+                misses,
+                hitRate:
+                    hits + misses > 0
+                        ? +(hits / (hits + misses)).toFixed(3)
+                        : null,
+            },
+            pendingWrites: this.writeQueue.size,
+            records: { total, series, movie },
+        };
+    }
+
     async put(id, data, type) {
         try {
             // Clone data to prevent external mutations from affecting cache/queue
@@ -549,7 +1365,7 @@ class MetadataDB {
             if (!this.writeTimer) {
                 this.writeTimer = setTimeout(() => {
                     this._flushWrites().catch((err) =>
-                        console.error("[MetadataDB] Batch write failed:", err),
+                        this.log.error("Batch write failed:", err),
                     );
                 }, MetadataDB.CONFIG.BATCH_DELAY);
             }
@@ -557,10 +1373,7 @@ class MetadataDB {
             // Notify subscribers immediately (cache is already updated)
             this._notifySubscribers(id, clonedData, "put");
         } catch (error) {
-            console.error(
-                `[MetadataDB] Failed to queue write for ${id}:`,
-                error,
-            );
+            this.log.error(`Failed to queue write for ${id}:`, error);
         }
     }
 
@@ -583,10 +1396,13 @@ class MetadataDB {
                     "readwrite",
                 );
 
-                transaction.oncomplete = () => resolve();
+                transaction.oncomplete = () => {
+                    this._broadcastChange(writes.map((record) => record.id));
+                    resolve();
+                };
                 transaction.onerror = () => {
-                    console.error(
-                        "[MetadataDB] Batch transaction error:",
+                    this.log.error(
+                        "Batch transaction error:",
                         transaction.error,
                     );
                     reject(transaction.error);
@@ -622,12 +1438,12 @@ class MetadataDB {
                             }
                         }
 
-                        store.put(record);
+                        store.put(this._prepareRecord(record, existing));
                     };
                 }
             });
         } catch (error) {
-            console.error("[MetadataDB] Failed to flush writes:", error);
+            this.log.error("Failed to flush writes:", error);
             // Re-queue failed writes
             for (const record of writes) {
                 this.writeQueue.set(record.id, record);
@@ -662,14 +1478,12 @@ class MetadataDB {
                 transaction.oncomplete = () => {
                     this._updateCache(id, record.data);
                     this._notifySubscribers(id, record.data, "put");
+                    this._broadcastChange([id]);
                     resolve();
                 };
 
                 transaction.onerror = () => {
-                    console.error(
-                        "[MetadataDB] Transaction error:",
-                        transaction.error,
-                    );
+                    this.log.error("Transaction error:", transaction.error);
                     reject(transaction.error);
                 };
 
@@ -709,24 +1523,23 @@ class MetadataDB {
                         }
                     }
 
-                    const putReq = store.put(record);
+                    const putReq = store.put(
+                        this._prepareRecord(record, existing),
+                    );
                     putReq.onerror = () => {
-                        console.error(
-                            "[MetadataDB] Put request error:",
-                            putReq.error,
-                        );
+                        this.log.error("Put request error:", putReq.error);
                         reject(putReq.error);
                     };
                 };
 
                 getReq.onerror = () => {
                     // Fallback to direct put if get fails
-                    const putReq = store.put(record);
+                    const putReq = store.put(this._prepareRecord(record));
                     putReq.onerror = () => reject(putReq.error);
                 };
             });
         } catch (error) {
-            console.error(`[MetadataDB] Failed to put record ${id}:`, error);
+            this.log.error(`Failed to put record ${id}:`, error);
             throw error;
         }
     }
@@ -747,13 +1560,11 @@ class MetadataDB {
 
                 transaction.oncomplete = () => {
                     this._notifySubscribers(id, null, "delete");
+                    this._broadcastChange([id]);
                     resolve();
                 };
                 transaction.onerror = () => {
-                    console.error(
-                        "[MetadataDB] Transaction error:",
-                        transaction.error,
-                    );
+                    this.log.error("Transaction error:", transaction.error);
                     reject(transaction.error);
                 };
 
@@ -763,10 +1574,370 @@ class MetadataDB {
                 store.delete(id);
             });
         } catch (error) {
-            console.error(`[MetadataDB] Failed to delete record ${id}:`, error);
+            this.log.error(`Failed to delete record ${id}:`, error);
+        }
+    }
+
+    /**
+     * A namespaced key-value store with a default TTL, for plugin caches
+     * too large for localStorage. `legacy` ({ storage, prefix, parse })
+     * names an old Web Storage cache that is moved into the store before
+     * its first read; see importStorage().
+     */
+    createStore(namespace, { ttl = null, legacy = null } = {}) {
+        const ready = legacy
+            ? this.importStorage(namespace, { ttl, ...legacy })
+            : Promise.resolve();
+
+        return {
+            namespace,
+            get: async (key) => {
+                await ready;
+                return this.kvGet(namespace, key);
+            },
+            getEntry: async (key) => {
+                await ready;
+                return this.kvGetEntry(namespace, key);
+            },
+            set: async (key, value, options = {}) => {
+                await ready;
+                return this.kvSet(namespace, key, value, { ttl, ...options });
+            },
+            delete: async (key) => {
+                await ready;
+                return this.kvDelete(namespace, key);
+            },
+            clear: async () => {
+                await ready;
+                return this.kvClear(namespace);
+            },
+            entries: async () => {
+                await ready;
+                return this.kvEntries(namespace);
+            },
+        };
+    }
+
+    _kvRecord(namespace, key, value, { ttl = null, storedAt = Date.now() }) {
+        return {
+            namespace,
+            key,
+            value,
+            storedAt,
+            // null is not a valid index key, so entries without a TTL stay
+            // out of the expiresAt index
+            expiresAt: ttl ? storedAt + ttl : null,
+        };
+    }
+
+    _isExpiredKV(record) {
+        return record.expiresAt !== null && record.expiresAt <= Date.now();
+    }
+
+    _namespaceRange(namespace) {
+        // Arrays sort after every other key type, so [namespace, []]
+        // is above any [namespace, key]
+        return IDBKeyRange.bound([namespace], [namespace, []]);
+    }
+
+    /**
+     * Run `fn(store)` in a transaction on the key-value store. Resolves with
+     * the result of the request `fn` returns, once the transaction is done.
+     * Resolves undefined when the store doesn't exist because the schema
+     * upgrade failed, so callers see an empty cache.
+     */
+    async _kvTransaction(mode, fn) {
+        await this.ensureReady();
+        if (!this.db.objectStoreNames.contains(MetadataDB.CONFIG.KV_STORE_NAME))
+            return undefined;
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(
+                [MetadataDB.CONFIG.KV_STORE_NAME],
+                mode,
+            );
+            const request = fn(
+                transaction.objectStore(MetadataDB.CONFIG.KV_STORE_NAME),
+            );
+            transaction.oncomplete = () => resolve(request?.result);
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    async kvGet(namespace, key) {
+        return (await this.kvGetEntry(namespace, key))?.value ?? null;
+    }
+
+    /**
+     * { value, storedAt } of an unexpired entry, for callers that keep
+     * their own copy and need to know how old it is
+     */
+    async kvGetEntry(namespace, key) {
+        try {
+            const record = await this._kvTransaction("readonly", (store) =>
+                store.get([namespace, key]),
+            );
+            if (!record) return null;
+            if (this._isExpiredKV(record)) {
+                this.kvDelete(namespace, key);
+                return null;
+            }
+            return { value: record.value, storedAt: record.storedAt };
+        } catch (error) {
+            this.log.error(`Failed to read ${namespace}/${key}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Store a value; `ttl` (ms) counts from `storedAt`, which defaults to now
+     */
+    async kvSet(namespace, key, value, options = {}) {
+        try {
+            await this._kvTransaction("readwrite", (store) => {
+                store.put(this._kvRecord(namespace, key, value, options));
+            });
+        } catch (error) {
+            this.log.error(`Failed to write ${namespace}/${key}:`, error);
+        }
+    }
+
+    async kvDelete(namespace, key) {
+        try {
+            await this._kvTransaction("readwrite", (store) => {
+                store.delete([namespace, key]);
+            });
+        } catch (error) {
+            this.log.error(`Failed to delete ${namespace}/${key}:`, error);
+        }
+    }
+
+    /**
+     * All unexpired [key, value] pairs of a namespace
+     */
+    async kvEntries(namespace) {
+        try {
+            const records = await this._kvTransaction("readonly", (store) =>
+                store.getAll(this._namespaceRange(namespace)),
+            );
+            return (records || [])
+                .filter((record) => !this._isExpiredKV(record))
+                .map((record) => [record.key, record.value]);
+        } catch (error) {
+            this.log.error(`Failed to list ${namespace}:`, error);
+            return [];
+        }
+    }
+
+    async kvClear(namespace) {
+        try {
+            await this._kvTransaction("readwrite", (store) => {
+                store.delete(this._namespaceRange(namespace));
+            });
+        } catch (error) {
+            this.log.error(`Failed to clear ${namespace}:`, error);
+        }
+    }
+
+    /**
+     * Move Web Storage entries whose key starts with `prefix` into a
+     * namespace and remove them. `parse(entry)` maps a stored JSON entry
+     * to { value, storedAt }. Runs on every start but only finds keys the
+     * first time (or after an old backup is restored).
+     */
+    async importStorage(
+        namespace,
+        { storage = localStorage, prefix, parse, ttl = null },
+    ) {
+        const storageKeys = [];
+        for (let i = 0; i < storage.length; i++) {
+            const storageKey = storage.key(i);
+            if (storageKey?.startsWith(prefix)) storageKeys.push(storageKey);
+        }
+        if (storageKeys.length === 0) return 0;
+
+        try {
+            await this.ensureReady();
+            // Keep the old entries until there is somewhere to put them
+            if (
+                !this.db.objectStoreNames.contains(
+                    MetadataDB.CONFIG.KV_STORE_NAME,
+                )
+            )
+                return 0;
+
+            const records = [];
+            for (const storageKey of storageKeys) {
+                try {
+                    const { value, storedAt } = parse(
+                        JSON.parse(storage.getItem(storageKey)),
+                    );
+                    const record = this._kvRecord(
+                        namespace,
+                        storageKey.slice(prefix.length),
+                        value,
+                        { ttl, storedAt },
+                    );
+                    if (!this._isExpiredKV(record)) records.push(record);
+                } catch {
+                    // Corrupt entries are dropped with the rest
+                }
+            }
+
+            await this._kvTransaction("readwrite", (store) => {
+                records.forEach((record) => store.put(record));
+            });
+            storageKeys.forEach((storageKey) => storage.removeItem(storageKey));
+
+            this.log.info(
+                `Moved ${records.length}/${storageKeys.length} "${prefix}*" entries into ${namespace}`,
+            );
+            return records.length;
+        } catch (error) {
+            this.log.error(`Failed to import "${prefix}*" entries:`, error);
+            return 0;
         }
     }
 
+    async cleanupExpiredKV() {
+        try {
+            await this._kvTransaction("readwrite", (store) => {
+                const request = store
+                    .index("expiresAt")
+                    .openCursor(IDBKeyRange.upperBound(Date.now()));
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (!cursor) return;
+                    cursor.delete();
+                    cursor.continue();
+                };
+            });
+        } catch (error) {
+            this.log.error("Key-value cleanup failed:", error);
+        }
+    }
+
+    /**
+     * Unexpired key-value entries of every namespace (watch state and the
+     * plugin caches) for backups
+     */
+    async exportKV() {
+        const records = await this._kvTransaction("readonly", (store) =>
+            store.getAll(),
+        );
+        return (records || []).filter((record) => !this._isExpiredKV(record));
+    }
+
+    /**
+     * Write backup key-value entries back. "replace" clears every namespace
+     * first; "merge" keeps the local entry unless the imported one is newer.
+     */
+    async importKV(records, { mode = "merge" } = {}) {
+        const fresh = records.filter((record) => !this._isExpiredKV(record));
+
+        let written = 0;
+        await this._kvTransaction("readwrite", (store) => {
+            if (mode === "replace") store.clear();
+
+            for (const incoming of fresh) {
+                const getReq = store.get([incoming.namespace, incoming.key]);
+                getReq.onsuccess = () => {
+                    const existing = getReq.result;
+                    if (
+                        mode === "merge" &&
+                        existing &&
+                        existing.storedAt >= incoming.storedAt
+                    )
+                        return;
+
+                    const { namespace, key, value, storedAt, expiresAt } =
+                        incoming;
+                    store.put({ namespace, key, value, storedAt, expiresAt });
+                    written++;
+                };
+            }
+        });
+
+        this.log.info(
+            `Imported ${written}/${records.length} key-value entries (${mode})`,
+        );
+        return written;
+    }
+
+    /**
+     * Raw records (including watch state) for backups
+     */
+    async exportRecords() {
+        await this._flushWrites();
+        const records = await this.getAll();
+        return records.map((r) => structuredClone(r));
+    }
+
+    /**
+     * Write backup records back to the store.
+     * "replace" clears the store first; "merge" keeps the local record
+     * unless the imported one is newer.
+     */
+    async importRecords(records, { mode = "merge" } = {}) {
+        await this._flushWrites();
+        await this.ensureReady();
+
+        let written = 0;
+        let deleted = [];
+        await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(
+                [MetadataDB.CONFIG.STORE_NAME],
+                "readwrite",
+            );
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+
+            const store = transaction.objectStore(MetadataDB.CONFIG.STORE_NAME);
+            if (mode === "replace") {
+                // Records missing from the backup are gone after the clear
+                const imported = new Set(records.map((record) => record.id));
+                const keysReq = store.getAllKeys();
+                keysReq.onsuccess = () => {
+                    deleted = keysReq.result.filter((id) => !imported.has(id));
+                };
+                store.clear();
+            }
+
+            for (const incoming of records) {
+                const getReq = store.get(incoming.id);
+                getReq.onsuccess = () => {
+                    const existing = getReq.result;
+                    if (
+                        mode === "merge" &&
+                        existing &&
+                        existing.timestamp >= incoming.timestamp
+                    )
+                        return;
+
+                    store.put(this._prepareRecord({ ...incoming }, existing));
+                    written++;
+                };
+            }
+        });
+
+        // Drop stale memory cache entries and let consumers refresh
+        this.memoryCache.clear();
+        this.cacheAccessOrder = [];
+        for (const record of records) {
+            this._notifySubscribers(record.id, record.data, "put");
+        }
+        deleted.forEach((id) => this._notifySubscribers(id, null, "delete"));
+        this._broadcastChange([
+            ...records.map((record) => record.id),
+            ...deleted,
+        ]);
+
+        this.log.info(
+            `Imported ${written}/${records.length} records (${mode})`,
+        );
+        return written;
+    }
+
     async cleanupExpired() {
         try {
             await this.ensureReady();
@@ -794,9 +1965,13 @@ class MetadataDB {
                     );
 
                     transaction.oncomplete = () => {
-                        console.log(
-                            `[MetadataDB] Cleaned up ${toDelete.length} expired records`,
+                        this.log.info(
+                            `Cleaned up ${toDelete.length} expired records`,
+                        );
+                        toDelete.forEach((id) =>
+                            this._notifySubscribers(id, null, "delete"),
                         );
+                        this._broadcastChange(toDelete);
                         resolve();
                     };
                     transaction.onerror = () => reject(transaction.error);
@@ -811,7 +1986,7 @@ class MetadataDB {
                 });
             }
         } catch (error) {
-            console.error("[MetadataDB] Cleanup failed:", error);
+            this.log.error("Cleanup failed:", error);
         }
     }
 }
@@ -822,7 +1997,7 @@ window.MetadataDB = new MetadataDB();
 // Check if MetadataDB is initialized
 requestIdleCallback(() => {
     if (window.MetadataDB && window.MetadataDB instanceof MetadataDB) {
-        console.log("[MetadataDB] initialized");
+        window.MetadataDB.log.info("initialized");
     }
 });
 
@@ -830,10 +2005,11 @@ requestIdleCallback(() => {
 window.addEventListener("beforeunload", () => {
     if (window.MetadataDB?.writeTimer) {
         window.MetadataDB._flushWrites().catch((err) =>
-            console.error("[MetadataDB] Failed to flush on unload:", err),
+            window.MetadataDB.log.error("Failed to flush on unload:", err),
         );
     }
     window.MetadataDB.cleanupExpired().catch((err) =>
-        console.error("[MetadataDB] Failed to cleanup on unload:", err),
+        window.MetadataDB.log.error("Failed to cleanup on unload:", err),
     );
+    window.MetadataDB.cleanupExpiredKV();
 });
@@ -1,58 +1,226 @@
 /* *
  * @name New Season Reminder
- * @description Right-side banner with countdown for new season premieres within 7 days
- * @version 1.0.0
+ * @description Right-side banner with countdowns for premieres, mid-season returns, finales and episodes you asked to be reminded of
+ * @version 2.0.0
  * @author EZOBOSS
- * @dependencies metadatadb.plugin.js
+ * @dependencies metadatadb.plugin.js, watch-state.plugin.js, plugin-host.plugin.js, logger.plugin.js
  */
 
 (function () {
     class NewSeasonReminderPlugin {
         static CONFIG = {
-            COUNTDOWN_WINDOW_MS: 7 * 24 * 60 * 60 * 1000, // 7 days
+            DAY_MS: 24 * 60 * 60 * 1000,
+            RETURN_GAP_MS: 21 * 24 * 60 * 60 * 1000, // Break that makes an episode a mid-season return
+            MAX_ITEMS: 6,
             TICK_INTERVAL: 60000, // 1 minute
             FETCH_TIMEOUT: 5000,
             REFRESH_INTERVAL: 1000 * 60 * 30, // Re-scan every 30 minutes
             URLS: {
-                CINEMETA_META: "https://cinemeta-live.strem.io/meta",
                 POSTER: "https://images.metahub.space/background/medium",
                 LOGO: "https://images.metahub.space/logo/medium",
             },
             STORAGE_KEY: "library_recent",
+            REMINDERS_KEY: "episode_reminders",
+            // Lead times in days, editable in settings (0 turns a kind off)
+            KINDS: {
+                premiere: {
+                    label: "Season premieres",
+                    countdown: "Premieres in",
+                    lead: 7,
+                },
+                return: {
+                    label: "Mid-season returns",
+                    countdown: "Returns in",
+                    lead: 3,
+                },
+                finale: {
+                    label: "Season finales",
+                    countdown: "Finale in",
+                    lead: 2,
+                },
+                episode: {
+                    label: "Episodes you asked to be reminded of",
+                    countdown: "Airs in",
+                    lead: 1,
+                },
+            },
         };
 
         constructor() {
+            this.log = window.Logger.create("NewSeasonReminder");
             this.metadataDB = window.MetadataDB;
+            this.watchState = window.WatchState;
             this.countdownInterval = null;
             this.refreshInterval = null;
-            this.reminders = []; // { id, title, season, releaseDate, poster, logo, href }
+            this.reminders = []; // { key, kind, id, title, season, episode, releaseMs, poster, logo, href }
             this.bannerEl = null;
+            this.destroyed = false;
+            // { episodes: { "id:season:episode": createdAt }, dismissed: { reminderKey: releaseMs } }
+            this.state = this.loadState();
             this.init();
         }
 
-        isBoardPage() {
-            const h = window.location.hash;
-            return h === "#/" || h === "" || h === "#";
+        isPlayerPage() {
+            return window.location.hash.includes("/player/");
         }
 
         init() {
+            window.Reminders = this;
+            this.registerSettings();
             this.scanAndRender();
 
-            // Re-scan on navigation
-            window.addEventListener("hashchange", () => {
-                if (this.isBoardPage()) {
-                    this.scanAndRender();
-                } else {
+            // Re-scan on navigation, everywhere but the player
+            this.onHashChange = () => {
+                if (this.isPlayerPage()) {
                     this.removeBanner();
+                } else {
+                    this.scanAndRender();
                 }
-            });
+            };
+            window.addEventListener("hashchange", this.onHashChange);
 
             // Periodic refresh
             this.refreshInterval = setInterval(() => {
-                if (this.isBoardPage()) this.scanAndRender();
+                if (!this.isPlayerPage()) this.scanAndRender();
             }, NewSeasonReminderPlugin.CONFIG.REFRESH_INTERVAL);
         }
 
+        registerSettings() {
+            const settings = window.StremioSettings;
+            if (!settings?.register) return;
+
+            settings.register("reminders", {
+                title: "Reminders (days ahead, 0 = off)",
+                settings: Object.entries(
+                    NewSeasonReminderPlugin.CONFIG.KINDS,
+                ).map(([kind, { label, lead }]) => ({
+                    key: `${kind}_lead`,
+                    type: "number",
+                    label,
+                    default: lead,
+                    min: 0,
+                    max: 30,
+                    unit: "d",
+                })),
+            });
+
+            this.unsubscribeSettings = settings.onChange("reminders", () => {
+                if (!this.isPlayerPage()) this.scanAndRender();
+            });
+        }
+
+        destroy() {
+            this.destroyed = true;
+            window.removeEventListener("hashchange", this.onHashChange);
+            clearInterval(this.refreshInterval);
+            this.unsubscribeSettings?.();
+            this.removeBanner();
+            if (window.Reminders === this) window.Reminders = null;
+        }
+
+        getLeadMs(kind) {
+            const days =
+                window.StremioSettings?.get("reminders", `${kind}_lead`) ??
+                NewSeasonReminderPlugin.CONFIG.KINDS[kind].lead;
+            return days * NewSeasonReminderPlugin.CONFIG.DAY_MS;
+        }
+
+        // ─── Episode reminders ──────────────────────────────
+
+        loadState() {
+            try {
+                const state = JSON.parse(
+                    localStorage.getItem(
+                        NewSeasonReminderPlugin.CONFIG.REMINDERS_KEY,
+                    ) || "{}",
+                );
+                return {
+                    episodes: state.episodes || {},
+                    dismissed: state.dismissed || {},
+                };
+            } catch {
+                return { episodes: {}, dismissed: {} };
+            }
+        }
+
+        saveState() {
+            try {
+                localStorage.setItem(
+                    NewSeasonReminderPlugin.CONFIG.REMINDERS_KEY,
+                    JSON.stringify(this.state),
+                );
+            } catch (e) {
+                this.log.warn("Failed to save reminders:", e);
+            }
+        }
+
+        episodeKey(seriesId, season, episode) {
+            return `${seriesId}:${season}:${episode}`;
+        }
+
+        has(seriesId, season, episode) {
+            return (
+                this.episodeKey(seriesId, season, episode) in
+                this.state.episodes
+            );
+        }
+
+        /**
+         * Turn the "remind me" flag of an episode on or off; returns the new state
+         */
+        toggle(seriesId, season, episode) {
+            const key = this.episodeKey(seriesId, season, episode);
+            const enabled = !(key in this.state.episodes);
+
+            if (enabled) {
+                this.state.episodes[key] = Date.now();
+            } else {
+                delete this.state.episodes[key];
+            }
+            this.saveState();
+            if (!this.isPlayerPage()) this.scanAndRender();
+            return enabled;
+        }
+
+        dismiss(reminder) {
+            this.state.dismissed[reminder.key] = reminder.releaseMs;
+            this.saveState();
+            this.reminders = this.reminders.filter((r) => r !== reminder);
+            if (this.reminders.length > 0) {
+                this.renderBanner();
+                this.startCountdown();
+            } else {
+                this.removeBanner();
+            }
+        }
+
+        /**
+         * Forget reminders and dismissals for episodes that already aired
+         */
+        pruneState(now = Date.now()) {
+            const { DAY_MS } = NewSeasonReminderPlugin.CONFIG;
+            let changed = false;
+
+            for (const [key, releaseMs] of Object.entries(
+                this.state.dismissed,
+            )) {
+                if (releaseMs < now - DAY_MS) {
+                    delete this.state.dismissed[key];
+                    changed = true;
+                }
+            }
+            for (const [key, createdAt] of Object.entries(
+                this.state.episodes,
+            )) {
+                // Kept for a year in case the episode never gets a date
+                if (createdAt < now - 365 * DAY_MS) {
+                    delete this.state.episodes[key];
+                    changed = true;
+                }
+            }
+            if (changed) this.saveState();
+        }
+
         // ─── Data ────────────────────────────────────────────
 
         getUserLibrarySeries() {
@@ -66,11 +234,9 @@
 
                 return items.filter((item) => {
                     if (item?.type !== "series") return false;
-                    if (!item?._id?.startsWith("tt")) return false;
-                    const watched = item?.state?.watched;
-                    if (!watched) return false;
-                    const [, s, e] = watched.split(":");
-                    return +s > 1 || +e > 1;
+                    if (!this.metadataDB.hasProvider(item?._id)) return false;
+                    const last = this.watchState.getLastCompleted(item._id);
+                    return last && (last.season > 1 || last.episode > 1);
                 });
             } catch {
                 return [];
@@ -78,104 +244,157 @@
         }
 
         /**
-         * Find the first episode of a new season releasing within 7 days.
-         * Returns { season, releaseDate } or null.
+         * Dated, unwatched episodes of a series worth a reminder, each within
+         * the lead time of its kind: { kind, season, episode, releaseMs }.
+         * Series outside the library only get the episodes asked for.
          */
-        findUpcomingNewSeason(meta) {
-            if (!Array.isArray(meta.videos)) return null;
+        findEvents(meta, inLibrary = true) {
+            if (!Array.isArray(meta.videos)) return [];
 
+            const { RETURN_GAP_MS } = NewSeasonReminderPlugin.CONFIG;
             const now = Date.now();
-            const cutoff =
-                now + NewSeasonReminderPlugin.CONFIG.COUNTDOWN_WINDOW_MS;
-            let best = null;
 
+            // Dated regular episodes, grouped by season in airing order.
+            // A season with undated episodes is still being scheduled.
+            const seasons = new Map();
+            const scheduling = new Set();
             for (const v of meta.videos) {
-                // Only care about season premieres (episode 1, season > 0)
-                if (v.episode !== 1 || v.season < 1) continue;
-                if (!v.released) continue;
-
+                if (v.season < 1) continue;
                 const releaseMs = Date.parse(v.released);
-                if (isNaN(releaseMs)) continue;
-
-                // Must be in the future and within the 7-day window
-                if (releaseMs <= now || releaseMs > cutoff) continue;
-
-                if (!best || releaseMs < best.releaseMs) {
-                    best = {
-                        season: v.season,
-                        releaseMs,
-                        releaseDate: new Date(releaseMs),
-                    };
+                if (isNaN(releaseMs)) {
+                    scheduling.add(v.season);
+                    continue;
                 }
+
+                if (!seasons.has(v.season)) seasons.set(v.season, []);
+                seasons.get(v.season).push({ ...v, releaseMs });
             }
 
-            return best;
+            const events = [];
+            for (const [season, episodes] of seasons) {
+                episodes.sort((a, b) => a.episode - b.episode);
+
+                episodes.forEach((v, i) => {
+                    if (
+                        v.releaseMs <= now ||
+                        this.watchState.isWatched(meta.id, v.season, v.episode)
+                    )
+                        return;
+
+                    const previous = episodes[i - 1];
+                    let kind = null;
+                    if (v.episode === 1) {
+                        kind = "premiere";
+                    } else if (
+                        i === episodes.length - 1 &&
+                        !scheduling.has(season)
+                    ) {
+                        // Only once every episode of the season has a date;
+                        // before that the last dated one is just the next
+                        kind = "finale";
+                    } else if (
+                        previous &&
+                        v.releaseMs - previous.releaseMs >= RETURN_GAP_MS
+                    ) {
+                        kind = "return";
+                    }
+
+                    // Also remind of episodes the user asked for
+                    const kinds = inLibrary ? [kind] : [];
+                    if (this.has(meta.id, season, v.episode)) {
+                        kinds.push("episode");
+                    }
+                    const match = kinds.find((k) => {
+                        const lead = k && this.getLeadMs(k);
+                        return lead > 0 && v.releaseMs - now <= lead;
+                    });
+                    if (!match) return;
+
+                    events.push({
+                        kind: match,
+                        season,
+                        episode: v.episode,
+                        releaseMs: v.releaseMs,
+                    });
+                });
+            }
+            return events;
         }
 
         async scanLibrary() {
-            const series = this.getUserLibrarySeries();
-            if (!series.length) return [];
+            await this.watchState.sync();
+
+            // Library series plus any series with an episode reminder
+            const library = new Set(
+                this.getUserLibrarySeries().map((item) => item._id),
+            );
+            const ids = new Set(library);
+            Object.keys(this.state.episodes).forEach((key) =>
+                ids.add(key.split(":").slice(0, -2).join(":")),
+            );
+            if (!ids.size) return [];
 
             const reminders = [];
-            const { CINEMETA_META, POSTER, LOGO } =
-                NewSeasonReminderPlugin.CONFIG.URLS;
+            const { POSTER, LOGO } = NewSeasonReminderPlugin.CONFIG.URLS;
 
-            for (const item of series) {
-                const id = item._id;
+            for (const id of ids) {
                 try {
                     let meta = await this.metadataDB.get(id, "series");
 
                     if (!meta) {
-                        // Fetch from API if not cached
-                        const controller = new AbortController();
-                        const tid = setTimeout(
-                            () => controller.abort(),
-                            NewSeasonReminderPlugin.CONFIG.FETCH_TIMEOUT,
+                        // Fetch from the metadata providers if not cached
+                        meta = await this.metadataDB.fetchFromApi(
+                            id,
+                            "series",
+                            {
+                                timeout:
+                                    NewSeasonReminderPlugin.CONFIG
+                                        .FETCH_TIMEOUT,
+                                live: true,
+                            },
                         );
-                        try {
-                            const res = await fetch(
-                                `${CINEMETA_META}/series/${id}.json`,
-                                { signal: controller.signal },
-                            );
-                            clearTimeout(tid);
-                            if (!res.ok) continue;
-                            const data = await res.json();
-                            meta = data?.meta;
-                            if (meta) {
-                                await this.metadataDB.put(id, meta, "series");
-                            }
-                        } catch {
-                            clearTimeout(tid);
-                            continue;
+                        if (meta) {
+                            await this.metadataDB.put(id, meta, "series");
                         }
                     }
 
                     if (!meta) continue;
 
-                    const upcoming = this.findUpcomingNewSeason(meta);
-                    if (!upcoming) continue;
-
-                    reminders.push({
-                        id,
-                        title: meta.name,
-                        season: upcoming.season,
-                        releaseDate: upcoming.releaseDate,
-                        releaseMs: upcoming.releaseMs,
-                        poster: `${POSTER}/${id}/img`,
-                        logo: `${LOGO}/${id}/img`,
-                        href: `#/detail/series/${id}/${id}%3A${upcoming.season}%3A1`,
-                    });
+                    const hasMetahubArt = id.startsWith("tt");
+
+                    for (const event of this.findEvents(
+                        meta,
+                        library.has(id),
+                    )) {
+                        const key = `${event.kind}:${this.episodeKey(
+                            id,
+                            event.season,
+                            event.episode,
+                        )}`;
+                        if (key in this.state.dismissed) continue;
+
+                        reminders.push({
+                            ...event,
+                            key,
+                            id,
+                            title: meta.name,
+                            poster: hasMetahubArt
+                                ? `${POSTER}/${id}/img`
+                                : meta.background || meta.poster,
+                            logo: hasMetahubArt
+                                ? `${LOGO}/${id}/img`
+                                : meta.logo,
+                            href: `#/detail/series/${id}/${id}%3A${event.season}%3A${event.episode}`,
+                        });
+                    }
                 } catch (err) {
-                    console.warn(
-                        `[NewSeasonReminder] Error processing ${id}:`,
-                        err,
-                    );
+                    this.log.warn(`Error processing ${id}:`, err);
                 }
             }
 
             // Sort by closest release first
             reminders.sort((a, b) => a.releaseMs - b.releaseMs);
-            return reminders;
+            return reminders.slice(0, NewSeasonReminderPlugin.CONFIG.MAX_ITEMS);
         }
 
         // ─── Countdown ──────────────────────────────────────
@@ -245,10 +464,16 @@
         // ─── Rendering ──────────────────────────────────────
 
         async scanAndRender() {
+            this.pruneState();
             const reminders = await this.scanLibrary();
             this.reminders = reminders;
 
-            if (reminders.length === 0) {
+            // Navigated into the player, or stopped, while scanning
+            if (
+                reminders.length === 0 ||
+                this.isPlayerPage() ||
+                this.destroyed
+            ) {
                 this.removeBanner();
                 return;
             }
@@ -271,6 +496,16 @@
 
             // Click handler via delegation
             banner.addEventListener("click", (e) => {
+                const dismissBtn = e.target.closest(".nsr-dismiss");
+                if (dismissBtn) {
+                    e.stopPropagation();
+                    const reminder = this.reminders.find(
+                        (r) => r.key === dismissBtn.dataset.key,
+                    );
+                    if (reminder) this.dismiss(reminder);
+                    return;
+                }
+
                 const item = e.target.closest(".nsr-item");
                 if (item?.dataset.href) {
                     window.location.hash = item.dataset.href.replace("#", "");
@@ -289,6 +524,13 @@
         }
 
         renderItem(reminder) {
+            const { countdown } =
+                NewSeasonReminderPlugin.CONFIG.KINDS[reminder.kind];
+            const label =
+                reminder.kind === "premiere"
+                    ? `Season ${reminder.season}`
+                    : `S${reminder.season} E${reminder.episode}`;
+
             return `
                 <a class="nsr-item" data-href="${reminder.href}" tabindex="0">
                     <div class="nsr-poster-wrap">
@@ -298,12 +540,13 @@
                         <img class="nsr-logo" src="${reminder.logo}" alt="${reminder.title}" loading="lazy"
                              onerror="this.style.display='none'; this.nextElementSibling.style.display='block';" />
                         <span class="nsr-title-fallback" style="display:none;">${reminder.title}</span>
-                        <span class="nsr-season-label">Season ${reminder.season}</span>
+                        <span class="nsr-season-label">${label}</span>
                         <div class="nsr-countdown">
-                            <span class="nsr-countdown-label">Premieres in</span>
+                            <span class="nsr-countdown-label">${countdown}</span>
                             <span class="nsr-countdown-value">--</span>
                         </div>
                     </div>
+                    <button class="nsr-dismiss" data-key="${reminder.key}" aria-label="Dismiss">×</button>
                 </a>
             `;
         }
@@ -319,16 +562,9 @@
 
     // Initialize
     requestIdleCallback(() => {
-        if (window.MetadataDB) {
-            new NewSeasonReminderPlugin();
-        } else {
-            // Wait for MetadataDB to be available
-            const check = setInterval(() => {
-                if (window.MetadataDB) {
-                    clearInterval(check);
-                    new NewSeasonReminderPlugin();
-                }
-            }, 500);
-        }
+        window.PluginHost.register({
+            id: "new-season-reminder",
+            start: () => new NewSeasonReminderPlugin(),
+        });
     });
 })();
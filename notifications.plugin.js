@@ -3,7 +3,7 @@
  * @description Shows notifications for unwatched episodes of watched series
  * @version 1.0.0
  * @author EZOBOSS
- * @dependancies metadatadb.plugin.js
+ * @dependancies metadatadb.plugin.js, scheduler.plugin.js, watch-state.plugin.js, plugin-host.plugin.js, logger.plugin.js
  */
 
 (function () {
@@ -11,41 +11,215 @@
         static CONFIG = {
             SEEN_CACHE_KEY: "notifications_seen",
             GRACE_PERIOD_MS: 7 * 24 * 60 * 60 * 1000, // 7 days
-            MAX_SEEN_ENTRIES: 100, // LRU eviction threshold
+            MAX_SEEN_ENTRIES: 200, // LRU eviction threshold
+            DELIVERED_CACHE_KEY: "notifications_delivered",
+            MAX_DELIVERED_ENTRIES: 200, // LRU eviction threshold for desktop notifications
+            LEGACY_NOTIFIED_PREFIX: "desktop:", // Delivered ids once kept in the seen map
+            RULES_KEY: "notifications_rules",
+            LEGACY_MUTED_KEY: "notifications_muted",
+            MOVIE_WINDOW_MS: 30 * 24 * 60 * 60 * 1000, // Movies drop off after 30 days
+            EPISODE_WINDOW_MS: 90 * 24 * 60 * 60 * 1000, // Episodes (and "always" movies) after 3 months
+            RULES: [
+                { value: "default", label: "Default" },
+                { value: "always", label: "Always notify" },
+                {
+                    value: "new_seasons",
+                    label: "New seasons only",
+                    seriesOnly: true,
+                },
+                { value: "mute", label: "Mute" },
+            ],
+            SNOOZE_DAYS: [
+                { days: 1, label: "1 day" },
+                { days: 7, label: "1 week" },
+                { days: 30, label: "1 month" },
+            ],
+            DESKTOP_MAX_AGE: 3 * 24 * 60 * 60 * 1000, // Older releases never pop up
+            DIGEST_MAX_LINES: 5,
+            REFRESH_JOB_ID: "library-series-refresh",
+            REFRESH_INTERVAL: 60 * 60 * 1000, // 1 hour
+            REFRESH_STALE_AFTER: 6 * 60 * 60 * 1000, // Refetch series older than 6 hours
+            REFRESH_BATCH_SIZE: 15, // Series refetched per run
         };
 
         constructor() {
+            this.log = window.Logger.create("Notifications");
             this.notifications = [];
             // Map<id, timestamp> - stores when each notification was marked as seen
             this.seenNotifications = this.loadSeenState();
+            // Map<id, timestamp> - when a desktop notification was shown for it
+            this.deliveredNotifications = this.loadDeliveredState();
+            // { [seriesId]: { rule, until } } - per-series overrides of the relevance logic
+            this.rules = this.loadRules();
+            // Muted and snoozed titles, listed so their rule can be changed back
+            this.silenced = [];
+            this._quietTimer = null;
             this.metadataDB = window.MetadataDB;
+            this.watchState = window.WatchState;
             this.init();
         }
 
         init() {
+            this.registerSettings();
             this.renderBell();
             this.updateNotifications();
 
             // Check on navigation to home
-            window.addEventListener("hashchange", () => {
+            this.onHashChange = () => {
                 // Hide bell in player, show otherwise
                 this.toggleBellVisibility();
 
                 if (!window.location.hash || window.location.hash === "#/") {
                     this.updateNotifications();
                 }
-            });
+            };
+            window.addEventListener("hashchange", this.onHashChange);
 
             // Subscribe to MetadataDB changes (reactive updates)
             this._updateDebounceTimer = null;
-            this.metadataDB.subscribe("*", (id, data, changeType) => {
-                this._onMetadataChange(id, data, changeType);
+            this.unsubscribeMetadata = this.metadataDB.subscribe(
+                "*",
+                (id, data, changeType) => {
+                    this._onMetadataChange(id, data, changeType);
+                },
+            );
+
+            // Refetched series land in MetadataDB, which updates the list above
+            window.Scheduler?.register({
+                id: NotificationsPlugin.CONFIG.REFRESH_JOB_ID,
+                interval: NotificationsPlugin.CONFIG.REFRESH_INTERVAL,
+                initialDelay: 60 * 1000,
+                run: () => this.refreshWatchedSeries(),
+            });
+        }
+
+        destroy() {
+            window.removeEventListener("hashchange", this.onHashChange);
+            this.unsubscribeMetadata();
+            this.unsubscribeSettings?.();
+            window.Scheduler?.unregister(
+                NotificationsPlugin.CONFIG.REFRESH_JOB_ID,
+            );
+            clearTimeout(this._updateDebounceTimer);
+            clearTimeout(this._quietTimer);
+            clearTimeout(this.markTimeout);
+            document.querySelector(".notifications-container")?.remove();
+        }
+
+        /**
+         * Refetch the stalest series the user is watching, so new episodes
+         * show up while the app stays open. Throws when every fetch fails so
+         * the scheduler backs off.
+         */
+        async refreshWatchedSeries() {
+            const { REFRESH_STALE_AFTER, REFRESH_BATCH_SIZE } =
+                NotificationsPlugin.CONFIG;
+            const now = Date.now();
+
+            const { records: stale } = await this.metadataDB.query({
+                type: "series",
+                watched: true,
+                timestamp: { to: now - REFRESH_STALE_AFTER },
+                sort: { by: "timestamp" },
+                limit: REFRESH_BATCH_SIZE,
+            });
+            if (stale.length === 0) return;
+
+            let failed = 0;
+            for (const record of stale) {
+                try {
+                    const fresh = await this.metadataDB.fetchFromApi(
+                        record.id,
+                        "series",
+                        { live: true },
+                    );
+                    if (!fresh) {
+                        failed++;
+                        continue;
+                    }
+
+                    // Keep the watch state synced from the library
+                    this.watchState.annotate(fresh);
+
+                    await this.metadataDB.put(record.id, fresh, "series");
+                } catch {
+                    failed++;
+                }
+            }
+
+            this.log.info(
+                `Refreshed ${stale.length - failed}/${stale.length} series`,
+            );
+            if (failed === stale.length) {
+                throw new Error(`All ${failed} series refreshes failed`);
+            }
+        }
+
+        registerSettings() {
+            const settings = window.StremioSettings;
+            if (!settings?.register) return;
+
+            settings.register("notifications", {
+                title: "Notifications",
+                settings: [
+                    {
+                        key: "desktop",
+                        type: "boolean",
+                        label: "Desktop notifications for new episodes",
+                        default: false,
+                    },
+                    {
+                        key: "digest",
+                        type: "boolean",
+                        label: "Combine several releases into one notification",
+                        default: true,
+                    },
+                    {
+                        key: "quiet_start",
+                        type: "number",
+                        label: "Quiet hours start (same as end = off)",
+                        default: 22,
+                        min: 0,
+                        max: 23,
+                        unit: "h",
+                    },
+                    {
+                        key: "quiet_end",
+                        type: "number",
+                        label: "Quiet hours end",
+                        default: 8,
+                        min: 0,
+                        max: 23,
+                        unit: "h",
+                    },
+                ],
             });
+
+            this.unsubscribeSettings = settings.onChange(
+                "notifications",
+                async (key, value) => {
+                    if (key === "desktop" && value) {
+                        const permission = await this.requestPermission();
+                        if (permission !== "granted") {
+                            this.log.warn(
+                                `Desktop notifications ${permission}`,
+                            );
+                            settings.set("notifications", "desktop", false);
+                            return;
+                        }
+                    }
+                    if (key.startsWith("quiet_")) {
+                        clearTimeout(this._quietTimer);
+                        this._quietTimer = null;
+                    }
+                    this.deliverDesktopNotifications();
+                },
+            );
         }
 
         _onMetadataChange(id, data, changeType) {
-            // Only react to series/movie changes
-            if (changeType !== "put") return;
+            // Only react to series/movie changes, here or in another tab
+            if (changeType !== "put" && changeType !== "remote") return;
             if (!data || (data.type !== "series" && data.type !== "movie"))
                 return;
 
@@ -97,22 +271,76 @@
             }
         }
 
-        saveSeenState() {
+        loadDeliveredState() {
+            const { DELIVERED_CACHE_KEY, LEGACY_NOTIFIED_PREFIX } =
+                NotificationsPlugin.CONFIG;
+            let delivered;
             try {
-                // LRU eviction: if we exceed max entries, remove oldest ones
-                if (
-                    this.seenNotifications.size >
-                    NotificationsPlugin.CONFIG.MAX_SEEN_ENTRIES
-                ) {
-                    const entries = [...this.seenNotifications.entries()];
-                    // Sort by timestamp ascending (oldest first)
-                    entries.sort((a, b) => a[1] - b[1]);
-                    // Keep only the newest MAX_SEEN_ENTRIES
-                    const toKeep = entries.slice(
-                        -NotificationsPlugin.CONFIG.MAX_SEEN_ENTRIES,
+                delivered = new Map(
+                    Object.entries(
+                        JSON.parse(
+                            localStorage.getItem(DELIVERED_CACHE_KEY) || "{}",
+                        ),
+                    ),
+                );
+            } catch {
+                delivered = new Map();
+            }
+
+            // Move markers out of the seen map, where they took its slots
+            let moved = false;
+            for (const [id, timestamp] of this.seenNotifications) {
+                if (!id.startsWith(LEGACY_NOTIFIED_PREFIX)) continue;
+                delivered.set(
+                    id.slice(LEGACY_NOTIFIED_PREFIX.length),
+                    timestamp,
+                );
+                this.seenNotifications.delete(id);
+                moved = true;
+            }
+            if (moved) {
+                this.deliveredNotifications = delivered;
+                this.saveSeenState();
+                this.saveDeliveredState();
+            }
+            return delivered;
+        }
+
+        // LRU eviction: the newest `max` entries of a Map<id, timestamp>
+        keepNewest(map, max) {
+            if (map.size <= max) return map;
+            return new Map(
+                [...map.entries()].sort((a, b) => a[1] - b[1]).slice(-max),
+            );
+        }
+
+        saveDeliveredState() {
+            const { DELIVERED_CACHE_KEY, MAX_DELIVERED_ENTRIES } =
+                NotificationsPlugin.CONFIG;
+            this.deliveredNotifications = this.keepNewest(
+                this.deliveredNotifications,
+                MAX_DELIVERED_ENTRIES,
+            );
+            requestIdleCallback(() => {
+                try {
+                    localStorage.setItem(
+                        DELIVERED_CACHE_KEY,
+                        JSON.stringify(
+                            Object.fromEntries(this.deliveredNotifications),
+                        ),
                     );
-                    this.seenNotifications = new Map(toKeep);
+                } catch (e) {
+                    this.log.warn("Failed to save delivered notifications", e);
                 }
+            });
+        }
+
+        saveSeenState() {
+            try {
+                this.seenNotifications = this.keepNewest(
+                    this.seenNotifications,
+                    NotificationsPlugin.CONFIG.MAX_SEEN_ENTRIES,
+                );
 
                 requestIdleCallback(() => {
                     // Serialize Map as object { id: timestamp }
@@ -123,7 +351,7 @@
                     );
                 });
             } catch (e) {
-                console.warn("Failed to save seen notifications", e);
+                this.log.warn("Failed to save seen notifications", e);
             }
         }
 
@@ -173,6 +401,198 @@
             this.updateBadge();
         }
 
+        loadRules() {
+            const { RULES_KEY, LEGACY_MUTED_KEY } = NotificationsPlugin.CONFIG;
+            let rules = {};
+            try {
+                rules = JSON.parse(localStorage.getItem(RULES_KEY) || "{}");
+            } catch {}
+
+            // Desktop-only mutes became the "mute" rule
+            try {
+                const muted = JSON.parse(
+                    localStorage.getItem(LEGACY_MUTED_KEY) || "[]",
+                );
+                if (muted.length > 0) {
+                    muted.forEach((id) => {
+                        rules[id] ??= { rule: "mute" };
+                    });
+                    this.rules = rules;
+                    this.saveRules();
+                }
+                localStorage.removeItem(LEGACY_MUTED_KEY);
+            } catch {}
+
+            return rules;
+        }
+
+        saveRules() {
+            try {
+                localStorage.setItem(
+                    NotificationsPlugin.CONFIG.RULES_KEY,
+                    JSON.stringify(this.rules),
+                );
+            } catch (e) {
+                this.log.warn("Failed to save notification rules", e);
+            }
+        }
+
+        /**
+         * The rule for a series or movie; expired snoozes fall back to default
+         */
+        getRule(id, now = Date.now()) {
+            const rule = this.rules[id];
+            if (!rule) return { rule: "default" };
+
+            if (rule.rule === "snooze" && !(rule.until > now)) {
+                delete this.rules[id];
+                this.saveRules();
+                return { rule: "default" };
+            }
+            return rule;
+        }
+
+        setRule(id, rule, until) {
+            if (rule === "default") {
+                delete this.rules[id];
+            } else {
+                this.rules[id] = rule === "snooze" ? { rule, until } : { rule };
+            }
+            this.saveRules();
+            this.updateNotifications();
+        }
+
+        getLink({ seriesId, season, episode, type }) {
+            return type === "movie"
+                ? `#/detail/movie/${seriesId}`
+                : `#/detail/series/${seriesId}/${seriesId}%3A${season}%3A${episode}`;
+        }
+
+        // ─── Desktop notifications ──────────────────────────
+
+        async requestPermission() {
+            if (!("Notification" in window)) return "unsupported";
+            if (Notification.permission !== "default") {
+                return Notification.permission;
+            }
+            return Notification.requestPermission();
+        }
+
+        isQuietHours(date = new Date()) {
+            const settings = window.StremioSettings;
+            const start = settings.get("notifications", "quiet_start");
+            const end = settings.get("notifications", "quiet_end");
+            if (start === end) return false;
+
+            const hour = date.getHours();
+            // Ranges like 22 -> 8 wrap around midnight
+            return start < end
+                ? hour >= start && hour < end
+                : hour >= start || hour < end;
+        }
+
+        scheduleAfterQuietHours() {
+            if (this._quietTimer) return;
+
+            const end = new Date();
+            end.setHours(
+                window.StremioSettings.get("notifications", "quiet_end"),
+                0,
+                0,
+                0,
+            );
+            if (end.getTime() <= Date.now()) end.setDate(end.getDate() + 1);
+
+            this._quietTimer = setTimeout(() => {
+                this._quietTimer = null;
+                this.deliverDesktopNotifications();
+            }, end.getTime() - Date.now());
+        }
+
+        describe(notif) {
+            return notif.type === "series"
+                ? `S${notif.season} E${notif.episode} - ${notif.title}`
+                : "Movie";
+        }
+
+        /**
+         * Pop up unseen releases that haven't been delivered yet. Delivered
+         * ids are recorded apart from the seen ones so they never fire
+         * twice, while the bell still counts them as new.
+         */
+        deliverDesktopNotifications() {
+            const settings = window.StremioSettings;
+            if (!settings?.get("notifications", "desktop")) return;
+            if (
+                !("Notification" in window) ||
+                Notification.permission !== "granted"
+            )
+                return;
+            // Every open window runs this plugin; only one of them notifies
+            if (window.Scheduler && !window.Scheduler.isLeader()) return;
+
+            const { DESKTOP_MAX_AGE, DIGEST_MAX_LINES } =
+                NotificationsPlugin.CONFIG;
+            const now = Date.now();
+
+            const pending = this.notifications.filter(
+                (n) =>
+                    !n.isSeen &&
+                    !this.deliveredNotifications.has(n.id) &&
+                    now - new Date(n.released).getTime() <= DESKTOP_MAX_AGE,
+            );
+            if (pending.length === 0) return;
+
+            if (this.isQuietHours()) {
+                this.scheduleAfterQuietHours();
+                return;
+            }
+
+            // Newest release first, so it is the one the digest opens
+            if (settings.get("notifications", "digest") && pending.length > 1) {
+                const lines = pending
+                    .slice(0, DIGEST_MAX_LINES)
+                    .map((n) => `${n.seriesName} · ${this.describe(n)}`);
+                if (pending.length > DIGEST_MAX_LINES) {
+                    lines.push(`and ${pending.length - DIGEST_MAX_LINES} more`);
+                }
+                this.showDesktopNotification(pending[0], {
+                    title: `${pending.length} new releases`,
+                    body: lines.join("\n"),
+                    tag: "liquid-glass-digest",
+                });
+            } else {
+                pending.forEach((n) =>
+                    this.showDesktopNotification(n, {
+                        title: n.seriesName,
+                        body: this.describe(n),
+                        tag: n.id,
+                    }),
+                );
+            }
+
+            pending.forEach((n) => this.deliveredNotifications.set(n.id, now));
+            this.saveDeliveredState();
+        }
+
+        showDesktopNotification(notif, { title, body, tag }) {
+            try {
+                const notification = new Notification(title, {
+                    body,
+                    tag,
+                    icon: notif.thumbnail,
+                });
+                notification.onclick = () => {
+                    window.focus();
+                    window.location.hash = this.getLink(notif);
+                    this.markAsSeen(notif.id);
+                    notification.close();
+                };
+            } catch (e) {
+                this.log.warn("Failed to notify:", e);
+            }
+        }
+
         getTimeSinceRelease(releaseDate) {
             const now = Date.now();
             const released = new Date(releaseDate).getTime();
@@ -218,13 +638,42 @@
 
         async updateNotifications() {
             await this.metadataDB.initPromise;
-            const cache = await this.metadataDB.getAll();
+            await this.watchState.sync();
             const notifications = [];
+            const silenced = [];
             const now = Date.now();
+            const { MOVIE_WINDOW_MS, EPISODE_WINDOW_MS } =
+                NotificationsPlugin.CONFIG;
+
+            // Muted and snoozed titles are listed whenever they were released
+            const silencedIds = Object.keys(this.rules).filter((id) =>
+                ["mute", "snooze"].includes(this.getRule(id, now).rule),
+            );
+            const silencedMetas = await this.metadataDB.getMany(silencedIds);
+            for (const [id, item] of silencedMetas) {
+                if (!item) continue;
+                const { rule, until } = this.getRule(id, now);
+                silenced.push({
+                    seriesId: id,
+                    seriesName: item.name || item.title,
+                    type: item.type,
+                    rule,
+                    until,
+                });
+            }
+
+            // Only titles with a release inside the widest window can notify
+            const { records } = await this.metadataDB.query({
+                released: { from: now - EPISODE_WINDOW_MS, to: now },
+            });
 
-            Object.values(cache).forEach((entry) => {
+            records.forEach((entry) => {
                 const item = entry.data;
                 if (!item) return;
+                if (item.type !== "movie" && item.type !== "series") return;
+
+                const { rule } = this.getRule(item.id, now);
+                if (rule === "mute" || rule === "snooze") return;
 
                 // Handle Movies
                 if (item.type === "movie") {
@@ -234,8 +683,9 @@
                     // Check if released
                     if (releaseDate > now) return;
 
-                    // Check if too old (30 days for movies)
-                    const filterMs = 30 * 24 * 60 * 60 * 1000;
+                    // Check if too old (30 days for movies, unless always notified)
+                    const filterMs =
+                        rule === "always" ? EPISODE_WINDOW_MS : MOVIE_WINDOW_MS;
                     if (now - releaseDate > filterMs) return;
 
                     const notifId = item.id;
@@ -268,8 +718,10 @@
                 // 1. Find the latest season where user watched Ep 1
                 const watchedSeasons = new Set();
                 series.videos.forEach((v) => {
-                    // Check individual video watched status
-                    if (v.watched === true && v.episode === 1) {
+                    if (
+                        v.episode === 1 &&
+                        this.watchState.isWatched(series.id, v.season, 1)
+                    ) {
                         watchedSeasons.add(v.season);
                     }
                 });
@@ -296,7 +748,12 @@
                 // If user is more than 1 season behind, don't show notifications.
                 // e.g. User on S2, Show on S4. Gap = 2. Skip.
                 // e.g. User on S3, Show on S4. Gap = 1. Allow (New season alert).
-                if (latestReleasedSeason - latestStartedSeason > 1) return;
+                // "Always notify" series skip this check.
+                if (
+                    rule !== "always" &&
+                    latestReleasedSeason - latestStartedSeason > 1
+                )
+                    return;
 
                 // 4. Find unwatched, released episodes
                 // Constraint: Only show notifications for the LATEST released season.
@@ -311,11 +768,25 @@
                     if (releaseDate > now) return; // Not released yet
 
                     // Check if too old (more than 3 months)
-                    const threeMonthsMs = 90 * 24 * 60 * 60 * 1000;
-                    if (now - releaseDate > threeMonthsMs) return;
+                    if (now - releaseDate > EPISODE_WINDOW_MS) return;
 
-                    // Check if watched (individual video property)
-                    if (video.watched === true) return;
+                    // "New seasons only": just the premiere of an unstarted season
+                    if (
+                        rule === "new_seasons" &&
+                        (video.season <= latestStartedSeason ||
+                            video.episode !== 1)
+                    )
+                        return;
+
+                    // Check if watched
+                    if (
+                        this.watchState.isWatched(
+                            series.id,
+                            video.season,
+                            video.episode,
+                        )
+                    )
+                        return;
 
                     // Unique ID for the notification
                     const notifId = `${series.id}-${video.season}-${video.episode}`;
@@ -350,27 +821,41 @@
             });
 
             this.notifications = notifications;
+            this.silenced = silenced.sort((a, b) =>
+                (a.seriesName || "").localeCompare(b.seriesName || ""),
+            );
 
             // Prune seen state to only rendered notifications
             const currentIds = new Set(notifications.map((n) => n.id));
             const previousSize = this.seenNotifications.size;
 
             // Grace period pruning: Only delete if NOT in current list AND older than grace period
-            for (const [id, timestamp] of this.seenNotifications) {
-                if (
-                    !currentIds.has(id) &&
-                    now - timestamp > NotificationsPlugin.CONFIG.GRACE_PERIOD_MS
-                ) {
-                    this.seenNotifications.delete(id);
+            const previousDelivered = this.deliveredNotifications.size;
+            for (const map of [
+                this.seenNotifications,
+                this.deliveredNotifications,
+            ]) {
+                for (const [id, timestamp] of map) {
+                    if (
+                        !currentIds.has(id) &&
+                        now - timestamp >
+                            NotificationsPlugin.CONFIG.GRACE_PERIOD_MS
+                    ) {
+                        map.delete(id);
+                    }
                 }
             }
 
             if (this.seenNotifications.size !== previousSize) {
                 this.saveSeenState();
             }
+            if (this.deliveredNotifications.size !== previousDelivered) {
+                this.saveDeliveredState();
+            }
 
             this.renderList();
             this.updateBadge();
+            this.deliverDesktopNotifications();
         }
 
         renderBell() {
@@ -405,24 +890,36 @@
             const list = container.querySelector(".notification-list");
             if (list) {
                 list.addEventListener("click", (e) => {
+                    if (this.handleRuleClick(e)) return;
+
                     const item = e.target.closest(".notification-item");
                     if (item) {
                         const { seriesId, season, episode, type } =
                             item.dataset;
                         if (
-                            seriesId &&
-                            season &&
-                            episode &&
-                            type === "series"
+                            (seriesId &&
+                                season &&
+                                episode &&
+                                type === "series") ||
+                            type === "movie"
                         ) {
-                            window.location.hash = `#/detail/series/${seriesId}/${seriesId}%3A${season}%3A${episode}`;
-                        }
-                        if (type === "movie") {
-                            window.location.hash = `#/detail/movie/${seriesId}`;
+                            window.location.hash = this.getLink(item.dataset);
                         }
                     }
                 });
 
+                list.addEventListener("change", (e) => {
+                    const input = e.target.closest(".notif-snooze-date");
+                    if (!input?.value) return;
+
+                    const menu = input.closest(".notif-rule-menu");
+                    // Snooze until the end of the picked day
+                    const until = new Date(`${input.value}T23:59:59`).getTime();
+                    if (until > Date.now()) {
+                        this.setRule(menu.dataset.seriesId, "snooze", until);
+                    }
+                });
+
                 list.addEventListener("mouseover", (e) => {
                     const item = e.target.closest(".notification-item");
                     if (!item) return;
@@ -459,16 +956,16 @@
             if (this.notifications.length === 0) {
                 list.innerHTML =
                     '<div class="empty-state">No new episodes</div>';
-                return;
             }
 
             const fragment = document.createDocumentFragment();
 
             this.notifications.forEach((notif) => {
                 const li = document.createElement("li");
+                const { rule } = this.getRule(notif.seriesId);
                 li.className = `notification-item ${
                     notif.isSeen ? "seen" : ""
-                }`;
+                } ${rule !== "default" ? "has-rule" : ""}`;
                 li.id = `notif-${notif.id}`;
                 li.dataset.id = notif.id;
                 li.dataset.seriesId = notif.seriesId;
@@ -508,21 +1005,135 @@
                         </div>
 
                         <div class="notif-series">${notif.seriesName}</div>
-                        <div class="notif-episode">${
-                            isSeries
-                                ? `S${notif.season} E${notif.episode} - ${notif.title}`
-                                : `Movie`
-                        }</div>
-                        
-                        
+                        <div class="notif-episode">${this.describe(notif)}</div>
+                    </div>
+                    ${this.renderRuleButton(notif)}
                 `;
 
                 fragment.appendChild(li);
             });
 
+            if (this.silenced.length > 0) {
+                const title = document.createElement("li");
+                title.className = "notification-section-title";
+                title.textContent = "Muted and snoozed";
+                fragment.appendChild(title);
+
+                this.silenced.forEach((entry) => {
+                    const li = document.createElement("li");
+                    li.className = "notification-item silenced";
+                    li.dataset.seriesId = entry.seriesId;
+                    li.innerHTML = `
+                        <div class="notif-content">
+                            <div class="notif-series">${entry.seriesName}</div>
+                            <div class="notif-episode">${
+                                entry.rule === "snooze"
+                                    ? `Snoozed until ${new Date(
+                                          entry.until,
+                                      ).toLocaleDateString()}`
+                                    : "Muted"
+                            }</div>
+                        </div>
+                        ${this.renderRuleButton(entry)}
+                    `;
+                    fragment.appendChild(li);
+                });
+            }
+
             list.appendChild(fragment);
         }
 
+        // ─── Per-series rules ───────────────────────────────
+
+        renderRuleButton({ seriesId, type }) {
+            return `
+                <button class="notif-rule-btn" data-series-id="${seriesId}" data-type="${type}" aria-label="Notification rule">
+                    <svg viewBox="0 0 24 24">
+                        <path d="M12 22c1.1 0 2-.9 2-2h-4c0 1.1.9 2 2 2zm6-6v-5c0-3.07-1.63-5.64-4.5-6.32V4c0-.83-.67-1.5-1.5-1.5s-1.5.67-1.5 1.5v.68C7.64 5.36 6 7.92 6 11v5l-2 2v1h16v-1l-2-2z"/>
+                    </svg>
+                </button>
+            `;
+        }
+
+        renderRuleMenu(seriesId, type) {
+            const { RULES, SNOOZE_DAYS } = NotificationsPlugin.CONFIG;
+            const { rule } = this.getRule(seriesId);
+
+            const menu = document.createElement("div");
+            menu.className = "notif-rule-menu";
+            menu.dataset.seriesId = seriesId;
+
+            const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+            const minDate = `${tomorrow.getFullYear()}-${String(
+                tomorrow.getMonth() + 1,
+            ).padStart(2, "0")}-${String(tomorrow.getDate()).padStart(2, "0")}`;
+
+            menu.innerHTML = `
+                ${RULES.filter((r) => type === "series" || !r.seriesOnly)
+                    .map(
+                        (r) =>
+                            `<button class="notif-rule-option ${
+                                r.value === rule ? "active" : ""
+                            }" data-rule="${r.value}">${r.label}</button>`,
+                    )
+                    .join("")}
+                <div class="notif-snooze">
+                    <span>Snooze</span>
+                    ${SNOOZE_DAYS.map(
+                        (s) =>
+                            `<button class="notif-rule-option" data-rule="snooze" data-days="${s.days}">${s.label}</button>`,
+                    ).join("")}
+                    <input type="date" class="notif-snooze-date" min="${minDate}">
+                </div>
+            `;
+            return menu;
+        }
+
+        /**
+         * Handles clicks on rule buttons and menu options; returns true when
+         * the click was one of them
+         */
+        handleRuleClick(e) {
+            const option = e.target.closest(".notif-rule-option");
+            if (option) {
+                e.stopPropagation();
+                const { seriesId } = option.closest(".notif-rule-menu").dataset;
+                const { rule, days } = option.dataset;
+                this.setRule(
+                    seriesId,
+                    rule,
+                    rule === "snooze"
+                        ? Date.now() + Number(days) * 24 * 60 * 60 * 1000
+                        : undefined,
+                );
+                return true;
+            }
+
+            if (e.target.closest(".notif-rule-menu")) {
+                e.stopPropagation();
+                return true;
+            }
+
+            const button = e.target.closest(".notif-rule-btn");
+            if (!button) return false;
+
+            e.stopPropagation();
+            const item = button.closest(".notification-item");
+            const open = item.querySelector(".notif-rule-menu");
+            document
+                .querySelectorAll(".notif-rule-menu")
+                .forEach((menu) => menu.remove());
+            if (!open) {
+                item.appendChild(
+                    this.renderRuleMenu(
+                        button.dataset.seriesId,
+                        button.dataset.type,
+                    ),
+                );
+            }
+            return true;
+        }
+
         updateBadge() {
             const badge = document.querySelector(".notification-badge");
             if (!badge) return;
@@ -537,6 +1148,9 @@
         }
     }
     requestIdleCallback(() => {
-        new NotificationsPlugin();
+        window.PluginHost.register({
+            id: "notifications",
+            start: () => new NotificationsPlugin(),
+        });
     });
 })();
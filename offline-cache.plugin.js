@@ -0,0 +1,431 @@
+/**
+ * @name Offline Cache
+ * @description Cache Storage backed JSON and artwork cache with LRU limits, stale-while-revalidate reads and online/offline detection
+ * @version 1.0.0
+ * @author EZOBOSS
+ * @dependencies http-client.plugin.js, logger.plugin.js
+ */
+
+class OfflineCache {
+    static CONFIG = {
+        CACHE_NAME: "liquid-glass-offline",
+        INDEX_KEY: "offline_cache_index",
+        INDEX_SAVE_DELAY: 2000,
+        LIMITS: {
+            json: { bytes: 10 * 1024 * 1024, entries: 500 },
+            image: { bytes: 100 * 1024 * 1024, entries: 2000 },
+        },
+        // Artwork hosts worth keeping for offline use
+        IMAGE_HOSTS: ["images.metahub.space", "episodes.metahub.space"],
+        FETCH_TIMEOUT: 5000,
+        DEFAULT_MAX_AGE: 12 * 60 * 60 * 1000, // Revalidate JSON older than 12 hours
+        FAILURE_THRESHOLD: 2, // Consecutive network failures before going offline
+        PROBE_URL: "https://v3-cinemeta.strem.io/manifest.json",
+        PROBE_INTERVAL: 30 * 1000, // While offline
+        OFFLINE_CLASS: "liquid-glass-offline",
+    };
+
+    constructor() {
+        this.log = window.Logger.create("OfflineCache");
+        // url -> { kind, size, storedAt, lastUsed }
+        this.index = this._loadIndex();
+        this.online = navigator.onLine;
+        this.failures = 0;
+        this.listeners = new Set();
+        this.objectUrls = new Map(); // url -> blob: URL for offline artwork
+        this.imageQueue = [];
+        this.uncacheable = new Set(); // Images refused by CORS this session
+        this.probeTimer = null;
+        this.saveTimer = null;
+        this.cachePromise =
+            "caches" in window
+                ? caches.open(OfflineCache.CONFIG.CACHE_NAME)
+                : Promise.resolve(null);
+
+        this.init();
+    }
+
+    init() {
+        window.addEventListener("online", () => this._setOnline(true));
+        window.addEventListener("offline", () => this._setOnline(false));
+
+        // Images anywhere in the app: keep what loads, restore what fails
+        document.addEventListener("load", (e) => this._onImageLoad(e), true);
+        document.addEventListener("error", (e) => this._onImageError(e), true);
+
+        this._applyOfflineClass();
+        requestIdleCallback(() => this.registerSettings());
+    }
+
+    registerSettings() {
+        const settings = window.StremioSettings;
+        if (!settings?.register) return;
+
+        settings.register("offline", {
+            title: "Offline cache",
+            settings: [
+                {
+                    key: "image_cache_mb",
+                    type: "number",
+                    label: "Artwork kept for offline use",
+                    default: OfflineCache.CONFIG.LIMITS.image.bytes / 1048576,
+                    min: 0,
+                    max: 1000,
+                    step: 50,
+                    unit: "MB",
+                },
+            ],
+        });
+
+        settings.onChange("offline", () => this._enforceLimits("image"));
+    }
+
+    // ─── Online status ──────────────────────────────────
+
+    isOnline() {
+        return this.online;
+    }
+
+    /**
+     * Subscribe to online/offline changes; returns an unsubscribe function
+     */
+    onStatusChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    _setOnline(online) {
+        this.failures = 0;
+        if (this.online === online) return;
+        this.online = online;
+
+        this.log.info(`${online ? "Back online" : "Offline"}`);
+        this._applyOfflineClass();
+
+        clearInterval(this.probeTimer);
+        this.probeTimer = null;
+        if (online) {
+            this._revokeObjectUrls();
+        } else {
+            this.probeTimer = setInterval(
+                () => this._probe(),
+                OfflineCache.CONFIG.PROBE_INTERVAL,
+            );
+        }
+
+        this.listeners.forEach((callback) => {
+            try {
+                callback(online);
+            } catch (e) {
+                this.log.error("Listener error:", e);
+            }
+        });
+    }
+
+    _applyOfflineClass() {
+        document.body?.classList.toggle(
+            OfflineCache.CONFIG.OFFLINE_CLASS,
+            !this.online,
+        );
+    }
+
+    _reportSuccess() {
+        if (!this.online) this._setOnline(true);
+        this.failures = 0;
+    }
+
+    _reportFailure() {
+        // navigator.onLine stays true on captive portals and dead DNS
+        if (++this.failures >= OfflineCache.CONFIG.FAILURE_THRESHOLD) {
+            this._setOnline(false);
+        }
+    }
+
+    async _probe() {
+        try {
+            await fetch(OfflineCache.CONFIG.PROBE_URL, {
+                method: "HEAD",
+                cache: "no-store",
+                credentials: "omit",
+            });
+            this._setOnline(true);
+        } catch {}
+    }
+
+    // ─── Index ──────────────────────────────────────────
+
+    _loadIndex() {
+        try {
+            return JSON.parse(
+                localStorage.getItem(OfflineCache.CONFIG.INDEX_KEY) || "{}",
+            );
+        } catch {
+            return {};
+        }
+    }
+
+    _saveIndex() {
+        if (this.saveTimer) return;
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            try {
+                localStorage.setItem(
+                    OfflineCache.CONFIG.INDEX_KEY,
+                    JSON.stringify(this.index),
+                );
+            } catch (e) {
+                this.log.warn("Failed to save index:", e);
+            }
+        }, OfflineCache.CONFIG.INDEX_SAVE_DELAY);
+    }
+
+    _touch(url) {
+        if (!this.index[url]) return;
+        this.index[url].lastUsed = Date.now();
+        this._saveIndex();
+    }
+
+    _getLimit(kind) {
+        const limit = { ...OfflineCache.CONFIG.LIMITS[kind] };
+        if (kind === "image") {
+            const mb = window.StremioSettings?.get("offline", "image_cache_mb");
+            if (mb !== undefined) limit.bytes = mb * 1048576;
+        }
+        return limit;
+    }
+
+    /**
+     * Evict least recently used entries of a kind until it fits its limits
+     */
+    async _enforceLimits(kind) {
+        const cache = await this.cachePromise;
+        if (!cache) return;
+
+        const { bytes, entries } = this._getLimit(kind);
+        const urls = Object.keys(this.index)
+            .filter((url) => this.index[url].kind === kind)
+            .sort((a, b) => this.index[a].lastUsed - this.index[b].lastUsed);
+
+        let total = urls.reduce((sum, url) => sum + this.index[url].size, 0);
+        let count = urls.length;
+
+        for (const url of urls) {
+            if (total <= bytes && count <= entries) break;
+            total -= this.index[url].size;
+            count--;
+            delete this.index[url];
+            await cache.delete(url);
+        }
+        this._saveIndex();
+    }
+
+    async _store(url, response, kind) {
+        const cache = await this.cachePromise;
+        if (!cache) return;
+
+        const blob = await response.blob();
+        await cache.put(
+            url,
+            new Response(blob, {
+                headers: {
+                    "Content-Type":
+                        response.headers.get("Content-Type") || blob.type,
+                },
+            }),
+        );
+
+        const now = Date.now();
+        this.index[url] = {
+            kind,
+            size: blob.size,
+            storedAt: now,
+            lastUsed: now,
+        };
+        this._saveIndex();
+        this._enforceLimits(kind);
+    }
+
+    // ─── JSON ───────────────────────────────────────────
+
+    async _revalidate(url, options) {
+        let data;
+        try {
+            data = await window.HttpClient.getJSON(url, options);
+            this._reportSuccess();
+        } catch (err) {
+            // Only network errors and timeouts say anything about connectivity
+            if (err.status !== undefined) this._reportSuccess();
+            else if (!err.circuitOpen) this._reportFailure();
+            throw err;
+        }
+
+        await this._store(
+            url,
+            new Response(JSON.stringify(data), {
+                headers: { "Content-Type": "application/json" },
+            }),
+            "json",
+        );
+        return data;
+    }
+
+    /**
+     * Fetch JSON, stale-while-revalidate: a cached copy is returned at once
+     * (refreshed in the background once older than maxAge), otherwise the
+     * network is used and the result kept. Throws only when neither works.
+     */
+    async fetchJSON(
+        url,
+        {
+            maxAge = OfflineCache.CONFIG.DEFAULT_MAX_AGE,
+            timeout = OfflineCache.CONFIG.FETCH_TIMEOUT,
+            retries = 1,
+        } = {},
+    ) {
+        const cache = await this.cachePromise;
+        const cached = this.index[url] && (await cache?.match(url));
+
+        if (cached) {
+            try {
+                const data = await cached.json();
+                this._touch(url);
+                if (
+                    this.online &&
+                    Date.now() - this.index[url].storedAt > maxAge
+                ) {
+                    this._revalidate(url, { timeout, retries }).catch((e) =>
+                        this.log.warn("Revalidation failed:", e),
+                    );
+                }
+                return data;
+            } catch {
+                // Corrupt entry, fall through to the network
+                delete this.index[url];
+            }
+        }
+
+        return this._revalidate(url, { timeout, retries });
+    }
+
+    // ─── Artwork ────────────────────────────────────────
+
+    _isCacheableImage(src) {
+        try {
+            const { protocol, hostname } = new URL(src);
+            return (
+                protocol === "https:" &&
+                OfflineCache.CONFIG.IMAGE_HOSTS.includes(hostname)
+            );
+        } catch {
+            return false;
+        }
+    }
+
+    _onImageLoad(e) {
+        const img = e.target;
+        if (img?.tagName !== "IMG") return;
+
+        const src = img.currentSrc || img.src;
+        if (this.index[src]) {
+            this._touch(src);
+        } else {
+            this.precache([src]);
+        }
+    }
+
+    _onImageError(e) {
+        const img = e.target;
+        if (img?.tagName !== "IMG" || !this.index[img.src]) return;
+
+        // With a copy already at hand, keep the element's own onerror
+        // fallback from hiding the image
+        const failed = img.src;
+        if (this.objectUrls.has(failed)) {
+            e.stopPropagation();
+            img.src = this.objectUrls.get(failed);
+            return;
+        }
+
+        // Otherwise the fallback runs; swap the copy in unless it replaced the image
+        this.getImageUrl(failed).then((url) => {
+            if (url !== failed && img.src === failed) img.src = url;
+        });
+    }
+
+    /**
+     * Keep images for offline use. Network work happens one image at a time
+     * when the browser is idle.
+     */
+    precache(urls) {
+        const fresh = urls.filter(
+            (url) =>
+                url &&
+                !this.index[url] &&
+                !this.uncacheable.has(url) &&
+                !this.imageQueue.includes(url) &&
+                this._isCacheableImage(url),
+        );
+        if (fresh.length === 0) return;
+
+        const idle = this.imageQueue.length === 0;
+        this.imageQueue.push(...fresh);
+        if (idle) this._drainImageQueue();
+    }
+
+    _drainImageQueue() {
+        requestIdleCallback(async () => {
+            const url = this.imageQueue.shift();
+            if (!url) return;
+
+            if (this.online && !this.index[url]) {
+                try {
+                    const res = await fetch(url, {
+                        mode: "cors",
+                        credentials: "omit",
+                    });
+                    if (
+                        res.ok &&
+                        res.headers.get("Content-Type")?.startsWith("image/")
+                    ) {
+                        await this._store(url, res, "image");
+                    }
+                } catch {
+                    this.uncacheable.add(url);
+                }
+            }
+            if (this.imageQueue.length > 0) this._drainImageQueue();
+        });
+    }
+
+    /**
+     * A displayable URL for an image: the original while online or when
+     * it was never cached, otherwise a blob: URL of the cached copy
+     */
+    async getImageUrl(url) {
+        if (this.objectUrls.has(url)) return this.objectUrls.get(url);
+        if (!this.index[url]) return url;
+
+        const cache = await this.cachePromise;
+        const cached = await cache?.match(url);
+        if (!cached) {
+            delete this.index[url];
+            return url;
+        }
+
+        const objectUrl = URL.createObjectURL(await cached.blob());
+        this.objectUrls.set(url, objectUrl);
+        this._touch(url);
+        return objectUrl;
+    }
+
+    /**
+     * Blob URLs pin their image in memory until revoked. Once back online
+     * the originals load again, so the offline copies are let go.
+     */
+    _revokeObjectUrls() {
+        this.objectUrls.forEach((objectUrl) => URL.revokeObjectURL(objectUrl));
+        this.objectUrls.clear();
+    }
+}
+
+window.OfflineCache = new OfflineCache();
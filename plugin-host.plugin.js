@@ -0,0 +1,342 @@
+/**
+ * @name Plugin Host
+ * @description Starts plugins in dependency order from their header metadata and lets them be enabled or disabled live from settings
+ * @version 1.0.0
+ * @author EZOBOSS
+ * @dependencies settings-toggle.plugin.js, logger.plugin.js
+ */
+
+class PluginHost {
+    static CONFIG = {
+        SETTINGS_ID: "plugins",
+        FILE_SUFFIX: ".plugin.js",
+        SOURCE_PATHS: ["", "portable_config/webmods/liquid-glass-theme/"],
+        HEADER_TIMEOUT: 3000, // Start without a header rather than wait on it
+        // Toggles that enabled these plugins before the host existed; their
+        // stored value becomes the plugin's default
+        LEGACY_TOGGLES: {
+            "continue-watching": "dynamic_island",
+            "hover-info": "HoverInfoPanel",
+        },
+    };
+
+    constructor() {
+        this.log = window.Logger.create("PluginHost");
+        // id -> { id, name, version, description, dependencies, start, stop,
+        //         instance, running, error, starting, ready }
+        this.plugins = new Map();
+        this.bootHandle = null;
+        this.booted = false;
+    }
+
+    /**
+     * Hand a plugin to the host: { id, start, stop }. `id` is the file name
+     * without ".plugin.js"; name, version and dependencies are read from
+     * that file's header unless given here. `start()` returns the running
+     * instance, `stop(instance)` tears it down and defaults to
+     * `instance.destroy()`.
+     */
+    register({
+        id,
+        start,
+        stop = (instance) => instance?.destroy?.(),
+        ...meta
+    }) {
+        if (this.plugins.has(id)) {
+            this.log.warn(`"${id}" is already registered`);
+            return;
+        }
+
+        const plugin = {
+            id,
+            name: id,
+            version: null,
+            description: "",
+            dependencies: [],
+            start,
+            stop,
+            instance: null,
+            running: false,
+            error: null,
+            starting: false,
+            ready: null, // Settles once the header was read
+        };
+        plugin.ready = this._readHeader(id).then((header) =>
+            Object.assign(plugin, header, meta),
+        );
+        this.plugins.set(id, plugin);
+
+        if (this.booted) {
+            plugin.ready.then(() => {
+                this._registerSettings();
+                this._start(id);
+            });
+        } else if (this.bootHandle === null) {
+            // Plugins register from their own idle callbacks; by the next
+            // idle period all of the ones loaded with the page are in
+            this.bootHandle = requestIdleCallback(() => this._boot());
+        }
+    }
+
+    // ─── Header metadata ────────────────────────────────
+
+    /**
+     * Fields of a plugin's "/** @name ... *\/" header comment. Dependencies
+     * are plugin ids, taken from "@dependencies" (or its "@dependancies"
+     * spelling) as a comma separated list of file names.
+     */
+    static parseHeader(source) {
+        const comment = source.match(/^\s*\/\*\*?([\s\S]*?)\*\//);
+        if (!comment) return {};
+
+        const header = {};
+        for (const line of comment[1].split("\n")) {
+            const tag = line.match(/@(\w+):?\s+(.*)$/);
+            if (!tag) continue;
+            const [, key, value] = tag;
+
+            if (/^depend[ae]ncies$/.test(key)) {
+                header.dependencies = value
+                    .split(",")
+                    .map((file) =>
+                        file.trim().replace(PluginHost.CONFIG.FILE_SUFFIX, ""),
+                    )
+                    .filter(Boolean);
+            } else if (["name", "version", "description"].includes(key)) {
+                header[key] = value.trim();
+            }
+        }
+        return header;
+    }
+
+    /**
+     * The header of a plugin's file, fetched from where the plugins load
+     * their stylesheets from; empty when it can't be read
+     */
+    async _readHeader(id) {
+        const file = `${id}${PluginHost.CONFIG.FILE_SUFFIX}`;
+        for (const path of PluginHost.CONFIG.SOURCE_PATHS) {
+            const controller = new AbortController();
+            const timer = setTimeout(
+                () => controller.abort(),
+                PluginHost.CONFIG.HEADER_TIMEOUT,
+            );
+            try {
+                const res = await fetch(path + file, {
+                    signal: controller.signal,
+                });
+                // Anything without a header is the app answering for a missing file
+                const header = res.ok
+                    ? PluginHost.parseHeader(await res.text())
+                    : {};
+                if (header.name) return header;
+            } catch {
+                // Try the next location
+            } finally {
+                clearTimeout(timer);
+            }
+        }
+
+        this.log.warn(
+            `Couldn't read the header of "${id}", starting it without dependencies`,
+        );
+        return {};
+    }
+
+    // ─── Boot ───────────────────────────────────────────
+
+    async _boot() {
+        this.bootHandle = null;
+        await Promise.all([...this.plugins.values()].map((p) => p.ready));
+        this.booted = true;
+
+        this._registerSettings();
+        window.StremioSettings.onChange(
+            PluginHost.CONFIG.SETTINGS_ID,
+            (id, enabled) => (enabled ? this.enable(id) : this.disable(id)),
+        );
+
+        for (const id of this._order()) this._start(id);
+
+        const running = [...this.plugins.values()].filter((p) => p.running);
+        this.log.info(`Started ${running.length}/${this.plugins.size} plugins`);
+    }
+
+    /**
+     * Registered plugins, each after the registered plugins it depends on.
+     * Dependencies the host doesn't manage are shared services, ready once
+     * their script ran.
+     */
+    _order() {
+        const order = [];
+        const state = new Map(); // id -> "visiting" | "done"
+
+        const visit = (id, path) => {
+            if (state.get(id) === "done") return;
+            if (state.get(id) === "visiting") {
+                this.log.warn(
+                    `Circular dependency: ${[...path, id].join(" -> ")}`,
+                );
+                return;
+            }
+            state.set(id, "visiting");
+            this._dependenciesOf(id).forEach((dep) =>
+                visit(dep, [...path, id]),
+            );
+            state.set(id, "done");
+            order.push(id);
+        };
+
+        [...this.plugins.keys()].sort().forEach((id) => visit(id, []));
+        return order;
+    }
+
+    _dependenciesOf(id) {
+        return (this.plugins.get(id)?.dependencies || []).filter((dep) =>
+            this.plugins.has(dep),
+        );
+    }
+
+    _dependentsOf(id) {
+        return [...this.plugins.keys()].filter((other) =>
+            this._dependenciesOf(other).includes(id),
+        );
+    }
+
+    // ─── Settings ───────────────────────────────────────
+
+    _registerSettings() {
+        const { SETTINGS_ID, LEGACY_TOGGLES } = PluginHost.CONFIG;
+        const settings = [...this.plugins.values()]
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .map((plugin) => ({
+                key: plugin.id,
+                type: "boolean",
+                label: plugin.name,
+                default: LEGACY_TOGGLES[plugin.id]
+                    ? window.StremioSettings.isEnabled(
+                          LEGACY_TOGGLES[plugin.id],
+                      )
+                    : true,
+            }));
+
+        window.StremioSettings.register(SETTINGS_ID, {
+            title: "Plugins",
+            settings,
+        });
+    }
+
+    isEnabled(id) {
+        if (!this.plugins.has(id)) return false;
+        return (
+            window.StremioSettings.get(PluginHost.CONFIG.SETTINGS_ID, id) !==
+            false
+        );
+    }
+
+    isRunning(id) {
+        return this.plugins.get(id)?.running === true;
+    }
+
+    // ─── Lifecycle ──────────────────────────────────────
+
+    /**
+     * Start a plugin after its dependencies, then the enabled plugins that
+     * were waiting on it. A dependency switched off keeps it stopped.
+     */
+    enable(id) {
+        if (!this.plugins.has(id)) return false;
+        if (!this.isEnabled(id)) {
+            // Goes through settings so the toggle shows it; the change
+            // comes back here
+            window.StremioSettings.set(PluginHost.CONFIG.SETTINGS_ID, id, true);
+            return this.isRunning(id);
+        }
+
+        if (!this._start(id)) return false;
+        this._dependentsOf(id).forEach((dependent) => {
+            if (this.isEnabled(dependent)) this.enable(dependent);
+        });
+        return true;
+    }
+
+    /**
+     * Stop a plugin, after the plugins depending on it
+     */
+    disable(id) {
+        if (!this.plugins.has(id)) return;
+        if (this.isEnabled(id)) {
+            window.StremioSettings.set(
+                PluginHost.CONFIG.SETTINGS_ID,
+                id,
+                false,
+            );
+            return;
+        }
+        this._stop(id);
+    }
+
+    _start(id) {
+        const plugin = this.plugins.get(id);
+        if (plugin.running) return true;
+        if (!this.isEnabled(id) || plugin.starting) return false;
+
+        plugin.starting = true; // A circular dependency ends here
+        const missing = this._dependenciesOf(id).filter(
+            (dep) => !this._start(dep),
+        );
+        plugin.starting = false;
+        if (missing.length > 0) {
+            this.log.warn(
+                `Not starting "${id}", it needs ${missing.join(", ")}`,
+            );
+            return false;
+        }
+
+        try {
+            plugin.instance = plugin.start() ?? null;
+            plugin.running = true;
+            plugin.error = null;
+            this.log.info(`Started "${id}"`);
+        } catch (e) {
+            plugin.error = e;
+            this.log.error(`"${id}" failed to start:`, e);
+        }
+        return plugin.running;
+    }
+
+    _stop(id) {
+        const plugin = this.plugins.get(id);
+        if (!plugin.running) return;
+
+        this._dependentsOf(id).forEach((dependent) => this._stop(dependent));
+
+        try {
+            plugin.stop(plugin.instance);
+            this.log.info(`Stopped "${id}"`);
+        } catch (e) {
+            plugin.error = e;
+            this.log.error(`"${id}" failed to stop cleanly:`, e);
+        } finally {
+            plugin.instance = null;
+            plugin.running = false;
+        }
+    }
+
+    /**
+     * { id, name, version, dependencies, enabled, running, error } per plugin
+     */
+    getStatus() {
+        return [...this.plugins.values()].map((plugin) => ({
+            id: plugin.id,
+            name: plugin.name,
+            version: plugin.version,
+            dependencies: plugin.dependencies,
+            enabled: this.isEnabled(plugin.id),
+            running: plugin.running,
+            error: plugin.error?.message || null,
+        }));
+    }
+}
+
+window.PluginHost = new PluginHost();
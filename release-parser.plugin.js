@@ -0,0 +1,568 @@
+/**
+ * @name Release Parser
+ * @description Parses release names and stream descriptions into one structured record per stream
+ * @version 1.0.0
+ * @author EZOBOSS
+ */
+
+/**
+ * Record shape returned by parse() / parseStream():
+ *   name        first description line (the release name)
+ *   title, year
+ *   resolution  vertical pixels, 0 when unknown
+ *   codec       "H264", "H265", "AV1", "VP9", "XVID" or ""
+ *   bitDepth    8, 10 or 12 (0 when unknown)
+ *   hdr         ["DV", "HDR10+", "HDR10", "HDR", "HLG"]
+ *   source      "REMUX", "BLURAY", "WEB-DL", "WEBRIP", "HDTV", "DVD", "CAM", "TS", "TC", "SCR" or ""
+ *   audio       ["ATMOS", "TRUEHD", "DTS-HD MA", "DTS:X", "DTS-HD", "DTS", "DD+", "DD", "AAC", "FLAC", "OPUS", "MP3", "PCM"]
+ *   channels    "7.1", "5.1", "2.0"... or ""
+ *   group       release group or ""
+ *   languages   ISO 639-1 codes, plus "multi" / "dual"
+ *   subtitles   ISO 639-1 codes, "multi", or "und" when unspecified
+ *   seasons, episodes  expanded number lists
+ *   isPack      season pack, multi-season or multi-episode release
+ *   tags        badge tags ("HDR", "HDR10+", "DV", "REMUX", "IMAX", "AI", "5.1"...)
+ *   size, sizeGB, seeders, tracker   from the addon's description, when present
+ *   addon, isDownload, text          addon name and raw text, for parseStream()
+ */
+class ReleaseParser {
+    static CONFIG = {
+        MAX_RANGE: 200, // Cap expanded season/episode ranges
+        RESOLUTION_PATTERN:
+            /\b(?:(4320|2160|1440|1080|720|576|480|360|240)[pi]?|(8k|4k|uhd))\b/i,
+        CODECS: [
+            [/\b(?:[xh]\.?265|hevc)\b/i, "H265"],
+            [/\b(?:[xh]\.?264|avc)\b/i, "H264"],
+            [/\bav1\b/i, "AV1"],
+            [/\bvp9\b/i, "VP9"],
+            [/\b(?:xvid|divx)\b/i, "XVID"],
+        ],
+        HDR: [
+            [/\b(?:DV|DoVi|Dolby[ .]?Vision)\b/i, "DV"],
+            [/\bHDR10(?:\+|Plus)/i, "HDR10+"],
+            [/\bHDR10\b(?!\+)/i, "HDR10"],
+            [/\bHDR\b/i, "HDR"],
+            [/\bHLG\b/i, "HLG"],
+        ],
+        // First match wins, so more specific sources come first
+        SOURCES: [
+            [/\b(?:BD|UHD)?REMUX\b/i, "REMUX"],
+            [/\b(?:Blu-?Ray|BDRip|BRRip|BD(?:25|50))\b/i, "BLURAY"],
+            [/\bWEB-?Rip\b/i, "WEBRIP"],
+            [/\bWEB[-. ]?DL\b|\bWeb-?DL\b|\bWEB\b/, "WEB-DL"],
+            [/\b(?:HDTV|PDTV|DSR)\b/i, "HDTV"],
+            [/\b(?:HD)?CAM(?:Rip)?\b|\bCamRip\b/, "CAM"],
+            [/\b(?:HD)?TS\b|\bTELESYNC\b/, "TS"],
+            [/\bTC\b|\bTELECINE\b/, "TC"],
+            [/\b(?:DVD)?SCR(?:EENER)?\b/i, "SCR"],
+            [/\bDVD(?:Rip|R|5|9)?\b/i, "DVD"],
+        ],
+        AUDIO: [
+            [/\bAtmos\b/i, "ATMOS"],
+            [/\bTrue-?HD\b/i, "TRUEHD"],
+            [/\bDTS[-. ]?HD[-. ]?MA\b/i, "DTS-HD MA"],
+            [/\bDTS[-:. ]?X\b/i, "DTS:X"],
+            [/\bDTS[-. ]?HD\b(?![-. ]?MA)/i, "DTS-HD"],
+            [/\bDTS\b(?![-:. ]?(?:HD|X)\b)/i, "DTS"],
+            [/(?:^|[^a-z])(?:DDP|DD\+|E-?AC-?3)/i, "DD+"],
+            [/\b(?:DD(?![+P])|AC-?3)(?=\d|\b)/i, "DD"],
+            [/\bAAC/i, "AAC"],
+            [/\bFLAC/i, "FLAC"],
+            [/\bOPUS\b/i, "OPUS"],
+            [/\bMP3\b/i, "MP3"],
+            [/\bL?PCM\b/i, "PCM"],
+        ],
+        // Release-name tokens -> ISO 639-1
+        LANGUAGE_TOKENS: {
+            MULTI: "multi",
+            DUAL: "dual",
+            ENG: "en",
+            ENGLISH: "en",
+            ITA: "it",
+            ITALIAN: "it",
+            FRE: "fr",
+            FRA: "fr",
+            FRENCH: "fr",
+            TRUEFRENCH: "fr",
+            VFF: "fr",
+            VFQ: "fr",
+            GER: "de",
+            DEU: "de",
+            GERMAN: "de",
+            SPA: "es",
+            ESP: "es",
+            SPANISH: "es",
+            CASTELLANO: "es",
+            LATINO: "es",
+            RUS: "ru",
+            RUSSIAN: "ru",
+            JAP: "ja",
+            JPN: "ja",
+            JAPANESE: "ja",
+            KOR: "ko",
+            KOREAN: "ko",
+            HIN: "hi",
+            HINDI: "hi",
+            TAM: "ta",
+            TAMIL: "ta",
+            TEL: "te",
+            TELUGU: "te",
+            POR: "pt",
+            PORTUGUESE: "pt",
+            CHI: "zh",
+            CHINESE: "zh",
+            MANDARIN: "zh",
+            ARA: "ar",
+            ARABIC: "ar",
+            POL: "pl",
+            POLISH: "pl",
+            TUR: "tr",
+            TURKISH: "tr",
+            UKR: "uk",
+            DUT: "nl",
+            DUTCH: "nl",
+            SWE: "sv",
+            NOR: "no",
+            DAN: "da",
+            FIN: "fi",
+            HUN: "hu",
+            CZE: "cs",
+            GRE: "el",
+            HEB: "he",
+            THAI: "th",
+            VIE: "vi",
+        },
+        // Flag emoji country -> language, where they differ
+        FLAG_LANGUAGES: {
+            GB: "en",
+            US: "en",
+            AU: "en",
+            MX: "es",
+            AR: "es",
+            BR: "pt",
+            JP: "ja",
+            KR: "ko",
+            IN: "hi",
+            CN: "zh",
+            TW: "zh",
+            UA: "uk",
+            SE: "sv",
+            DK: "da",
+            CZ: "cs",
+            GR: "el",
+            IL: "he",
+            VN: "vi",
+        },
+        // Tokens that look like a release group but are part of other tags
+        NOT_GROUPS: ["DL", "RIP", "HD", "SD", "X264", "X265", "H264", "H265"],
+        SIZE_PATTERN: /([\d.,]+)\s*(TB|GB|MB|KB|TiB|GiB|MiB|KiB)\b/i,
+        VIDEO_EXTENSIONS: /\.(?:mkv|mp4|avi|m2ts|ts|webm|mov|wmv)$/i,
+    };
+
+    constructor() {
+        this.records = new WeakMap();
+    }
+
+    // ─── Stream elements ────────────────────────────────
+
+    /**
+     * Parsed record for a stream list element, parsed from its text the
+     * first time and cached on the element afterwards
+     */
+    forElement(streamElement) {
+        let record = this.records.get(streamElement);
+        if (record) return record;
+
+        record = this.parseStream({
+            addon:
+                streamElement.querySelector('[class*="addon-name-"]')
+                    ?.textContent || "",
+            description:
+                streamElement.querySelector('[class*="description-container-"]')
+                    ?.textContent || "",
+        });
+        this.records.set(streamElement, record);
+        return record;
+    }
+
+    /**
+     * Parse an addon's stream entry: the addon name line (often carrying
+     * the resolution) and the description (release name, size, seeders,
+     * tracker and language flags)
+     */
+    parseStream({ addon = "", description = "" }) {
+        const [name = "", ...details] = description.split("\n");
+        const record = this.parse(name.trim());
+        const extra = details.join("\n");
+        const all = `${addon}\n${description}`;
+
+        const addonResolution = this.parseResolution(addon);
+        if (addonResolution) record.resolution = addonResolution;
+
+        record.addon = addon
+            .replace(ReleaseParser.CONFIG.RESOLUTION_PATTERN, "")
+            .trim()
+            .split("\n")[0]
+            .trim();
+        record.isDownload = /download/i.test(addon);
+        record.text = all;
+        record.size = all.match(ReleaseParser.CONFIG.SIZE_PATTERN)?.[0] || "";
+        record.sizeGB = this.parseSize(record.size);
+        record.seeders = Number(all.match(/[👤👥]\s*(\d+)/)?.[1]) || 0;
+        record.tracker = all.match(/⚙️\s*([^\n]+)/)?.[1].trim() || "";
+
+        // Addons often list the file name on a later line
+        if (!record.episodes.length && !record.seasons.length && extra) {
+            const fromDetails = this.parseEpisodes(extra);
+            Object.assign(record, fromDetails);
+        }
+        for (const lang of this.parseFlags(all)) {
+            if (!record.languages.includes(lang)) record.languages.push(lang);
+        }
+        for (const tag of this.parseTags(extra)) {
+            if (!record.tags.includes(tag)) record.tags.push(tag);
+        }
+        return record;
+    }
+
+    /**
+     * { season, episode } of a video ID. After the series ID, Cinemeta has
+     * "1:2" (season 1, episode 2) while anime addons number episodes only
+     * ("kitsu:1234:5"), which gives a null season.
+     */
+    parseVideoId(videoId, seriesId = "") {
+        const rest =
+            seriesId && videoId.startsWith(`${seriesId}:`)
+                ? videoId.slice(seriesId.length + 1)
+                : videoId;
+        const parts = rest.split(":").slice(-2).map(Number);
+        const episode = parts.pop();
+        const season = parts.length > 0 ? parts[0] : null;
+        if (isNaN(episode) || (season !== null && isNaN(season))) return null;
+        return { season, episode };
+    }
+
+    /**
+     * Whether a parsed release contains the given episode. Names without
+     * episode numbers fall back to an "S01E05" text search. A null season
+     * (anime) only compares episode numbers.
+     */
+    coversEpisode(record, season, episode) {
+        if (season === null) return record.episodes.includes(episode);
+        if (record.episodes.length > 0) {
+            return (
+                record.seasons.includes(season) &&
+                record.episodes.includes(episode)
+            );
+        }
+        const code = `S${String(season).padStart(2, "0")}E${String(
+            episode,
+        ).padStart(2, "0")}`;
+        return (record.text || record.name).toUpperCase().includes(code);
+    }
+
+    // ─── Release names ──────────────────────────────────
+
+    parse(name) {
+        const { CODECS, HDR, SOURCES, AUDIO } = ReleaseParser.CONFIG;
+        const text = name.replace(ReleaseParser.CONFIG.VIDEO_EXTENSIONS, "");
+        const titleEnd = this.findTitleEnd(text);
+        // Language markers only count after the title ("French Kiss")
+        const subtitles = this.parseSubtitles(text.slice(titleEnd));
+
+        const record = {
+            name,
+            title: this.parseTitle(text, titleEnd),
+            year: this.parseYear(text, titleEnd),
+            resolution: this.parseResolution(text),
+            codec: this.firstMatch(text, CODECS),
+            bitDepth: this.parseBitDepth(text),
+            hdr: this.allMatches(text, HDR),
+            source: this.firstMatch(text, SOURCES),
+            audio: this.allMatches(text, AUDIO),
+            channels: this.parseChannels(text),
+            group: this.parseGroup(text),
+            languages: this.parseLanguages(subtitles.remaining),
+            subtitles: subtitles.languages,
+            ...this.parseEpisodes(text),
+        };
+        record.tags = this.buildTags(record, text);
+        return record;
+    }
+
+    firstMatch(text, table) {
+        return table.find(([pattern]) => pattern.test(text))?.[1] || "";
+    }
+
+    allMatches(text, table) {
+        return table
+            .filter(([pattern]) => pattern.test(text))
+            .map(([, value]) => value);
+    }
+
+    /**
+     * Index where the title stops: the release year, else the first
+     * episode marker, resolution or source tag. The release year is the
+     * last year before those tags, so a year that is part of the title
+     * ("Blade Runner 2049 2017") stays in it.
+     */
+    findTitleEnd(text) {
+        const markers = [
+            /\bS\d{1,2}(?:[ .]?E\d{1,3})?\b/i,
+            /\b\d{1,2}x\d{2,3}\b/,
+            /\bSeasons?[ .]?\d/i,
+            /\s-\s\d{2,4}\b/,
+            ReleaseParser.CONFIG.RESOLUTION_PATTERN,
+            ...ReleaseParser.CONFIG.SOURCES.map(([pattern]) => pattern),
+        ];
+        const indexes = markers
+            .map((pattern) => text.search(pattern))
+            .filter((index) => index > 0);
+        const tagsStart = indexes.length ? Math.min(...indexes) : text.length;
+
+        let yearStart = -1;
+        for (const match of text.matchAll(
+            /[ .([_-](?:19|20)\d{2}(?=[ .)\]_-]|$)/g,
+        )) {
+            if (match.index > 0 && match.index < tagsStart) {
+                yearStart = match.index;
+            }
+        }
+        return yearStart > 0 ? yearStart : tagsStart;
+    }
+
+    parseTitle(text, titleEnd) {
+        return text
+            .slice(0, titleEnd)
+            .replace(/^\[[^\]]*\]\s*/, "")
+            .replace(/[._]/g, " ")
+            .replace(/[\s([-]+$/, "")
+            .replace(/\s+/g, " ")
+            .trim();
+    }
+
+    parseYear(text, titleEnd) {
+        // The title ends at the release year, when there is one
+        const match = text
+            .slice(Math.max(0, titleEnd - 1))
+            .match(/(?:^|[ .([_-])((?:19|20)\d{2})(?=[ .)\]_-]|$)/);
+        return match ? Number(match[1]) : null;
+    }
+
+    parseResolution(text) {
+        const match = text.match(ReleaseParser.CONFIG.RESOLUTION_PATTERN);
+        if (!match) return 0;
+        if (match[1]) return Number(match[1]);
+
+        const alias = match[2].toUpperCase();
+        return alias === "8K" ? 4320 : 2160;
+    }
+
+    parseBitDepth(text) {
+        const match = text.match(/\b(8|10|12)[ -]?bits?\b/i);
+        if (match) return Number(match[1]);
+        return /\bHi10P?\b/i.test(text) ? 10 : 0;
+    }
+
+    parseChannels(text) {
+        // "5.1" but not a size like "5.1 GB"
+        const match = text.match(
+            /(?:^|\D)([1-9])[. ]([0-2])(?:ch)?(?!\.?\d)(?!\s*[GMKT]i?B)/i,
+        );
+        if (match) return `${match[1]}.${match[2]}`;
+
+        const count = text.match(/\b([2-8])ch\b/i)?.[1];
+        return count ? { 2: "2.0", 6: "5.1", 8: "7.1" }[count] || "" : "";
+    }
+
+    parseGroup(text) {
+        const leading = text.match(/^\[([^\]]+)\]/);
+        if (leading) return leading[1].trim();
+
+        const trailing = text
+            .replace(/\s*\[[^\]]*\]$/, "")
+            .match(/-([A-Za-z0-9]+)$/);
+        const group = trailing?.[1];
+        if (
+            !group ||
+            ReleaseParser.CONFIG.NOT_GROUPS.includes(group.toUpperCase())
+        )
+            return "";
+        return group;
+    }
+
+    tokens(text) {
+        return text.split(/[\s.\-_[\]()/|,+]+/).filter(Boolean);
+    }
+
+    parseLanguages(text) {
+        const { LANGUAGE_TOKENS } = ReleaseParser.CONFIG;
+        const languages = [];
+        for (const token of this.tokens(text)) {
+            const lang = LANGUAGE_TOKENS[token.toUpperCase()];
+            if (lang && !languages.includes(lang)) languages.push(lang);
+        }
+        return languages;
+    }
+
+    /**
+     * Subtitle languages, plus the text with the subtitle markers removed
+     * so their language tokens aren't counted as audio languages
+     */
+    parseSubtitles(text) {
+        const { LANGUAGE_TOKENS } = ReleaseParser.CONFIG;
+        const languages = [];
+        const add = (lang) => {
+            if (lang && !languages.includes(lang)) languages.push(lang);
+        };
+
+        let remaining = text
+            .replace(/\bE-?Subs?\b/gi, () => (add("en"), " "))
+            .replace(/\b(?:M|Multi)[-. ]?Subs?\b/gi, () => (add("multi"), " "))
+            .replace(/\bSubs?[ .\-_]?([A-Z]{3})\b/gi, (all, code) => {
+                const lang = LANGUAGE_TOKENS[code.toUpperCase()];
+                if (!lang) return all;
+                add(lang);
+                return " ";
+            })
+            .replace(/\b([A-Z]{3})[ .\-_]?Subs?\b/gi, (all, code) => {
+                const lang = LANGUAGE_TOKENS[code.toUpperCase()];
+                if (!lang) return all;
+                add(lang);
+                return " ";
+            });
+
+        if (/\bSub(?:s|bed|titles?)?\b/i.test(remaining)) {
+            if (!languages.length) add("und");
+            remaining = remaining.replace(/\bSub(?:s|bed|titles?)?\b/gi, " ");
+        }
+        return { languages, remaining };
+    }
+
+    // Regional indicator flag pairs (🇬🇧) -> language codes
+    parseFlags(text) {
+        const { FLAG_LANGUAGES } = ReleaseParser.CONFIG;
+        const languages = [];
+        for (const [flag] of text.matchAll(/[\u{1F1E6}-\u{1F1FF}]{2}/gu)) {
+            const country = Array.from(flag, (c) =>
+                String.fromCharCode(c.codePointAt(0) - 0x1f1e6 + 65),
+            ).join("");
+            const lang = FLAG_LANGUAGES[country] || country.toLowerCase();
+            if (!languages.includes(lang)) languages.push(lang);
+        }
+        return languages;
+    }
+
+    range(from, to) {
+        const end = Math.min(to, from + ReleaseParser.CONFIG.MAX_RANGE);
+        const values = [];
+        for (let n = from; n <= end; n++) values.push(n);
+        return values;
+    }
+
+    parseEpisodes(text) {
+        let seasons = [];
+        let episodes = [];
+
+        const episodeMatch = text.match(
+            /\bS(\d{1,2})[ .]?E(\d{1,3})((?:[ .]?-?[ .]?E?\d{1,3}\b)*)/i,
+        );
+        const crossMatch = text.match(/\b(\d{1,2})x(\d{2,3})(?:-(\d{2,3}))?\b/);
+        const seasonRange = text.match(
+            /\bS(\d{1,2})[ .]?(?:-|to)[ .]?S?(\d{1,2})\b(?![ .]?E\d)/i,
+        );
+        const seasonWord = text.match(
+            /\bSeasons?[ .]?(\d{1,2})(?:[ .]?(?:-|to|&)[ .]?(\d{1,2}))?/i,
+        );
+        const seasonOnly = text.match(/\bS(\d{1,2})\b(?![ .]?E\d)/i);
+        const episodeRange = text.match(
+            /\b(?:E|Ep|Episodes?)[ .]?(\d{1,3})[ .]?(?:-|to)[ .]?E?(\d{1,3})\b/i,
+        );
+        const absolute = text.match(/\s-\s(\d{2,4})(?:v\d)?(?:\s|$)/);
+
+        if (episodeMatch) {
+            seasons = [Number(episodeMatch[1])];
+            const first = Number(episodeMatch[2]);
+            const rest = (episodeMatch[3].match(/\d{1,3}/g) || []).map(Number);
+            episodes = rest.length
+                ? this.range(first, Math.max(first, ...rest))
+                : [first];
+        } else if (crossMatch) {
+            seasons = [Number(crossMatch[1])];
+            const first = Number(crossMatch[2]);
+            episodes = this.range(first, Number(crossMatch[3] || first));
+        } else {
+            if (seasonRange) {
+                seasons = this.range(
+                    Number(seasonRange[1]),
+                    Number(seasonRange[2]),
+                );
+            } else if (seasonWord) {
+                const first = Number(seasonWord[1]);
+                seasons = this.range(first, Number(seasonWord[2] || first));
+            } else if (seasonOnly) {
+                seasons = [Number(seasonOnly[1])];
+            }
+
+            if (episodeRange) {
+                episodes = this.range(
+                    Number(episodeRange[1]),
+                    Number(episodeRange[2]),
+                );
+            } else if (absolute && !seasons.length) {
+                // " - 2019 " is a year, not an absolute episode number
+                const number = Number(absolute[1]);
+                if (number < 1900 || number > 2099) episodes = [number];
+            }
+        }
+
+        const isPack =
+            seasons.length > 1 ||
+            episodes.length > 1 ||
+            (seasons.length === 1 && episodes.length === 0) ||
+            /\bComplete\b/i.test(text);
+
+        return { seasons, episodes, isPack };
+    }
+
+    parseSize(text) {
+        const match = text.match(ReleaseParser.CONFIG.SIZE_PATTERN);
+        if (!match) return 0;
+
+        // A comma before exactly three digits groups thousands ("4,123 MB");
+        // before one or two it is a decimal comma ("1,5 GB")
+        const value = parseFloat(
+            match[1]
+                .replace(/,(?=\d{3}(?!\d))/g, "")
+                .replace(/,(?=\d{1,2}$)/, "."),
+        );
+        const unit = match[2].toUpperCase().replace("I", "");
+        const factor = { TB: 1024, GB: 1, MB: 1 / 1024, KB: 1 / 1048576 };
+        return isNaN(value) ? 0 : value * factor[unit];
+    }
+
+    /**
+     * Badge tags shared by the stream list's badges, ranking rules and
+     * filters. HDR10 shows as plain HDR, upscales and interpolated 60fps
+     * as AI.
+     */
+    buildTags(record, text) {
+        const tags = record.hdr.map((hdr) => (hdr === "HDR10" ? "HDR" : hdr));
+        if (record.source === "REMUX") tags.push("REMUX");
+        tags.push(...this.parseTags(text));
+        if (record.channels === "7.1" || record.channels === "5.1") {
+            tags.push(record.channels);
+        }
+        return [...new Set(tags)];
+    }
+
+    parseTags(text) {
+        const tags = [];
+        if (/\bIMAX\b/i.test(text)) tags.push("IMAX");
+        if (/\bTMAX\b/i.test(text)) tags.push("TMAX");
+        if (/\b(?:AI|UPSCALED?|60FPS)\b/i.test(text)) tags.push("AI");
+        return tags;
+    }
+}
+
+window.ReleaseParser = new ReleaseParser();
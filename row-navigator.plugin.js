@@ -3,19 +3,23 @@
  * @description Displays a side navigation for rows on the homescreen.
  * @version 1.1.0
  * @author EZOBOSS
+ * @dependencies dom-observer.plugin.js, selector-registry.plugin.js, plugin-host.plugin.js
  */
 
 (function () {
     class RowNavigatorPlugin {
         static CONFIG = {
             SELECTORS: {
-                ROW_CONTAINER: ".board-content-nPWv1",
-                ROW: ".meta-row-container-xtlB1",
-                TITLE: ".header-container-tR3Ev .title-container-Mkwnq",
                 NAV_CONTAINER: "row-navigator-container",
-                IGNORE_CONTAINER: ".meta-items-container-qcuUA",
                 UPCOMING_LIST: ".upcoming-list",
             },
+            // Stremio's own elements, by SelectorRegistry name
+            REGISTRY_SELECTORS: {
+                ROW_CONTAINER: "boardContent",
+                ROW: "boardRow",
+                TITLE: "boardRowTitle",
+                IGNORE_CONTAINER: "metaItems",
+            },
             OBSERVER_OPTIONS: {
                 root: null,
                 rootMargin: "-40% 0px -40% 0px",
@@ -27,11 +31,13 @@
             this.navContainer = null;
             this.rows = new Map();
             this.observer = null;
-            this.mutationObserver = null;
+            this.unobserveRows = null;
             this.activeRow = null;
             this.scanTimeout = null;
+            this.enableTimeout = null;
             this.enabled = false;
             this.scrollHandler = this.handleScroll.bind(this);
+            this.selectors = this.resolveSelectors();
 
             // Start immediately
             this.init();
@@ -51,9 +57,17 @@
             this.checkActiveState();
 
             // Listen for navigation
-            window.addEventListener("hashchange", () => {
-                this.checkActiveState();
-            });
+            this.onHashChange = () => this.checkActiveState();
+            window.addEventListener("hashchange", this.onHashChange);
+        }
+
+        destroy() {
+            window.removeEventListener("hashchange", this.onHashChange);
+            clearTimeout(this.enableTimeout);
+            this.disable();
+            this.navContainer?.remove();
+            this.navContainer = null;
+            document.querySelector("#row-navigator-css")?.remove();
         }
 
         checkActiveState() {
@@ -64,6 +78,20 @@
             }
         }
 
+        /**
+         * CONFIG.SELECTORS plus the registry's current selectors for
+         * Stremio's elements
+         */
+        resolveSelectors() {
+            const selectors = { ...RowNavigatorPlugin.CONFIG.SELECTORS };
+            Object.entries(
+                RowNavigatorPlugin.CONFIG.REGISTRY_SELECTORS
+            ).forEach(([key, name]) => {
+                selectors[key] = window.SelectorRegistry.get(name);
+            });
+            return selectors;
+        }
+
         isHomepage() {
             const hash = window.location.hash;
             return !hash || hash === "#" || hash === "#/";
@@ -73,12 +101,14 @@
             if (this.enabled) return;
 
             // Small delay to ensure DOM is ready after hashchange
-            setTimeout(() => {
+            clearTimeout(this.enableTimeout);
+            this.enableTimeout = setTimeout(() => {
                 if (!this.isHomepage()) return;
+                this.selectors = this.resolveSelectors();
 
                 // Reset scroll position to top
                 const rowContainer = document.querySelector(
-                    RowNavigatorPlugin.CONFIG.SELECTORS.ROW_CONTAINER
+                    this.selectors.ROW_CONTAINER
                 );
                 if (rowContainer) {
                     rowContainer.scrollTop = 0;
@@ -105,10 +135,10 @@
             }
 
             if (this.observer) this.observer.disconnect();
-            if (this.mutationObserver) this.mutationObserver.disconnect();
+            if (this.unobserveRows) this.unobserveRows();
 
             const rowContainer = document.querySelector(
-                RowNavigatorPlugin.CONFIG.SELECTORS.ROW_CONTAINER
+                this.selectors.ROW_CONTAINER
             );
             if (rowContainer) {
                 rowContainer.removeEventListener("wheel", this.scrollHandler);
@@ -124,20 +154,15 @@
         }
 
         createNavContainer() {
-            if (
-                document.getElementById(
-                    RowNavigatorPlugin.CONFIG.SELECTORS.NAV_CONTAINER
-                )
-            ) {
+            if (document.getElementById(this.selectors.NAV_CONTAINER)) {
                 this.navContainer = document.getElementById(
-                    RowNavigatorPlugin.CONFIG.SELECTORS.NAV_CONTAINER
+                    this.selectors.NAV_CONTAINER
                 );
                 return;
             }
 
             this.navContainer = document.createElement("div");
-            this.navContainer.id =
-                RowNavigatorPlugin.CONFIG.SELECTORS.NAV_CONTAINER;
+            this.navContainer.id = this.selectors.NAV_CONTAINER;
             this.navContainer.className = "row-navigator-container";
             document.body.appendChild(this.navContainer);
         }
@@ -190,61 +215,17 @@
                 });
             }, RowNavigatorPlugin.CONFIG.OBSERVER_OPTIONS);
 
-            // Mutation Observer
-            this.mutationObserver = new MutationObserver((mutations) => {
-                let shouldScan = false;
-                const rowSelector = RowNavigatorPlugin.CONFIG.SELECTORS.ROW;
-                const ignoreSelector =
-                    RowNavigatorPlugin.CONFIG.SELECTORS.IGNORE_CONTAINER;
-
-                for (const m of mutations) {
-                    // Optimization: Skip if mutation is inside ignore container
-                    if (m.target.closest && m.target.closest(ignoreSelector))
-                        continue;
-
-                    // If nodes added
-                    if (m.addedNodes.length > 0) {
-                        for (const node of m.addedNodes) {
-                            if (node.nodeType !== 1) continue;
-
-                            // If it's a row
-                            if (node.matches(rowSelector)) {
-                                shouldScan = true;
-                                break;
-                            }
-                            // If it contains rows (e.g. board reload)
-                            if (
-                                node.querySelector &&
-                                node.querySelector(rowSelector)
-                            ) {
-                                shouldScan = true;
-                                break;
-                            }
-                        }
-                    }
-                    // If nodes removed
-                    if (m.removedNodes.length > 0) {
-                        for (const node of m.removedNodes) {
-                            if (node.nodeType !== 1) continue;
-                            if (node.matches(rowSelector)) {
-                                shouldScan = true;
-                                break;
-                            }
-                        }
-                    }
-
-                    if (shouldScan) break;
-                }
-
-                if (shouldScan) {
-                    if (this.scanTimeout) clearTimeout(this.scanTimeout);
-                    this.scanTimeout = setTimeout(() => this.scanRows(), 200);
-                }
-            });
-
-            this.mutationObserver.observe(document.body, {
-                childList: true,
-                subtree: true,
+            // Rows added or removed, e.g. on a board reload
+            const scheduleScan = () => {
+                if (this.scanTimeout) clearTimeout(this.scanTimeout);
+                this.scanTimeout = setTimeout(() => this.scanRows(), 200);
+            };
+            this.unobserveRows = window.DomObserver.observe({
+                id: "row-navigator",
+                selector: this.selectors.ROW,
+                ignore: this.selectors.IGNORE_CONTAINER,
+                added: scheduleScan,
+                removed: scheduleScan,
             });
         }
 
@@ -255,9 +236,8 @@
             this.labelHideTimeout = null;
 
             const container =
-                document.querySelector(
-                    RowNavigatorPlugin.CONFIG.SELECTORS.ROW_CONTAINER
-                ) || document.body;
+                document.querySelector(this.selectors.ROW_CONTAINER) ||
+                document.body;
             container.addEventListener("wheel", this.scrollHandler, {
                 passive: false,
             });
@@ -267,11 +247,9 @@
             const target = e.target;
             // Ignore horizontal scroll areas only if they have wheel scroll initialized
             const ignoreContainer = target.closest(
-                RowNavigatorPlugin.CONFIG.SELECTORS.IGNORE_CONTAINER
-            );
-            const upcomingList = target.closest(
-                RowNavigatorPlugin.CONFIG.SELECTORS.UPCOMING_LIST
+                this.selectors.IGNORE_CONTAINER
             );
+            const upcomingList = target.closest(this.selectors.UPCOMING_LIST);
             if (
                 ignoreContainer &&
                 ignoreContainer.dataset.wheelScrollInitialized === "true"
@@ -281,17 +259,13 @@
 
             // Ensure we are actually on the board/rows
             if (
-                !target.closest(RowNavigatorPlugin.CONFIG.SELECTORS.ROW) &&
-                !target.closest(
-                    RowNavigatorPlugin.CONFIG.SELECTORS.ROW_CONTAINER
-                )
+                !target.closest(this.selectors.ROW) &&
+                !target.closest(this.selectors.ROW_CONTAINER)
             )
                 return;
 
             const rowElements = Array.from(
-                document.querySelectorAll(
-                    RowNavigatorPlugin.CONFIG.SELECTORS.ROW
-                )
+                document.querySelectorAll(this.selectors.ROW)
             );
             if (rowElements.length === 0) return;
 
@@ -355,9 +329,7 @@
             if (!this.navContainer) this.createNavContainer();
 
             const rowElements = Array.from(
-                document.querySelectorAll(
-                    RowNavigatorPlugin.CONFIG.SELECTORS.ROW
-                )
+                document.querySelectorAll(this.selectors.ROW)
             );
 
             if (rowElements.length === 0) {
@@ -369,9 +341,7 @@
 
             // 1. Update Map (Create New + Update Existing)
             rowElements.forEach((row, index) => {
-                const titleEl = row.querySelector(
-                    RowNavigatorPlugin.CONFIG.SELECTORS.TITLE
-                );
+                const titleEl = row.querySelector(this.selectors.TITLE);
                 const currentTitle = titleEl
                     ? titleEl.textContent.trim()
                     : `Row ${index + 1}`;
@@ -429,9 +399,7 @@
 
         setFirstRowActive() {
             const rowElements = Array.from(
-                document.querySelectorAll(
-                    RowNavigatorPlugin.CONFIG.SELECTORS.ROW
-                )
+                document.querySelectorAll(this.selectors.ROW)
             );
             if (rowElements.length > 0) {
                 const visibleRow =
@@ -447,9 +415,7 @@
             if (this.activeRow === row) return;
             this.activeRow = row;
 
-            const allRows = document.querySelectorAll(
-                RowNavigatorPlugin.CONFIG.SELECTORS.ROW
-            );
+            const allRows = document.querySelectorAll(this.selectors.ROW);
             allRows.forEach((r) => {
                 if (r !== row) r.classList.remove("show", "active");
             });
@@ -471,6 +437,9 @@
     }
 
     requestIdleCallback(() => {
-        new RowNavigatorPlugin();
+        window.PluginHost.register({
+            id: "row-navigator",
+            start: () => new RowNavigatorPlugin(),
+        });
     });
 })();
@@ -0,0 +1,215 @@
+/**
+ * @name Scheduler
+ * @description Runs periodic background jobs at idle time, with jitter, backoff and one leader tab
+ * @version 1.0.0
+ * @author EZOBOSS
+ * @dependencies logger.plugin.js
+ */
+
+class Scheduler {
+    static CONFIG = {
+        CHANNEL_NAME: "liquid-glass-scheduler",
+        STATE_KEY: "scheduler_state",
+        TICK_INTERVAL: 60 * 1000, // How often due jobs are checked
+        HEARTBEAT_INTERVAL: 5 * 1000,
+        PEER_TIMEOUT: 15 * 1000, // A tab missing 3 heartbeats is gone
+        IDLE_TIMEOUT: 30 * 1000, // Run anyway if the tab never goes idle
+        BASE_BACKOFF: 5 * 60 * 1000,
+        MAX_BACKOFF: 6 * 60 * 60 * 1000,
+    };
+
+    constructor() {
+        this.log = window.Logger.create("Scheduler");
+        // Oldest tab sorts first and becomes the leader
+        this.tabId = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        this.jobs = new Map();
+        this.peers = new Map(); // tabId -> last heartbeat
+        this.running = new Set();
+        this.tickTimer = null;
+        this.channel =
+            "BroadcastChannel" in window
+                ? new BroadcastChannel(Scheduler.CONFIG.CHANNEL_NAME)
+                : null;
+
+        this.init();
+    }
+
+    init() {
+        if (this.channel) {
+            this.channel.onmessage = (e) => this._onMessage(e.data);
+            this._broadcast({ type: "heartbeat" });
+            setInterval(
+                () => this._broadcast({ type: "heartbeat" }),
+                Scheduler.CONFIG.HEARTBEAT_INTERVAL,
+            );
+            window.addEventListener("beforeunload", () =>
+                this._broadcast({ type: "bye" }),
+            );
+        }
+
+        window.addEventListener("online", () => this._tick());
+
+        // Give other tabs two heartbeats to answer before the first tick
+        this.tickTimer = setTimeout(
+            () => this._tick(),
+            Scheduler.CONFIG.HEARTBEAT_INTERVAL * 2,
+        );
+    }
+
+    // ─── Leader election ────────────────────────────────
+
+    _broadcast(message) {
+        try {
+            this.channel?.postMessage({ ...message, tabId: this.tabId });
+        } catch {}
+    }
+
+    _onMessage(message) {
+        if (!message?.tabId || message.tabId === this.tabId) return;
+
+        if (message.type === "bye") {
+            this.peers.delete(message.tabId);
+        } else {
+            this.peers.set(message.tabId, Date.now());
+        }
+    }
+
+    isLeader() {
+        const now = Date.now();
+        for (const [tabId, lastSeen] of this.peers) {
+            if (now - lastSeen > Scheduler.CONFIG.PEER_TIMEOUT) {
+                this.peers.delete(tabId);
+            }
+        }
+        return [this.tabId, ...this.peers.keys()].sort()[0] === this.tabId;
+    }
+
+    // ─── State ──────────────────────────────────────────
+
+    _loadState() {
+        try {
+            return JSON.parse(
+                localStorage.getItem(Scheduler.CONFIG.STATE_KEY) || "{}",
+            );
+        } catch {
+            return {};
+        }
+    }
+
+    _saveJobState(id, jobState) {
+        // Re-read so jobs finished by other tabs aren't overwritten
+        const state = this._loadState();
+        state[id] = jobState;
+        try {
+            localStorage.setItem(
+                Scheduler.CONFIG.STATE_KEY,
+                JSON.stringify(state),
+            );
+        } catch (e) {
+            this.log.warn("Failed to save state:", e);
+        }
+    }
+
+    getJobState(id) {
+        return this._loadState()[id] || null;
+    }
+
+    // ─── Jobs ───────────────────────────────────────────
+
+    _withJitter(ms, jitter) {
+        return ms + Math.round(Math.random() * jitter);
+    }
+
+    /**
+     * Register a periodic job: { id, interval, jitter, initialDelay, run }.
+     * `run` may be async; throwing counts as a failure and backs off
+     * exponentially. Jobs only run in the leader tab, while online.
+     */
+    register({ id, interval, jitter = interval * 0.1, initialDelay = 0, run }) {
+        this.jobs.set(id, { id, interval, jitter, run });
+
+        if (!this.getJobState(id)) {
+            this._saveJobState(id, {
+                lastRun: 0,
+                nextRun: Date.now() + this._withJitter(initialDelay, jitter),
+                failures: 0,
+            });
+        }
+        this._scheduleTick();
+    }
+
+    unregister(id) {
+        this.jobs.delete(id);
+    }
+
+    /**
+     * Run a job right away in this tab, regardless of its schedule
+     */
+    runNow(id) {
+        const job = this.jobs.get(id);
+        return job ? this._runJob(job) : Promise.resolve();
+    }
+
+    _scheduleTick() {
+        clearTimeout(this.tickTimer);
+        this.tickTimer = setTimeout(
+            () => this._tick(),
+            Scheduler.CONFIG.TICK_INTERVAL,
+        );
+    }
+
+    _tick() {
+        this._scheduleTick();
+        if (!navigator.onLine || !this.isLeader()) return;
+
+        const now = Date.now();
+        for (const job of this.jobs.values()) {
+            if (this.running.has(job.id)) continue;
+
+            const state = this.getJobState(job.id);
+            if (state && state.nextRun > now) continue;
+
+            requestIdleCallback(() => this._runJob(job), {
+                timeout: Scheduler.CONFIG.IDLE_TIMEOUT,
+            });
+        }
+    }
+
+    async _runJob(job) {
+        if (this.running.has(job.id)) return;
+        this.running.add(job.id);
+
+        const previous = this.getJobState(job.id) || { failures: 0 };
+        const startedAt = Date.now();
+
+        try {
+            await job.run();
+            this._saveJobState(job.id, {
+                lastRun: startedAt,
+                nextRun: startedAt + this._withJitter(job.interval, job.jitter),
+                failures: 0,
+            });
+        } catch (err) {
+            const failures = previous.failures + 1;
+            const backoff = Math.min(
+                Scheduler.CONFIG.BASE_BACKOFF * 2 ** (failures - 1),
+                Scheduler.CONFIG.MAX_BACKOFF,
+            );
+            this.log.warn(
+                `Job "${job.id}" failed (${failures}x), retrying in ${Math.round(
+                    backoff / 60000,
+                )}m:`,
+                err,
+            );
+            this._saveJobState(job.id, {
+                lastRun: previous.lastRun || 0,
+                nextRun: Date.now() + this._withJitter(backoff, job.jitter),
+                failures,
+            });
+        } finally {
+            this.running.delete(job.id);
+        }
+    }
+}
+
+window.Scheduler = new Scheduler();
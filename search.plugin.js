@@ -3,6 +3,7 @@
  * @description Apple Spotlight-style search overlay for Stremio
  * @version 1.3.0
  * @author EZOBOSS
+ * @dependencies metadatadb.plugin.js, plugin-host.plugin.js, logger.plugin.js
  */
 
 (function () {
@@ -11,7 +12,6 @@
     class SpotlightSearch {
         static CONFIG = {
             DEBOUNCE_MS: 300,
-            API_BASE: "https://v3-cinemeta.strem.io/catalog",
             LOGO_BASE: "https://images.metahub.space/logo/medium",
             TYPES: ["movie", "series"],
             MAX_RESULTS: 10,
@@ -24,6 +24,7 @@
         static cache = new Map();
 
         constructor() {
+            this.log = window.Logger.create("SpotlightSearch");
             this.overlay = null;
             this.input = null;
             this.resultsContainer = null;
@@ -46,14 +47,50 @@
         }
 
         init() {
+            this.registerSettings();
             this.createOverlay();
             this.bindKeyboardShortcut();
             this.bindEvents();
-            console.log(
-                "[SpotlightSearch] Initialized - Press Ctrl+Space to open",
+            this.log.info("Initialized - Press Ctrl+Space to open");
+        }
+
+        registerSettings() {
+            this.maxResults = SpotlightSearch.CONFIG.MAX_RESULTS;
+
+            const settings = window.StremioSettings;
+            if (!settings?.register) return;
+
+            settings.register("search", {
+                title: "Spotlight search",
+                settings: [
+                    {
+                        key: "max_results",
+                        type: "number",
+                        label: "Results per column",
+                        default: SpotlightSearch.CONFIG.MAX_RESULTS,
+                        min: 3,
+                        max: 30,
+                    },
+                ],
+            });
+
+            this.maxResults = settings.get("search", "max_results");
+            this.unsubscribeSettings = settings.onChange(
+                "search",
+                (key, value) => {
+                    if (key === "max_results") this.maxResults = value;
+                },
             );
         }
 
+        destroy() {
+            this.close();
+            clearTimeout(this.debounceTimer);
+            document.removeEventListener("keydown", this.onKeyDown);
+            this.unsubscribeSettings?.();
+            this.overlay.remove();
+        }
+
         createOverlay() {
             this.overlay = document.createElement("div");
             this.overlay.className = "spotlight-overlay";
@@ -89,7 +126,7 @@
         }
 
         bindKeyboardShortcut() {
-            document.addEventListener("keydown", (e) => {
+            this.onKeyDown = (e) => {
                 // Ctrl+Space to open
                 if (e.ctrlKey && e.code === "Space") {
                     e.preventDefault();
@@ -102,7 +139,8 @@
                     e.preventDefault();
                     this.close();
                 }
-            });
+            };
+            document.addEventListener("keydown", this.onKeyDown);
         }
 
         bindEvents() {
@@ -282,18 +320,12 @@
 
                 this.movieResults =
                     movieResult.status === "fulfilled"
-                        ? (movieResult.value || []).slice(
-                              0,
-                              SpotlightSearch.CONFIG.MAX_RESULTS,
-                          )
+                        ? (movieResult.value || []).slice(0, this.maxResults)
                         : [];
 
                 this.seriesResults =
                     seriesResult.status === "fulfilled"
-                        ? (seriesResult.value || []).slice(
-                              0,
-                              SpotlightSearch.CONFIG.MAX_RESULTS,
-                          )
+                        ? (seriesResult.value || []).slice(0, this.maxResults)
                         : [];
 
                 // Mark types
@@ -318,14 +350,18 @@
                     seriesResult.status === "rejected"
                 ) {
                     // Log error but show empty state instead of breaking
-                    console.error("[SpotlightSearch] All searches failed");
-                    this.showEmpty("Search unavailable");
+                    this.log.error("All searches failed");
+                    this.showEmpty(
+                        window.OfflineCache?.isOnline() === false
+                            ? "You're offline"
+                            : "Search unavailable",
+                    );
                 } else {
                     this.renderResults();
                 }
             } catch (err) {
                 // catch other unexpected errors
-                console.error("[SpotlightSearch] Unexpected error:", err);
+                this.log.error("Unexpected error:", err);
             }
         }
 
@@ -337,21 +373,10 @@
                 return SpotlightSearch.cache.get(cacheKey);
             }
 
-            const url = `${
-                SpotlightSearch.CONFIG.API_BASE
-            }/${type}/top/search=${encodeURIComponent(query)}.json`;
-
-            const response = await fetch(url, {
+            const results = await window.MetadataDB.search(type, query, {
                 signal: this.abortController.signal,
             });
 
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}`);
-            }
-
-            const data = await response.json();
-            const results = data.metas || [];
-
             // Store in cache
             if (
                 SpotlightSearch.cache.size >=
@@ -707,10 +732,7 @@
                 this.recentSearchesCache = data ? JSON.parse(data) : [];
                 return this.recentSearchesCache;
             } catch (e) {
-                console.error(
-                    "[SpotlightSearch] Failed to load recent searches:",
-                    e,
-                );
+                this.log.error("Failed to load recent searches:", e);
                 return [];
             }
         }
@@ -723,10 +745,7 @@
                     JSON.stringify(searches),
                 );
             } catch (e) {
-                console.error(
-                    "[SpotlightSearch] Failed to save recent searches:",
-                    e,
-                );
+                this.log.error("Failed to save recent searches:", e);
             }
         }
 
@@ -885,13 +904,10 @@
         }
     }
 
-    // Initialize when DOM is ready
-    if (document.readyState === "loading") {
-        document.addEventListener(
-            "DOMContentLoaded",
-            () => new SpotlightSearch(),
-        );
-    } else {
-        requestIdleCallback(() => new SpotlightSearch());
-    }
+    requestIdleCallback(() => {
+        window.PluginHost.register({
+            id: "search",
+            start: () => new SpotlightSearch(),
+        });
+    });
 })();
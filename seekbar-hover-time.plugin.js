@@ -3,6 +3,7 @@
  * @description Shows time position when hovering over the video timeline
  * @version 2.0.0
  * @author allecsc, EZOBOSS
+ * @dependencies dom-observer.plugin.js, selector-registry.plugin.js, plugin-host.plugin.js
  * @optimization Improved performance with caching, RAF throttling, and proper cleanup
  */
 
@@ -25,12 +26,13 @@
         seekBarRect: null,
         resizeObserver: null,
         durationInterval: null,
-        mutationObserver: null,
+        unobservePlayer: null,
         rafId: null,
         isInitialized: false,
         currentSeekBar: null,
         isHovering: false,
         isActive: false, // Track if script should be active
+        unsubscribeSettings: null,
     };
 
     // Create tooltip element with smooth transitions
@@ -117,8 +119,8 @@
 
         // Fallback: parse duration from UI labels
         const durationLabels = document.querySelectorAll(
-            ".seek-bar-I7WeY .label-QFbsS, " +
-                '[class*="time"], [class*="duration"]'
+            window.SelectorRegistry.get("seekBarLabel") +
+                ', [class*="time"], [class*="duration"]'
         );
 
         let maxDuration = 0;
@@ -134,22 +136,7 @@
 
     // Find the seek bar element
     function findSeekBar() {
-        const seekBarSelectors = [
-            ".seek-bar-I7WeY .slider-hBDOf",
-            ".seek-bar-container-JGGTa .slider-hBDOf",
-            '[class*="seek-bar"] [class*="slider"]',
-            ".control-bar-container-xsWA7 .seek-bar-I7WeY",
-            '[class*="progress"] [class*="bar"]',
-            '[class*="timeline"] [class*="slider"]',
-        ];
-
-        for (const selector of seekBarSelectors) {
-            const element = document.querySelector(selector);
-
-            if (element) return element;
-        }
-
-        return null;
+        return window.SelectorRegistry.query("seekBarSlider");
     }
 
     // Update cached seek bar rect
@@ -324,25 +311,28 @@
             initializeTimelineHover();
             watchForPlayerChanges();
         } else if (!isPlayerPage && state.isActive) {
-            // Deactivate the script
-            state.isActive = false;
-            cleanup();
-
-            // Disconnect mutation observer
-            if (state.mutationObserver) {
-                state.mutationObserver.disconnect();
-                state.mutationObserver = null;
-            }
+            deactivate();
+        }
+    }
 
-            // Hide tooltip
-            if (state.tooltipElement) {
-                state.tooltipElement.style.opacity = "0";
-            }
+    // Deactivate the script
+    function deactivate() {
+        state.isActive = false;
+        cleanup();
+
+        stopWatchingPlayer();
+
+        // Hide tooltip
+        if (state.tooltipElement) {
+            state.tooltipElement.style.opacity = "0";
         }
     }
 
     // Initialize hover functionality
     function initializeTimelineHover() {
+        // Left the player before a retry came round
+        if (!state.isActive) return;
+
         const seekBar = findSeekBar();
 
         if (!seekBar) {
@@ -374,75 +364,87 @@
 
         state.isInitialized = true;
 
-        // Disconnect mutation observer once initialized successfully
-        if (state.mutationObserver) {
-            state.mutationObserver.disconnect();
-            state.mutationObserver = null;
-        }
+        // Stop watching once initialized successfully
+        stopWatchingPlayer();
     }
 
     // Watch for video player changes (only until first successful init)
     function watchForPlayerChanges() {
-        if (state.mutationObserver) return; // Already observing
-
-        state.mutationObserver = new MutationObserver((mutations) => {
-            let shouldReinitialize = false;
-
-            for (const mutation of mutations) {
-                if (mutation.type === "childList") {
-                    for (const node of mutation.addedNodes) {
-                        if (node.nodeType === 1) {
-                            // Check if a video player or control bar was added
-                            if (
-                                node.matches?.(
-                                    '[class*="seek-bar"], [class*="control-bar"], [class*="player"]'
-                                ) ||
-                                node.querySelector?.(
-                                    '[class*="seek-bar"], [class*="control-bar"]'
-                                )
-                            ) {
-                                shouldReinitialize = true;
-                                break;
-                            }
-                        }
-                    }
-                }
-                if (shouldReinitialize) break;
-            }
-
-            if (shouldReinitialize) {
-                setTimeout(initializeTimelineHover, 500);
-            }
+        if (state.unobservePlayer) return; // Already observing
+
+        // A video player or control bar was added
+        state.unobservePlayer = window.DomObserver.observe({
+            id: "seekbar-hover-time",
+            selector:
+                '[class*="seek-bar"], [class*="control-bar"], [class*="player"]',
+            added: () => setTimeout(initializeTimelineHover, 500),
         });
+    }
 
-        state.mutationObserver.observe(document.body, {
-            childList: true,
-            subtree: true,
-        });
+    function stopWatchingPlayer() {
+        state.unobservePlayer?.();
+        state.unobservePlayer = null;
     }
 
     // Initialize when DOM is ready
+    // Expose the time format in the Liquid Glass settings section
+    function registerSettings() {
+        const settings = window.StremioSettings;
+        if (!settings?.register) return;
+
+        settings.register("seekbar", {
+            title: "Timeline hover time",
+            settings: [
+                {
+                    key: "time_format",
+                    type: "select",
+                    label: "Time format",
+                    default: CONFIG.timeFormat,
+                    options: [
+                        { value: "HH:MM:SS", label: "Always show hours" },
+                        { value: "MM:SS", label: "Hours only when needed" },
+                    ],
+                },
+            ],
+        });
+
+        CONFIG.timeFormat = settings.get("seekbar", "time_format");
+        state.unsubscribeSettings = settings.onChange(
+            "seekbar",
+            (key, value) => {
+                if (key === "time_format") CONFIG.timeFormat = value;
+            }
+        );
+    }
+
     function init() {
+        registerSettings();
         createTooltip();
 
         // Check if we should be active based on current URL
         checkIfPlayerPage();
 
         // Monitor URL changes (hash changes)
-        window.addEventListener("hashchange", (event) => {
-            if (event.newURL.includes("player")) {
-                checkIfPlayerPage();
-            } else {
-                checkIfPlayerPage();
-            }
-        });
+        window.addEventListener("hashchange", checkIfPlayerPage);
     }
 
-    // Start initialization when browser is idle
-    if (window.requestIdleCallback) {
-        window.requestIdleCallback(() => init());
-    } else {
-        // Fallback for browsers without requestIdleCallback
-        setTimeout(init, 500);
+    function destroy() {
+        window.removeEventListener("hashchange", checkIfPlayerPage);
+        state.unsubscribeSettings?.();
+        deactivate();
+
+        if (state.tooltipElement) {
+            state.tooltipElement.remove();
+            state.tooltipElement = null;
+        }
     }
+
+    // Start initialization when browser is idle
+    requestIdleCallback(() => {
+        window.PluginHost.register({
+            id: "seekbar-hover-time",
+            start: init,
+            stop: destroy,
+        });
+    });
 })();
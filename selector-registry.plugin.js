@@ -0,0 +1,293 @@
+/**
+ * @name Selector Registry
+ * @description Logical names for Stremio's hashed CSS classes, with fallbacks for when a Stremio update changes the hashes, and a self-check
+ * @version 1.0.0
+ * @author EZOBOSS
+ * @dependencies logger.plugin.js
+ */
+
+class SelectorRegistry {
+    static CONFIG = {
+        CHECK_DELAY: 5000, // Let a page render before checking its selectors
+    };
+
+    static ROUTES = {
+        board: /^(#\/?)?$/,
+        detail: /^#\/detail\//,
+        player: /^#\/player\//,
+        settings: /^#\/settings/,
+    };
+
+    // Strategies are tried in order: the class hash of the current Stremio
+    // build, then the class name without its hash, then page structure.
+    // `route` is where the element should exist; `optional` ones may be
+    // missing there (e.g. no streams yet) without that meaning breakage.
+    static SELECTORS = {
+        boardContainer: {
+            route: "board",
+            exact: ".board-container-DTN_b",
+            prefix: '[class*="board-container-"]',
+            structural: ".routes-container .route-content > div",
+        },
+        boardContent: {
+            route: "board",
+            exact: ".board-content-nPWv1",
+            prefix: '[class*="board-content-"]:not([class*="board-content-container-"])',
+        },
+        boardRow: {
+            route: "board",
+            exact: ".meta-row-container-xtlB1",
+            prefix: '[class*="meta-row-container-"]',
+            structural: '[class*="board-row-"]',
+        },
+        boardRowTitle: {
+            route: "board",
+            exact: ".header-container-tR3Ev .title-container-Mkwnq",
+            prefix: '[class*="header-container-"] [class*="title-container-"]',
+        },
+        metaItems: {
+            route: "board",
+            exact: ".meta-items-container-qcuUA",
+            prefix: '[class*="meta-items-container-"]',
+        },
+        metaItem: {
+            route: "board",
+            exact: ".meta-item-container-Tj0Ib",
+            prefix: '[class*="meta-item-container-"]',
+            structural:
+                '[class*="meta-items-container-"] > a[href^="#/detail/"]',
+        },
+        navTabButton: {
+            route: "board",
+            exact: ".nav-tab-button-container-dYhs0",
+            prefix: '[class*="nav-tab-button-container-"]',
+        },
+        titleBar: {
+            route: "board",
+            optional: true, // Only on rows with poster titles
+            exact: ".title-bar-container-1Ba0x",
+            prefix: '[class*="title-bar-container-"]',
+        },
+        titleLabel: {
+            route: "board",
+            optional: true,
+            exact: ".title-label-VnEAc",
+            prefix: '[class*="title-label-"]',
+        },
+        streamsContainer: {
+            route: "detail",
+            optional: true, // Movies and series pick an episode first
+            exact: ".streams-container-bbSc4",
+            prefix: '[class*="streams-container-"]',
+        },
+        streamItem: {
+            route: "detail",
+            optional: true,
+            prefix: 'a[class*="stream-container-"]',
+        },
+        episodeTitle: {
+            route: "detail",
+            optional: true, // Only on an episode's streams
+            exact: ".episode-title-dln_c",
+            prefix: '[class*="episode-title-"]',
+        },
+        seekBarSlider: {
+            route: "player",
+            exact: [
+                ".seek-bar-I7WeY .slider-hBDOf",
+                ".seek-bar-container-JGGTa .slider-hBDOf",
+                ".control-bar-container-xsWA7 .seek-bar-I7WeY",
+            ],
+            prefix: '[class*="seek-bar"] [class*="slider"]',
+            structural: [
+                '[class*="progress"] [class*="bar"]',
+                '[class*="timeline"] [class*="slider"]',
+            ],
+        },
+        seekBarLabel: {
+            route: "player",
+            exact: ".seek-bar-I7WeY .label-QFbsS",
+            prefix: '[class*="seek-bar-"] [class*="label-"]',
+        },
+        settingsSections: {
+            route: "settings",
+            exact: ".sections-container-EUKAe",
+            prefix: '[class*="sections-container-"]',
+        },
+    };
+
+    constructor() {
+        this.log = window.Logger.create("SelectorRegistry");
+        this.entries = new Map(); // name -> { route, optional, strategies, union }
+        this.resolved = new Map(); // name -> strategy found on the page
+        this.report = {};
+        this.warned = new Set();
+        this.checkTimer = null;
+
+        Object.entries(SelectorRegistry.SELECTORS).forEach(
+            ([name, definition]) => this.register(name, definition),
+        );
+        this.init();
+    }
+
+    init() {
+        window.addEventListener("hashchange", () => this._scheduleCheck());
+        this._scheduleCheck();
+    }
+
+    /**
+     * Add or replace a logical selector: { route, optional, exact, prefix,
+     * structural }, each strategy a selector or an array of them
+     */
+    register(name, { route = null, optional = false, ...definition }) {
+        const strategies = [];
+        ["exact", "prefix", "structural"].forEach((kind) => {
+            [definition[kind] || []].flat().forEach((selector) => {
+                strategies.push({ kind, selector });
+            });
+        });
+        if (strategies.length === 0) {
+            throw new Error(`[SelectorRegistry] "${name}" has no strategies`);
+        }
+
+        this.entries.set(name, {
+            route,
+            optional,
+            strategies,
+            union: strategies.map((s) => s.selector).join(", "),
+        });
+        this.resolved.delete(name);
+    }
+
+    _entry(name) {
+        const entry = this.entries.get(name);
+        if (!entry)
+            throw new Error(`[SelectorRegistry] Unknown selector "${name}"`);
+        return entry;
+    }
+
+    /**
+     * The first strategy matching anything on the page. Hashes don't change
+     * while the app runs, so exact and prefix hits are remembered; a
+     * structural hit is not, as it may stand in for a page not yet rendered.
+     */
+    _resolve(name) {
+        if (this.resolved.has(name)) return this.resolved.get(name);
+
+        for (const strategy of this._entry(name).strategies) {
+            if (!document.querySelector(strategy.selector)) continue;
+            if (strategy.kind !== "structural") {
+                this.resolved.set(name, strategy);
+            }
+            return strategy;
+        }
+        return null;
+    }
+
+    // ─── Lookups ────────────────────────────────────────
+
+    /**
+     * A CSS selector for the logical name: the strategy that works on this
+     * build once seen, otherwise all strategies combined
+     */
+    get(name) {
+        return this._resolve(name)?.selector || this._entry(name).union;
+    }
+
+    query(name, root = document) {
+        for (const { selector } of this._entry(name).strategies) {
+            const el = root.querySelector(selector);
+            if (el) return el;
+        }
+        return null;
+    }
+
+    queryAll(name, root = document) {
+        for (const { selector } of this._entry(name).strategies) {
+            const els = root.querySelectorAll(selector);
+            if (els.length > 0) return [...els];
+        }
+        return [];
+    }
+
+    matches(el, name) {
+        return !!el?.matches?.(this.get(name));
+    }
+
+    closest(el, name) {
+        return el?.closest?.(this.get(name)) || null;
+    }
+
+    // ─── Self-check ─────────────────────────────────────
+
+    _scheduleCheck() {
+        clearTimeout(this.checkTimer);
+        this.checkTimer = setTimeout(
+            () => this.check(),
+            SelectorRegistry.CONFIG.CHECK_DELAY,
+        );
+    }
+
+    _onRoute(route) {
+        const pattern = SelectorRegistry.ROUTES[route];
+        return !pattern || pattern.test(window.location.hash);
+    }
+
+    /**
+     * Resolve every selector that belongs on the current page and report
+     * how: name -> { status, selector }, status being the winning strategy
+     * ("exact", "prefix", "structural"), "missing", or "elsewhere" for
+     * selectors of other pages. Fallback hits and breakages are logged
+     * once per session.
+     */
+    check() {
+        const report = {};
+
+        for (const [name, entry] of this.entries) {
+            if (!this._onRoute(entry.route)) {
+                report[name] = {
+                    status: this.resolved.get(name)?.kind || "elsewhere",
+                    selector: this.resolved.get(name)?.selector || null,
+                };
+                continue;
+            }
+
+            const strategy = this._resolve(name);
+            report[name] = {
+                status: strategy?.kind || "missing",
+                selector: strategy?.selector || null,
+            };
+
+            if (this.warned.has(name)) continue;
+            if (!strategy && !entry.optional) {
+                this.warned.add(name);
+                this.log.warn(
+                    `"${name}" matches nothing on ${
+                        window.location.hash || "#/"
+                    }; features using it won't work`,
+                );
+            } else if (
+                strategy &&
+                strategy.kind !== "exact" &&
+                entry.strategies[0].kind === "exact"
+            ) {
+                this.warned.add(name);
+                this.log.warn(
+                    `"${name}" fell back to its ${strategy.kind} match (${strategy.selector}); its hashed class changed`,
+                );
+            }
+        }
+
+        this.report = report;
+        return report;
+    }
+
+    /**
+     * The last self-check result
+     */
+    getReport() {
+        return this.report;
+    }
+}
+
+window.SelectorRegistry = new SelectorRegistry();
@@ -1,51 +1,214 @@
 /**
  * @name Settings Toggle Plugin
- * @description Adds custom toggles to the settings menu
+ * @description Adds custom toggles, actions and typed plugin settings to the settings menu
  * @version 1.0.0
  * @author EZOBOSS
+ * @dependencies dom-observer.plugin.js, selector-registry.plugin.js, logger.plugin.js
  */
 
 (function () {
     // Shared settings utility
     window.StremioSettings = {
-        isEnabled(prop) {
+        LOCAL_KEY: "custom_setting",
+
+        // Buttons other plugins add to the settings page: { id, label, buttonLabel, onClick }
+        actions: [],
+
+        // Typed plugin settings: pluginId -> { title, settings: [{ key, type, label, default, ... }] }
+        schemas: new Map(),
+
+        registerAction(action) {
+            this.actions = this.actions.filter((a) => a.id !== action.id);
+            this.actions.push(action);
+        },
+
+        unregisterAction(id) {
+            this.actions = this.actions.filter((a) => a.id !== id);
+            document.querySelector(`[data-action-id="${id}"]`)?.remove();
+        },
+
+        /**
+         * Register a plugin's settings group.
+         * Types: "boolean", "number" (min, max, step, unit), "select" (options),
+         * "color", "text" and "list" (options, value is their order)
+         */
+        register(pluginId, { title, settings }) {
+            this.schemas.set(pluginId, { title, settings });
+            window.dispatchEvent(
+                new CustomEvent("customSettingsRegistered", {
+                    detail: { plugin: pluginId },
+                }),
+            );
+        },
+
+        read() {
             try {
-                const obj = JSON.parse(
-                    localStorage.getItem("custom_setting") || "{}",
-                );
-                return prop in obj ? !!obj[prop] : true;
+                return JSON.parse(localStorage.getItem(this.LOCAL_KEY) || "{}");
             } catch {
-                return true;
+                return {};
             }
         },
+
+        write(obj) {
+            try {
+                localStorage.setItem(this.LOCAL_KEY, JSON.stringify(obj));
+            } catch {}
+        },
+
+        propFor(pluginId, key) {
+            return `${pluginId}.${key}`;
+        },
+
+        getDefinition(pluginId, key) {
+            return this.schemas
+                .get(pluginId)
+                ?.settings.find((setting) => setting.key === key);
+        },
+
+        optionValues(definition) {
+            return (definition.options || []).map((o) =>
+                typeof o === "object" ? o.value : o,
+            );
+        },
+
+        /**
+         * Coerce a stored value to the definition's type, falling back to
+         * the default when it does not fit
+         */
+        coerce(definition, value) {
+            if (value === undefined) return definition.default;
+
+            switch (definition.type) {
+                case "boolean":
+                    return !!value;
+                case "number": {
+                    const num = Number(value);
+                    if (!Number.isFinite(num)) return definition.default;
+                    return Math.min(
+                        definition.max ?? Infinity,
+                        Math.max(definition.min ?? -Infinity, num),
+                    );
+                }
+                case "select":
+                    return this.optionValues(definition).includes(value)
+                        ? value
+                        : definition.default;
+                case "color":
+                    return /^#[0-9a-f]{6}$/i.test(value)
+                        ? value
+                        : definition.default;
+                case "text":
+                    return String(value);
+                case "list": {
+                    const options = this.optionValues(definition);
+                    const isPermutation =
+                        Array.isArray(value) &&
+                        value.length === options.length &&
+                        options.every((o) => value.includes(o));
+                    return isPermutation ? value : definition.default;
+                }
+                default:
+                    return value;
+            }
+        },
+
+        get(pluginId, key) {
+            const definition = this.getDefinition(pluginId, key);
+            if (!definition) return undefined;
+            return this.coerce(
+                definition,
+                this.read()[this.propFor(pluginId, key)],
+            );
+        },
+
+        getAll(pluginId) {
+            const schema = this.schemas.get(pluginId);
+            if (!schema) return {};
+            return Object.fromEntries(
+                schema.settings.map((s) => [s.key, this.get(pluginId, s.key)]),
+            );
+        },
+
+        set(pluginId, key, value) {
+            const definition = this.getDefinition(pluginId, key);
+            if (!definition) return;
+
+            const prop = this.propFor(pluginId, key);
+            const coerced = this.coerce(definition, value);
+            const obj = this.read();
+            obj[prop] = coerced;
+            this.write(obj);
+            this.notify(pluginId, key, coerced);
+        },
+
+        reset(pluginId) {
+            const schema = this.schemas.get(pluginId);
+            if (!schema) return;
+
+            const obj = this.read();
+            schema.settings.forEach(
+                (s) => delete obj[this.propFor(pluginId, s.key)],
+            );
+            this.write(obj);
+            schema.settings.forEach((s) =>
+                this.notify(pluginId, s.key, s.default),
+            );
+        },
+
+        notify(pluginId, key, value) {
+            window.dispatchEvent(
+                new CustomEvent("customSettingChanged", {
+                    detail: {
+                        prop: this.propFor(pluginId, key),
+                        plugin: pluginId,
+                        key,
+                        value,
+                        enabled: !!value,
+                    },
+                }),
+            );
+        },
+
+        /**
+         * Subscribe to one plugin's setting changes; returns an unsubscribe function
+         */
+        onChange(pluginId, callback) {
+            const listener = (e) => {
+                if (e.detail?.plugin === pluginId) {
+                    callback(e.detail.key, e.detail.value);
+                }
+            };
+            window.addEventListener("customSettingChanged", listener);
+            return () =>
+                window.removeEventListener("customSettingChanged", listener);
+        },
+
+        isEnabled(prop) {
+            const obj = this.read();
+            return prop in obj ? !!obj[prop] : true;
+        },
     };
 
     class SettingsTogglePlugin {
         static CONFIG = {
-            SELECTOR: ".sections-container-EUKAe",
-            LOCAL_KEY: "custom_setting",
+            SECTIONS: "settingsSections", // SelectorRegistry name
             INSERT_INDEX: 2,
+            SECTION_CLASS: "liquid-glass-settings",
+            SECTION_TITLE: "Liquid Glass",
             SETTINGS: [
                 {
                     prop: "play_trailer_on_hover",
                     label: "Play trailer on hover",
                     toggleClass: "trailer-toggle",
                 },
-                {
-                    prop: "dynamic_island",
-                    label: "Dynamic island",
-                    toggleClass: "dynamic-island-toggle",
-                },
-                {
-                    prop: "HoverInfoPanel",
-                    label: "Show episode info on hover",
-                    toggleClass: "hover-info-toggle",
-                },
+                // Plugins are switched on and off in the Plugins group
                 // Add more settings here
             ],
         };
 
         constructor() {
+            this.log = window.Logger.create("SettingsTogglePlugin");
+            this.stopWaiting = null; // Cancels a pending waitForContainer()
             this.init();
         }
 
@@ -54,6 +217,21 @@
             window.addEventListener("hashchange", () =>
                 setTimeout(() => this.bootstrap(), 400),
             );
+            // Plugins booting after the settings page rendered
+            window.addEventListener("customSettingsRegistered", (e) => {
+                const container = window.SelectorRegistry.query(
+                    SettingsTogglePlugin.CONFIG.SECTIONS,
+                );
+                if (!container) return;
+
+                // Registered again, possibly with other settings
+                container
+                    .querySelector(
+                        `.lg-settings-group[data-plugin="${e.detail.plugin}"]`,
+                    )
+                    ?.remove();
+                this.insertSectionInto(container);
+            });
         }
 
         readState(prop) {
@@ -61,18 +239,9 @@
         }
 
         writeState(prop, value) {
-            try {
-                const obj = JSON.parse(
-                    localStorage.getItem(
-                        SettingsTogglePlugin.CONFIG.LOCAL_KEY,
-                    ) || "{}",
-                );
-                obj[prop] = value;
-                localStorage.setItem(
-                    SettingsTogglePlugin.CONFIG.LOCAL_KEY,
-                    JSON.stringify(obj),
-                );
-            } catch {}
+            const obj = window.StremioSettings.read();
+            obj[prop] = value;
+            window.StremioSettings.write(obj);
         }
 
         buildToggleElement(setting) {
@@ -89,6 +258,249 @@
             return wrapper;
         }
 
+        buildActionElement(action) {
+            const wrapper = document.createElement("div");
+            wrapper.className = "option-container-EGlcv settings-action";
+            wrapper.dataset.actionId = action.id;
+            wrapper.innerHTML = `
+                <div class="option-name-container-exGMI">
+                    <div class="label-FFamJ">${action.label}</div>
+                </div>
+                <div class="option-input-container-NPgpT">
+                    <button class="settings-action-button">${action.buttonLabel}</button>
+                </div>
+            `;
+
+            const button = wrapper.querySelector(".settings-action-button");
+            button.addEventListener("click", async () => {
+                button.disabled = true;
+                try {
+                    await action.onClick();
+                } catch (err) {
+                    this.log.error(`Action ${action.id} failed:`, err);
+                } finally {
+                    button.disabled = false;
+                }
+            });
+            return wrapper;
+        }
+
+        insertActionsInto(targetChild) {
+            window.StremioSettings.actions.forEach((action) => {
+                if (
+                    targetChild.querySelector(`[data-action-id="${action.id}"]`)
+                )
+                    return;
+
+                targetChild.appendChild(this.buildActionElement(action));
+                this.log.info(`Added action (${action.id})`);
+            });
+        }
+
+        // ─── Liquid Glass section (typed plugin settings) ─────
+
+        buildControl(pluginId, definition) {
+            const settings = window.StremioSettings;
+            const value = settings.get(pluginId, definition.key);
+            const commit = (next) =>
+                settings.set(pluginId, definition.key, next);
+
+            switch (definition.type) {
+                case "boolean": {
+                    const button = document.createElement("button");
+                    button.className = "toggle-toOWM";
+                    button.setAttribute("role", "switch");
+                    const apply = (state) => {
+                        button.classList.toggle("checked", state);
+                        button.parentElement?.classList.toggle(
+                            "checked",
+                            state,
+                        );
+                        button.setAttribute("aria-checked", String(state));
+                    };
+                    apply(value);
+                    button.addEventListener("click", () => {
+                        const next = !settings.get(pluginId, definition.key);
+                        commit(next);
+                        apply(next);
+                    });
+                    return button;
+                }
+                case "number": {
+                    const wrap = document.createElement("div");
+                    wrap.className = "lg-setting-range";
+                    const input = Object.assign(
+                        document.createElement("input"),
+                        {
+                            type: "range",
+                            min: definition.min ?? 0,
+                            max: definition.max ?? 100,
+                            step: definition.step ?? 1,
+                            value,
+                        },
+                    );
+                    const output = document.createElement("span");
+                    output.className = "lg-setting-value";
+                    const show = (v) =>
+                        (output.textContent = `${v}${definition.unit || ""}`);
+                    show(value);
+                    input.addEventListener("input", () => show(input.value));
+                    input.addEventListener("change", () =>
+                        commit(Number(input.value)),
+                    );
+                    wrap.append(input, output);
+                    return wrap;
+                }
+                case "select": {
+                    const select = document.createElement("select");
+                    select.className = "lg-setting-select";
+                    (definition.options || []).forEach((option) => {
+                        const opt = document.createElement("option");
+                        opt.value =
+                            typeof option === "object" ? option.value : option;
+                        opt.textContent =
+                            typeof option === "object" ? option.label : option;
+                        select.appendChild(opt);
+                    });
+                    select.value = value;
+                    select.addEventListener("change", () =>
+                        commit(select.value),
+                    );
+                    return select;
+                }
+                case "color": {
+                    const input = Object.assign(
+                        document.createElement("input"),
+                        { type: "color", value },
+                    );
+                    input.className = "lg-setting-color";
+                    input.addEventListener("change", () => commit(input.value));
+                    return input;
+                }
+                case "list": {
+                    const list = document.createElement("ol");
+                    list.className = "lg-setting-list";
+                    const labels = new Map(
+                        (definition.options || []).map((o) =>
+                            typeof o === "object" ? [o.value, o.label] : [o, o],
+                        ),
+                    );
+                    const renderList = (order) => {
+                        list.innerHTML = order
+                            .map(
+                                (item, i) => `
+                                <li data-value="${item}">
+                                    <span>${labels.get(item) ?? item}</span>
+                                    <button data-move="-1" ${i === 0 ? "disabled" : ""}>▲</button>
+                                    <button data-move="1" ${i === order.length - 1 ? "disabled" : ""}>▼</button>
+                                </li>`,
+                            )
+                            .join("");
+                    };
+                    renderList(value);
+                    list.addEventListener("click", (e) => {
+                        const button = e.target.closest("button[data-move]");
+                        if (!button) return;
+                        const order = settings.get(pluginId, definition.key);
+                        const from = order.indexOf(
+                            button.closest("li").dataset.value,
+                        );
+                        const to = from + Number(button.dataset.move);
+                        if (to < 0 || to >= order.length) return;
+                        const next = [...order];
+                        [next[from], next[to]] = [next[to], next[from]];
+                        commit(next);
+                        renderList(next);
+                    });
+                    return list;
+                }
+                default: {
+                    const input = Object.assign(
+                        document.createElement("input"),
+                        { type: "text", value },
+                    );
+                    input.className = "lg-setting-text";
+                    input.addEventListener("change", () => commit(input.value));
+                    return input;
+                }
+            }
+        }
+
+        buildGroup(pluginId, schema) {
+            const group = document.createElement("div");
+            group.className = "lg-settings-group";
+            group.dataset.plugin = pluginId;
+
+            const header = document.createElement("div");
+            header.className = "lg-settings-group-header";
+            header.innerHTML = `
+                <span class="lg-settings-group-title">${schema.title}</span>
+                <button class="settings-action-button">Reset to default</button>
+            `;
+            header.querySelector("button").addEventListener("click", () => {
+                window.StremioSettings.reset(pluginId);
+                group.replaceWith(this.buildGroup(pluginId, schema));
+            });
+            group.appendChild(header);
+
+            schema.settings.forEach((definition) => {
+                const row = document.createElement("div");
+                row.className = "option-container-EGlcv lg-setting";
+                row.dataset.type = definition.type;
+                row.innerHTML = `
+                    <div class="option-name-container-exGMI">
+                        <div class="label-FFamJ">${definition.label}</div>
+                    </div>
+                    <div class="option-input-container-NPgpT"></div>
+                `;
+                const inputContainer = row.querySelector(
+                    ".option-input-container-NPgpT",
+                );
+                inputContainer.appendChild(
+                    this.buildControl(pluginId, definition),
+                );
+                if (definition.type === "boolean") {
+                    inputContainer.classList.add(
+                        "toggle-container-lZfHP",
+                        "button-container-zVLH6",
+                    );
+                    inputContainer.classList.toggle(
+                        "checked",
+                        window.StremioSettings.get(pluginId, definition.key),
+                    );
+                }
+                group.appendChild(row);
+            });
+
+            return group;
+        }
+
+        insertSectionInto(container) {
+            const { SECTION_CLASS, SECTION_TITLE } =
+                SettingsTogglePlugin.CONFIG;
+            const schemas = window.StremioSettings.schemas;
+            if (schemas.size === 0) return;
+
+            let section = container.querySelector(`.${SECTION_CLASS}`);
+            if (!section) {
+                section = document.createElement("div");
+                section.className = SECTION_CLASS;
+                section.innerHTML = `<div class="lg-settings-title">${SECTION_TITLE}</div>`;
+                container.appendChild(section);
+            }
+
+            for (const [pluginId, schema] of schemas) {
+                if (
+                    section.querySelector(
+                        `.lg-settings-group[data-plugin="${pluginId}"]`,
+                    )
+                )
+                    continue;
+                section.appendChild(this.buildGroup(pluginId, schema));
+                this.log.info(`Added settings group (${pluginId})`);
+            }
+        }
+
         insertTogglesInto(container) {
             if (!container) return;
 
@@ -137,25 +549,35 @@
                 });
 
                 targetChild.appendChild(toggle);
-                console.log(
-                    `[SettingsTogglePlugin] Added toggle (${setting.prop})`,
-                );
+                this.log.info(`Added toggle (${setting.prop})`);
             });
+
+            this.insertActionsInto(targetChild);
+            this.insertSectionInto(container);
         }
 
         waitForContainer(selector, cb, timeout = 10000) {
+            // A new page replaces the wait started on the previous one
+            this.stopWaiting?.();
+            this.stopWaiting = null;
+
             const existing = document.querySelector(selector);
             if (existing) return cb(existing);
 
-            const observer = new MutationObserver(() => {
-                const found = document.querySelector(selector);
-                if (found) {
-                    observer.disconnect();
+            const unobserve = window.DomObserver.observe({
+                id: "settings-toggle:container",
+                selector,
+                added: ([found]) => {
+                    this.stopWaiting();
                     cb(found);
-                }
+                },
             });
-            observer.observe(document.body, { childList: true, subtree: true });
-            setTimeout(() => observer.disconnect(), timeout);
+            const timer = setTimeout(() => this.stopWaiting?.(), timeout);
+            this.stopWaiting = () => {
+                unobserve();
+                clearTimeout(timer);
+                this.stopWaiting = null;
+            };
         }
 
         ensureTogglesPersist(container) {
@@ -170,7 +592,9 @@
 
         bootstrap() {
             this.waitForContainer(
-                SettingsTogglePlugin.CONFIG.SELECTOR,
+                window.SelectorRegistry.get(
+                    SettingsTogglePlugin.CONFIG.SECTIONS,
+                ),
                 (container) => {
                     this.insertTogglesInto(container);
                     this.ensureTogglesPersist(container);
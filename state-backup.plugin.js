@@ -0,0 +1,372 @@
+/**
+ * @name State Backup
+ * @description Exports and imports all plugin state (local storage, MetadataDB records and its key-value caches) as one backup file
+ * @version 1.0.0
+ * @author EZOBOSS
+ * @dependencies metadatadb.plugin.js, settings-toggle.plugin.js, logger.plugin.js
+ */
+
+(function () {
+    class StateBackupPlugin {
+        static CONFIG = {
+            FORMAT: "liquid-glass-backup",
+            VERSION: 1,
+            FILE_PREFIX: "liquid-glass-backup",
+            PICKER_CANCEL_DELAY: 500, // After focus returns, before taking the picker as cancelled
+            // Plugin-owned localStorage keys (Stremio's own keys are never touched)
+            LOCAL_KEYS: [
+                "continue_watching_history",
+                "spotlight_recent_searches",
+                "notifications_seen",
+                "notifications_delivered",
+                "notifications_rules",
+                "custom_setting",
+                "upcoming_mode",
+                "stream_ranking_profiles",
+                "stream_filters",
+                "stream_affinity",
+                "episode_reminders",
+            ],
+            // Old plugin caches, now kept in MetadataDB's key-value stores
+            // and exported from there. Only found in backups made before the
+            // move; the plugins move them over on start.
+            LOCAL_PREFIXES: ["upcoming_cache_", "scroll_cache_"],
+            SESSION_PREFIXES: ["hero_cache_"],
+        };
+
+        constructor() {
+            this.log = window.Logger.create("StateBackup");
+            this.metadataDB = window.MetadataDB;
+            this.init();
+        }
+
+        init() {
+            window.StateBackup = this;
+
+            window.StremioSettings?.registerAction({
+                id: "state-backup-export",
+                label: "Back up plugin data",
+                buttonLabel: "Export",
+                onClick: () => this.download(),
+            });
+            window.StremioSettings?.registerAction({
+                id: "state-backup-import-merge",
+                label: "Restore backup (keep newer local data)",
+                buttonLabel: "Merge",
+                onClick: () => this.pickAndImport("merge"),
+            });
+            window.StremioSettings?.registerAction({
+                id: "state-backup-import-replace",
+                label: "Restore backup (discard local data)",
+                buttonLabel: "Replace",
+                onClick: () => this.pickAndImport("replace"),
+            });
+        }
+
+        // ─── Keys ───────────────────────────────────────────
+
+        isBackedUpKey(key, storage) {
+            const { LOCAL_KEYS, LOCAL_PREFIXES, SESSION_PREFIXES } =
+                StateBackupPlugin.CONFIG;
+
+            if (storage === "sessionStorage") {
+                return SESSION_PREFIXES.some((p) => key.startsWith(p));
+            }
+            return (
+                LOCAL_KEYS.includes(key) ||
+                LOCAL_PREFIXES.some((p) => key.startsWith(p))
+            );
+        }
+
+        collectStorage(storageName) {
+            const storage = window[storageName];
+            const entries = {};
+            for (let i = 0; i < storage.length; i++) {
+                const key = storage.key(i);
+                if (key && this.isBackedUpKey(key, storageName)) {
+                    entries[key] = storage.getItem(key);
+                }
+            }
+            return entries;
+        }
+
+        // ─── Export ─────────────────────────────────────────
+
+        async createBundle() {
+            return {
+                format: StateBackupPlugin.CONFIG.FORMAT,
+                version: StateBackupPlugin.CONFIG.VERSION,
+                exportedAt: new Date().toISOString(),
+                localStorage: this.collectStorage("localStorage"),
+                sessionStorage: this.collectStorage("sessionStorage"),
+                metadata: await this.metadataDB.exportRecords(),
+                kv: await this.metadataDB.exportKV(),
+            };
+        }
+
+        async download() {
+            const bundle = await this.createBundle();
+            const blob = new Blob([JSON.stringify(bundle)], {
+                type: "application/json",
+            });
+            const url = URL.createObjectURL(blob);
+            const date = bundle.exportedAt.slice(0, 10);
+
+            const link = document.createElement("a");
+            link.href = url;
+            link.download = `${StateBackupPlugin.CONFIG.FILE_PREFIX}-${date}.json`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+            this.log.info(
+                `Exported ${
+                    Object.keys(bundle.localStorage).length
+                } keys, ${bundle.metadata.length} metadata records and ${
+                    bundle.kv.length
+                } cache entries`,
+            );
+        }
+
+        // ─── Import ─────────────────────────────────────────
+
+        /**
+         * Returns a list of problems; an empty list means the bundle is usable
+         */
+        validateBundle(bundle) {
+            const errors = [];
+            if (!bundle || typeof bundle !== "object") {
+                return ["Backup is not a JSON object"];
+            }
+            if (bundle.format !== StateBackupPlugin.CONFIG.FORMAT) {
+                errors.push("Not a Liquid Glass backup file");
+            }
+            if (
+                !Number.isInteger(bundle.version) ||
+                bundle.version > StateBackupPlugin.CONFIG.VERSION
+            ) {
+                errors.push(`Unsupported backup version ${bundle.version}`);
+            }
+
+            for (const storageName of ["localStorage", "sessionStorage"]) {
+                const entries = bundle[storageName] ?? {};
+                if (typeof entries !== "object" || Array.isArray(entries)) {
+                    errors.push(`${storageName} section is malformed`);
+                    continue;
+                }
+                for (const [key, value] of Object.entries(entries)) {
+                    if (typeof value !== "string") {
+                        errors.push(`${storageName}.${key} is not a string`);
+                    } else if (!this.isBackedUpKey(key, storageName)) {
+                        errors.push(
+                            `${storageName}.${key} is not plugin state`,
+                        );
+                    }
+                }
+            }
+
+            const metadata = bundle.metadata ?? [];
+            if (!Array.isArray(metadata)) {
+                errors.push("metadata section is malformed");
+            } else if (
+                metadata.some(
+                    (r) =>
+                        !r ||
+                        typeof r.id !== "string" ||
+                        typeof r.timestamp !== "number" ||
+                        !r.data,
+                )
+            ) {
+                errors.push("metadata contains malformed records");
+            }
+
+            const kv = bundle.kv ?? [];
+            if (!Array.isArray(kv)) {
+                errors.push("kv section is malformed");
+            } else if (
+                kv.some(
+                    (r) =>
+                        !r ||
+                        typeof r.namespace !== "string" ||
+                        !["string", "number"].includes(typeof r.key) ||
+                        typeof r.storedAt !== "number" ||
+                        (r.expiresAt !== null &&
+                            typeof r.expiresAt !== "number"),
+                )
+            ) {
+                errors.push("kv contains malformed entries");
+            }
+
+            return errors;
+        }
+
+        /**
+         * Combine a local and an imported value of the same key.
+         * Timestamped cache entries keep the newer one, arrays are unioned
+         * and objects are merged with local values winning on conflict.
+         */
+        mergeValue(localRaw, importedRaw) {
+            if (localRaw === null) return importedRaw;
+
+            let local, imported;
+            try {
+                local = JSON.parse(localRaw);
+                imported = JSON.parse(importedRaw);
+            } catch {
+                return localRaw;
+            }
+
+            if (Array.isArray(local) && Array.isArray(imported)) {
+                const seen = new Set();
+                const merged = [...local, ...imported].filter((item) => {
+                    const key =
+                        item && typeof item === "object" && "id" in item
+                            ? item.id
+                            : JSON.stringify(item);
+                    if (seen.has(key)) return false;
+                    seen.add(key);
+                    return true;
+                });
+                return JSON.stringify(merged);
+            }
+
+            if (
+                local &&
+                imported &&
+                typeof local === "object" &&
+                typeof imported === "object"
+            ) {
+                if (
+                    typeof local.timestamp === "number" &&
+                    typeof imported.timestamp === "number"
+                ) {
+                    return imported.timestamp > local.timestamp
+                        ? importedRaw
+                        : localRaw;
+                }
+                return JSON.stringify({ ...imported, ...local });
+            }
+
+            return localRaw;
+        }
+
+        restoreStorage(storageName, entries, mode) {
+            const storage = window[storageName];
+
+            if (mode === "replace") {
+                Object.keys(this.collectStorage(storageName)).forEach((key) =>
+                    storage.removeItem(key),
+                );
+            }
+
+            for (const [key, value] of Object.entries(entries)) {
+                const next =
+                    mode === "merge"
+                        ? this.mergeValue(storage.getItem(key), value)
+                        : value;
+                try {
+                    storage.setItem(key, next);
+                } catch (e) {
+                    this.log.warn(`Failed to restore ${key}`, e);
+                }
+            }
+        }
+
+        async importBundle(bundle, { mode = "merge" } = {}) {
+            const errors = this.validateBundle(bundle);
+            if (errors.length > 0) {
+                throw new Error(
+                    `[StateBackup] Invalid backup: ${errors.join("; ")}`,
+                );
+            }
+
+            this.restoreStorage(
+                "localStorage",
+                bundle.localStorage ?? {},
+                mode,
+            );
+            this.restoreStorage(
+                "sessionStorage",
+                bundle.sessionStorage ?? {},
+                mode,
+            );
+            await this.metadataDB.importRecords(bundle.metadata ?? [], {
+                mode,
+            });
+            await this.metadataDB.importKV(bundle.kv ?? [], { mode });
+
+            this.log.info(`Imported backup from ${bundle.exportedAt}`);
+        }
+
+        /**
+         * The chosen file, or null when the picker is cancelled. Browsers
+         * without the input's "cancel" event are caught by the window
+         * getting focus back, after giving "change" time to fire first.
+         */
+        pickFile() {
+            return new Promise((resolve) => {
+                const input = document.createElement("input");
+                input.type = "file";
+                input.accept = "application/json,.json";
+
+                const onFocus = () =>
+                    setTimeout(
+                        () => settle(),
+                        StateBackupPlugin.CONFIG.PICKER_CANCEL_DELAY,
+                    );
+                const settle = () => {
+                    window.removeEventListener("focus", onFocus);
+                    resolve(input.files?.[0] || null);
+                };
+
+                input.addEventListener("change", settle);
+                input.addEventListener("cancel", settle);
+                window.addEventListener("focus", onFocus);
+                input.click();
+            });
+        }
+
+        async pickAndImport(mode) {
+            const file = await this.pickFile();
+            if (!file) return;
+
+            let bundle;
+            try {
+                bundle = JSON.parse(await file.text());
+            } catch {
+                alert("This file is not valid JSON.");
+                return;
+            }
+
+            const errors = this.validateBundle(bundle);
+            if (errors.length > 0) {
+                alert(`This backup can't be imported:\n${errors.join("\n")}`);
+                return;
+            }
+
+            if (
+                mode === "replace" &&
+                !confirm(
+                    "Replace all plugin data on this device with the backup?",
+                )
+            )
+                return;
+
+            try {
+                await this.importBundle(bundle, { mode });
+            } catch (err) {
+                this.log.error("Import failed:", err);
+                alert("Import failed, see the console for details.");
+                return;
+            }
+
+            // Plugins read their state on start-up
+            location.reload();
+        }
+    }
+
+    requestIdleCallback(() => {
+        new StateBackupPlugin();
+    });
+})();
@@ -0,0 +1,145 @@
+/**
+ * @name Stream Affinity
+ * @description Remembers the release picked for a series so its next episodes prefer the same one
+ * @version 1.0.0
+ * @author EZOBOSS
+ * @dependencies release-parser.plugin.js, selector-registry.plugin.js, logger.plugin.js
+ */
+
+class StreamAffinity {
+    static CONFIG = {
+        STORAGE_KEY: "stream_affinity",
+        MAX_SERIES: 200, // Oldest series are forgotten past this
+    };
+
+    // Ranking rule that pins matching streams above everything else
+    static RULE = {
+        label: "Same release as last episode",
+        field: "affinityMatch",
+        op: "eq",
+        value: true,
+        weight: 10000,
+    };
+
+    constructor() {
+        this.log = window.Logger.create("StreamAffinity");
+        this.init();
+    }
+
+    init() {
+        // Capture phase sees both user clicks and auto-play's click()
+        document.addEventListener(
+            "click",
+            (e) => {
+                const stream = window.SelectorRegistry.closest(
+                    e.target,
+                    "streamItem",
+                );
+                if (stream) this.remember(stream);
+            },
+            true,
+        );
+    }
+
+    /**
+     * { seriesId, season, episode } for a series episode page, else null.
+     * Anime episodes have a null season, see ReleaseParser.parseVideoId().
+     */
+    parseHash(hash = window.location.hash) {
+        const match = hash.match(/^#\/detail\/series\/([^/?]+)\/([^/?]+)/);
+        if (!match) return null;
+
+        const seriesId = decodeURIComponent(match[1]);
+        const video = window.ReleaseParser.parseVideoId(
+            decodeURIComponent(match[2]),
+            seriesId,
+        );
+        return {
+            seriesId,
+            season: video?.season ?? null,
+            episode: video?.episode ?? null,
+        };
+    }
+
+    load() {
+        try {
+            return JSON.parse(
+                localStorage.getItem(StreamAffinity.CONFIG.STORAGE_KEY) || "{}",
+            );
+        } catch {
+            return {};
+        }
+    }
+
+    get(seriesId) {
+        return this.load()[seriesId] || null;
+    }
+
+    remember(streamElement) {
+        const page = this.parseHash();
+        if (!page) return;
+
+        const record = window.ReleaseParser.forElement(streamElement);
+        const all = this.load();
+        all[page.seriesId] = {
+            addon: record.addon,
+            group: record.group,
+            resolution: record.resolution,
+            tags: record.tags,
+            updatedAt: Date.now(),
+        };
+
+        const ids = Object.keys(all);
+        if (ids.length > StreamAffinity.CONFIG.MAX_SERIES) {
+            ids.sort((a, b) => all[a].updatedAt - all[b].updatedAt)
+                .slice(0, ids.length - StreamAffinity.CONFIG.MAX_SERIES)
+                .forEach((id) => delete all[id]);
+        }
+
+        try {
+            localStorage.setItem(
+                StreamAffinity.CONFIG.STORAGE_KEY,
+                JSON.stringify(all),
+            );
+        } catch (e) {
+            this.log.warn("Failed to save:", e);
+        }
+    }
+
+    /**
+     * Same addon and resolution, plus the same release group when one was
+     * known, otherwise at least the same tags. Without either, addon and
+     * resolution alone would pin half the list.
+     */
+    matches(record, affinity) {
+        if (!affinity) return false;
+        if (!affinity.group && affinity.tags.length === 0) return false;
+        if (
+            record.addon !== affinity.addon ||
+            record.resolution !== affinity.resolution
+        )
+            return false;
+
+        if (affinity.group) {
+            return record.group.toLowerCase() === affinity.group.toLowerCase();
+        }
+        return affinity.tags.every((tag) => record.tags.includes(tag));
+    }
+
+    /**
+     * Flag the records of the current series' streams; returns whether a
+     * remembered release exists for it
+     */
+    markStreams(streamElements) {
+        const page = this.parseHash();
+        const affinity = page && this.get(page.seriesId);
+
+        for (const element of streamElements) {
+            const record = window.ReleaseParser.forElement(element);
+            record.affinityMatch = this.matches(record, affinity);
+        }
+        return !!affinity;
+    }
+}
+
+window.StreamAffinity = new StreamAffinity();
@@ -1,19 +1,27 @@
 /**
  * @name Stream List Sorter Plugin
- * @description Adds a button to sort streams by file size (largest first), quality tags, and episode matching
- * @version 1.1.0
+ * @description Adds a button to sort streams with the active ranking profile, quality tags, and episode matching
+ * @version 1.2.0
  * @author EZOBOSS
+ * @dependencies stream-ranking.plugin.js, release-parser.plugin.js, stream-affinity.plugin.js, dom-observer.plugin.js, selector-registry.plugin.js, plugin-host.plugin.js, logger.plugin.js
  */
 
 class StreamListSorter {
     constructor() {
-        this.observer = null;
+        this.log = window.Logger.create("StreamListSorter");
+        this.unobserve = null;
         this.processedContainers = new WeakSet();
         this.sortButton = null;
+        this.profileSelect = null;
+        this.scoreTooltip = null;
+        this.scoreReasons = new WeakMap();
+        this.filterBar = null;
+        this.filterObserver = null;
+        this.filterRefreshFrame = null;
 
         // ========================================
-        // QUALITY TAGS CONFIGURATION
-        // To add a new tag, just add an entry here!
+        // QUALITY TAG COLORS
+        // Tags are detected by ReleaseParser; give a tag its color here.
         // Use 6-digit hex colors only (e.g., #ff9800)
         // ========================================
         this.qualityTagsConfig = [
@@ -52,23 +60,6 @@ class StreamListSorter {
             this.qualityColors["REMUX"] = remuxConfig.color;
         }
 
-        // Auto-generate regex pattern from quality tags config
-        const tagPatterns = this.qualityTagsConfig
-            .map(({ tag }) => {
-                // If tag ends with escaped special char like \+ or \., use negative lookahead
-                if (tag.match(/\\[^\w]$/)) {
-                    return `\\b${tag}(?!\\w)`; // e.g., \bHDR10\+(?!\w)
-                }
-                return `\\b${tag}\\b`; // e.g., \bHDR\b
-            })
-            .join("|");
-        this.qualityPattern = new RegExp(`(${tagPatterns})`, "gi");
-
-        // Cache other regex patterns for performance
-        this.resolutionPattern =
-            /\b(4k|8k|2160p?|1080p?|720p?|480p?|360p?|240p?)\b/i;
-        this.sizePattern = /([\d.]+)\s*(TB|GB|MB|KB)/i;
-
         // Cache color mappings for resolutions
         this.resolutionColors = {
             "2160P": "#9c27b0",
@@ -79,10 +70,22 @@ class StreamListSorter {
             720: "#4caf50", // Green
         };
 
-        // Pre-calculated constants
-        this.BYTES_PER_GB = 1073741824; // 1024^3
-        this.BYTES_PER_MB = 1048576; // 1024^2
-        this.BYTES_PER_KB = 1024;
+        // Filter chips, persisted per content type: { movie: { chipId: state } }
+        this.FILTER_STORAGE_KEY = "stream_filters";
+        this.FILTER_GROUPS = [
+            "resolution",
+            "hdr",
+            "source",
+            "size",
+            "addon",
+            "lang",
+        ];
+        this.FILTER_SIZE_RANGES = [
+            { label: "< 2 GB", max: 2 },
+            { label: "2-10 GB", max: 10 },
+            { label: "10-30 GB", max: 30 },
+            { label: "30+ GB", max: Infinity },
+        ];
 
         // Size meter color thresholds (in GB)
         this.SIZE_THRESHOLDS = [
@@ -96,35 +99,95 @@ class StreamListSorter {
     }
 
     init() {
-        console.log("[StreamListSorter] Initializing...");
+        this.log.info("Initializing...");
+        this.registerSettings();
         this.observeHashChanges();
         this.handleRouteChange();
     }
 
-    startObserving() {
-        if (this.observer) return;
+    // Size meter thresholds are editable from the Liquid Glass settings section
+    registerSettings() {
+        const settings = window.StremioSettings;
+        if (!settings?.register) return;
+
+        const [small, medium, large, huge] = this.SIZE_THRESHOLDS;
+        const limit = (name, label, threshold) => ({
+            key: `${name}_max`,
+            type: "number",
+            label: `${label} files up to`,
+            default: threshold.max,
+            min: 1,
+            max: 200,
+            unit: "GB",
+        });
+        const color = (name, label, threshold) => ({
+            key: `${name}_color`,
+            type: "color",
+            label: `${label} files color`,
+            default: threshold.color,
+        });
 
-        this.observer = new MutationObserver((mutations) => {
-            this.handleMutations(mutations);
+        settings.register("stream_list", {
+            title: "Stream list size meter",
+            settings: [
+                limit("small", "Small", small),
+                color("small", "Small", small),
+                limit("medium", "Medium", medium),
+                color("medium", "Medium", medium),
+                limit("large", "Large", large),
+                color("large", "Large", large),
+                color("huge", "Larger", huge),
+            ],
         });
 
-        this.observer.observe(document.body, {
-            childList: true,
-            subtree: true,
+        this.applySettings();
+        this.unsubscribeSettings = settings.onChange("stream_list", () =>
+            this.applySettings()
+        );
+    }
+
+    applySettings() {
+        const values = window.StremioSettings.getAll("stream_list");
+        const limits = [
+            values.small_max,
+            values.medium_max,
+            values.large_max,
+        ].sort((a, b) => a - b);
+
+        this.SIZE_THRESHOLDS = [
+            { max: limits[0], color: values.small_color },
+            { max: limits[1], color: values.medium_color },
+            { max: limits[2], color: values.large_color },
+            { max: Infinity, color: values.huge_color },
+        ];
+    }
+
+    startObserving() {
+        if (this.unobserve) return;
+
+        // A new list, or the same list refilled for another episode
+        const registry = window.SelectorRegistry;
+        this.unobserve = window.DomObserver.observe({
+            id: "stream-list",
+            selector: [
+                registry.get("streamsContainer"),
+                registry.get("streamItem"),
+            ].join(", "),
+            added: () => this.handleMutations(),
+            existing: true,
         });
     }
 
     stopObserving() {
-        if (this.observer) {
-            this.observer.disconnect();
-            this.observer = null;
+        if (this.unobserve) {
+            this.unobserve();
+            this.unobserve = null;
         }
     }
 
     observeHashChanges() {
-        window.addEventListener("hashchange", () => {
-            this.handleRouteChange();
-        });
+        this.onHashChange = () => this.handleRouteChange();
+        window.addEventListener("hashchange", this.onHashChange);
     }
 
     handleRouteChange() {
@@ -135,6 +198,8 @@ class StreamListSorter {
             this.startObserving();
         } else {
             this.removeSortButton();
+            this.removeScoreTooltip();
+            this.removeFilterBar();
             this.stopObserving();
         }
     }
@@ -146,22 +211,14 @@ class StreamListSorter {
         );
     }
 
-    handleMutations(mutations) {
+    handleMutations() {
         if (!this.isDetailPage(window.location.hash)) return;
-
-        for (const mutation of mutations) {
-            if (mutation.addedNodes.length) {
-                if (this.checkForStreamsContainer()) {
-                    return;
-                }
-            }
-        }
+        this.checkForStreamsContainer();
     }
 
     checkForStreamsContainer() {
-        const streamsContainer = document.querySelector(
-            '[class*="streams-container-"]'
-        );
+        const streamsContainer =
+            window.SelectorRegistry.query("streamsContainer");
 
         if (
             streamsContainer &&
@@ -169,6 +226,8 @@ class StreamListSorter {
         ) {
             this.processedContainers.add(streamsContainer);
             this.addSortButton(streamsContainer);
+            this.addProfileSelect(streamsContainer);
+            this.addFilterBar(streamsContainer);
             return true;
         }
         return false;
@@ -178,7 +237,7 @@ class StreamListSorter {
         this.removeSortButton();
 
         this.sortButton = document.createElement("button");
-        this.sortButton.textContent = "↓ Sort by Size";
+        this.sortButton.textContent = "↓ Sort Streams";
         this.sortButton.className = "stream-sort-button";
         this.sortButton.style.cssText = `
             position: fixed; top: 2%; right: 15%; z-index: 9999; padding: 12px 24px;
@@ -210,7 +269,7 @@ class StreamListSorter {
             this.sortButton.textContent = "✓ Sorted!";
             setTimeout(() => {
                 if (this.sortButton)
-                    this.sortButton.textContent = "↓ Sort by Size";
+                    this.sortButton.textContent = "↓ Sort Streams";
             }, 2000);
         });
 
@@ -222,12 +281,245 @@ class StreamListSorter {
             this.sortButton.remove();
             this.sortButton = null;
         }
+        if (this.profileSelect) {
+            this.profileSelect.remove();
+            this.profileSelect = null;
+        }
     }
 
-    getCurrentEpisodeNumber() {
-        const episodeTitleElement = document.querySelector(
-            '[class*="episode-title-dln_c"]'
+    // Switching profile re-sorts right away
+    addProfileSelect(container) {
+        const ranking = window.StreamRanking;
+        if (!ranking) return;
+
+        this.profileSelect = document.createElement("select");
+        this.profileSelect.className = "stream-profile-select";
+
+        const active = ranking.getActiveProfile().name;
+        for (const profile of ranking.getProfiles()) {
+            const option = document.createElement("option");
+            option.value = profile.name;
+            option.textContent = profile.name;
+            option.selected = profile.name === active;
+            this.profileSelect.appendChild(option);
+        }
+
+        this.profileSelect.addEventListener("change", () => {
+            ranking.setActiveProfile(this.profileSelect.value);
+            this.sortStreams(container);
+        });
+
+        document.body.appendChild(this.profileSelect);
+    }
+
+    // ─── Filter bar ─────────────────────────────────────
+
+    addFilterBar(container) {
+        this.removeFilterBar();
+        if (!container.parentNode) return;
+
+        this.filterBar = document.createElement("div");
+        this.filterBar.className = "stream-filter-bar";
+        this.filterBar.addEventListener("click", (e) => {
+            const chip = e.target.closest("[data-chip]");
+            if (chip) this.cycleFilter(chip.dataset.chip, container);
+            else if (e.target.closest("[data-clear]")) {
+                this.saveFilters({});
+                this.refreshFilterBar(container);
+            }
+        });
+        container.parentNode.insertBefore(this.filterBar, container);
+
+        // Addons keep adding streams after the container first appears
+        this.filterObserver = new MutationObserver(() => {
+            if (this.filterRefreshFrame) return;
+            this.filterRefreshFrame = requestAnimationFrame(() => {
+                this.filterRefreshFrame = null;
+                this.pinAffinityStreams(container);
+                this.refreshFilterBar(container);
+            });
+        });
+        this.filterObserver.observe(container, { childList: true });
+
+        this.pinAffinityStreams(container);
+        this.refreshFilterBar(container);
+    }
+
+    // Streams matching the release picked for the previous episode go first
+    pinAffinityStreams(container) {
+        const streams = window.SelectorRegistry.queryAll(
+            "streamItem",
+            container
+        );
+        if (!window.StreamAffinity.markStreams(streams)) return;
+
+        const pinned = streams.filter(
+            (stream) => window.ReleaseParser.forElement(stream).affinityMatch
+        );
+        pinned.forEach((stream) =>
+            stream.classList.add("stream-affinity-pinned")
         );
+
+        // Moving them triggers the observer again, so only move when needed
+        if (pinned.every((stream, i) => streams[i] === stream)) return;
+        [...pinned].reverse().forEach((stream) => container.prepend(stream));
+    }
+
+    removeFilterBar() {
+        this.filterObserver?.disconnect();
+        this.filterObserver = null;
+        if (this.filterRefreshFrame) {
+            cancelAnimationFrame(this.filterRefreshFrame);
+            this.filterRefreshFrame = null;
+        }
+        this.filterBar?.remove();
+        this.filterBar = null;
+    }
+
+    getContentType() {
+        return window.location.hash.startsWith("#/detail/series/")
+            ? "series"
+            : "movie";
+    }
+
+    loadAllFilters() {
+        try {
+            return JSON.parse(
+                localStorage.getItem(this.FILTER_STORAGE_KEY) || "{}"
+            );
+        } catch {
+            return {};
+        }
+    }
+
+    loadFilters() {
+        return this.loadAllFilters()[this.getContentType()] || {};
+    }
+
+    saveFilters(states) {
+        const all = this.loadAllFilters();
+        all[this.getContentType()] = states;
+        localStorage.setItem(this.FILTER_STORAGE_KEY, JSON.stringify(all));
+    }
+
+    // neutral -> include -> exclude -> neutral
+    cycleFilter(chipId, container) {
+        const states = this.loadFilters();
+        if (!states[chipId]) states[chipId] = "include";
+        else if (states[chipId] === "include") states[chipId] = "exclude";
+        else delete states[chipId];
+
+        this.saveFilters(states);
+        this.refreshFilterBar(container);
+    }
+
+    /**
+     * Chips a stream belongs to, built from its ReleaseParser record.
+     * Chip ids are "<group>:<label>".
+     */
+    getFilterChips(record) {
+        const chips = [];
+        const add = (group, label) => chips.push(`${group}:${label}`);
+
+        const { resolution } = record;
+        if (resolution >= 2160) add("resolution", "4K");
+        else if (resolution >= 1080) add("resolution", "1080p");
+        else if (resolution >= 720) add("resolution", "720p");
+        else if (resolution > 0) add("resolution", "SD");
+
+        if (record.hdr.includes("DV")) add("hdr", "DV");
+        if (record.hdr.some((hdr) => hdr !== "DV")) add("hdr", "HDR");
+        if (record.source === "REMUX") add("source", "REMUX");
+
+        if (record.size) {
+            const range = this.FILTER_SIZE_RANGES.find(
+                (r) => record.sizeGB < r.max
+            );
+            add("size", range.label);
+        }
+        if (record.addon) add("addon", record.addon);
+        record.languages.forEach((lang) => add("lang", lang.toUpperCase()));
+
+        return chips;
+    }
+
+    /**
+     * Includes within a group are alternatives, groups must all match and
+     * any excluded chip hides the stream
+     */
+    matchesFilters(chips, states) {
+        const included = new Map();
+        for (const [chipId, state] of Object.entries(states)) {
+            if (state === "exclude" && chips.includes(chipId)) return false;
+            if (state === "include") {
+                const group = chipId.split(":")[0];
+                included.set(
+                    group,
+                    included.get(group) || chips.includes(chipId)
+                );
+            }
+        }
+        return [...included.values()].every(Boolean);
+    }
+
+    refreshFilterBar(container) {
+        if (!this.filterBar) return;
+
+        const streams = window.SelectorRegistry.queryAll(
+            "streamItem",
+            container
+        );
+        const states = this.loadFilters();
+        const counts = new Map(Object.keys(states).map((id) => [id, 0]));
+
+        let visible = 0;
+        for (const stream of streams) {
+            const chips = this.getFilterChips(
+                window.ReleaseParser.forElement(stream)
+            );
+            chips.forEach((id) => counts.set(id, (counts.get(id) || 0) + 1));
+
+            const matches = this.matchesFilters(chips, states);
+            stream.classList.toggle("stream-filtered-out", !matches);
+            if (matches) visible++;
+        }
+
+        const groupIndex = (id) => this.FILTER_GROUPS.indexOf(id.split(":")[0]);
+        const sizeIndex = (id) =>
+            this.FILTER_SIZE_RANGES.findIndex((r) => id === `size:${r.label}`);
+        const chipIds = [...counts.keys()].sort(
+            (a, b) =>
+                groupIndex(a) - groupIndex(b) ||
+                sizeIndex(a) - sizeIndex(b) ||
+                a.localeCompare(b, undefined, { numeric: true })
+        );
+
+        this.filterBar.innerHTML = `
+            <span class="stream-filter-count">${visible} / ${
+                streams.length
+            } streams</span>
+            ${chipIds
+                .map((id) => {
+                    const state = states[id] || "neutral";
+                    const label = this.escapeHtml(
+                        id.slice(id.indexOf(":") + 1)
+                    );
+                    return `<button class="stream-filter-chip is-${state}" data-chip="${this.escapeHtml(
+                        id
+                    )}">${label}<small>${counts.get(id)}</small></button>`;
+                })
+                .join("")}
+            ${
+                Object.keys(states).length
+                    ? `<button class="stream-filter-clear" data-clear>Clear</button>`
+                    : ""
+            }
+        `;
+    }
+
+    getCurrentEpisodeNumber() {
+        const episodeTitleElement =
+            window.SelectorRegistry.query("episodeTitle");
         if (!episodeTitleElement) return null;
 
         const titleText = episodeTitleElement.textContent;
@@ -240,113 +532,144 @@ class StreamListSorter {
         return `S${season}E${episode}`;
     }
 
-    hasEpisodeInDescription(streamElement, episodeNumber) {
-        const descriptionDiv = streamElement.querySelector(
-            '[class*="description-container-"]'
-        );
-        if (!descriptionDiv) return false;
-
-        return descriptionDiv.textContent
-            .toUpperCase()
-            .includes(episodeNumber.toUpperCase());
-    }
-
     sortStreams(container) {
-        const streamItems = Array.from(
-            container.querySelectorAll('a[class*="stream-container-"]')
+        const streamItems = window.SelectorRegistry.queryAll(
+            "streamItem",
+            container
         );
         if (streamItems.length === 0) return;
 
-        console.log(
-            `[StreamListSorter] Found ${streamItems.length} stream items`
-        );
+        this.log.debug(`Found ${streamItems.length} stream items`);
 
         // Get current episode number from page
         const currentEpisode = this.getCurrentEpisodeNumber();
         if (currentEpisode) {
-            console.log(
-                `[StreamListSorter] Current episode: ${currentEpisode}`
-            );
+            this.log.debug(`Current episode: ${currentEpisode}`);
         } else {
-            console.log(
-                `[StreamListSorter] No episode detected (movie page) - sorting by size only`
+            this.log.debug(
+                `No episode detected (movie page) - skipping episode matching`
             );
         }
 
-        const streamsWithSize = streamItems.map((streamItem) => {
-            const descriptionDiv = streamItem.querySelector(
-                '[class*="description-container-"]'
-            );
-            const streamData = {
-                element: streamItem,
-                sizeInBytes: this.extractSize(descriptionDiv),
+        let profile = window.StreamRanking.getActiveProfile();
+        this.log.info(`Ranking with "${profile.name}"`);
+
+        if (window.StreamAffinity.markStreams(streamItems)) {
+            profile = {
+                ...profile,
+                rules: [...profile.rules, StreamAffinity.RULE],
             };
+        }
 
-            // Only check episode match for series (when currentEpisode exists)
-            if (currentEpisode) {
-                streamData.hasEpisode = this.hasEpisodeInDescription(
-                    streamItem,
-                    currentEpisode
-                );
-            }
+        const ranked = window.StreamRanking.rank(
+            streamItems,
+            (streamItem) =>
+                this.getStreamAttributes(streamItem, currentEpisode),
+            profile
+        );
 
-            return streamData;
+        ranked.forEach(({ item, score, reasons }) => {
+            this.cleanupAddonName(item);
+            this.cleanupDescription(item);
+            this.renderScoreBadge(item, score, reasons);
+            container.appendChild(item);
         });
+    }
 
-        streamsWithSize.sort((a, b) => {
-            // For series: prioritize streams with matching episode numbers
-            if (currentEpisode && a.hasEpisode !== b.hasEpisode) {
-                return a.hasEpisode ? -1 : 1;
-            }
-            // Then sort by size (largest first)
-            return b.sizeInBytes - a.sizeInBytes;
-        });
+    /**
+     * The stream's ReleaseParser record, which the badges and ranking
+     * rules share, plus whether it matches the current episode
+     */
+    getStreamAttributes(streamElement, currentEpisode) {
+        const record = window.ReleaseParser.forElement(streamElement);
 
-        const withResolution = [];
-        const withoutResolution = [];
-        const downloadStreams = [];
+        if (currentEpisode) {
+            const [, season, episode] = currentEpisode
+                .match(/S(\d+)E(\d+)/)
+                .map(Number);
+            record.episodeMatch = window.ReleaseParser.coversEpisode(
+                record,
+                season,
+                episode
+            );
+        } else {
+            record.episodeMatch = false;
+        }
+        return record;
+    }
 
-        streamsWithSize.forEach((stream) => {
-            const { hasResolution, isDownload } = this.cleanupAddonName(
-                stream.element
+    renderScoreBadge(streamElement, score, reasons) {
+        let badge = streamElement.querySelector(".stream-score-badge");
+        if (!badge) {
+            badge = document.createElement("div");
+            badge.className = "stream-score-badge";
+            badge.addEventListener("mouseenter", () =>
+                this.showScoreTooltip(badge)
             );
-            if (isDownload) {
-                downloadStreams.push(stream);
-            } else if (hasResolution) {
-                withResolution.push(stream);
-            } else {
-                withoutResolution.push(stream);
-            }
-        });
+            badge.addEventListener("mouseleave", () => this.hideScoreTooltip());
+            streamElement.appendChild(badge);
+        }
 
-        [...withResolution, ...withoutResolution, ...downloadStreams].forEach(
-            (stream) => {
-                this.cleanupDescription(stream.element);
-                container.appendChild(stream.element);
-            }
-        );
+        badge.textContent = `★ ${score}`;
+        badge.classList.toggle("is-negative", score < 0);
+        this.scoreReasons.set(badge, reasons);
+    }
+
+    // One shared tooltip on body so the stream list's overflow can't clip it
+    showScoreTooltip(badge) {
+        if (!this.scoreTooltip) {
+            this.scoreTooltip = document.createElement("div");
+            this.scoreTooltip.className = "stream-score-tooltip";
+            document.body.appendChild(this.scoreTooltip);
+        }
+
+        const reasons = this.scoreReasons.get(badge) || [];
+        this.scoreTooltip.innerHTML = reasons.length
+            ? reasons
+                  .map(
+                      ({ label, weight }) =>
+                          `<div class="stream-score-reason ${
+                              weight < 0 ? "is-negative" : ""
+                          }"><span>${this.escapeHtml(label)}</span><b>${
+                              weight > 0 ? "+" : ""
+                          }${weight}</b></div>`
+                  )
+                  .join("")
+            : `<div class="stream-score-reason"><span>No rule matched</span></div>`;
+
+        const rect = badge.getBoundingClientRect();
+        this.scoreTooltip.style.top = `${rect.bottom + 6}px`;
+        this.scoreTooltip.style.left = `${rect.right}px`;
+        this.scoreTooltip.classList.add("is-visible");
+    }
+
+    hideScoreTooltip() {
+        this.scoreTooltip?.classList.remove("is-visible");
+    }
+
+    removeScoreTooltip() {
+        this.scoreTooltip?.remove();
+        this.scoreTooltip = null;
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement("div");
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, "&quot;");
     }
 
     cleanupAddonName(streamElement) {
         const addonNameDiv = streamElement.querySelector(
             '[class*="addon-name-"]'
         );
-        if (!addonNameDiv) return { hasResolution: true, isDownload: false };
+        if (!addonNameDiv) return;
 
-        const originalText = addonNameDiv.textContent;
-        const isDownload = /download/i.test(originalText);
-        const match = originalText.match(this.resolutionPattern);
+        const { resolution } = window.ReleaseParser.forElement(streamElement);
+        if (!resolution) return;
 
-        if (match) {
-            let resolution = match[0].toUpperCase();
-            if (resolution === "4K") resolution = "2160P";
-            else if (resolution === "8K") resolution = "4320P";
-
-            const badgeColor = this.resolutionColors[resolution] || "#607d8b";
-            addonNameDiv.innerHTML = `<span style="background: linear-gradient(135deg, ${badgeColor}88, ${badgeColor}cc); backdrop-filter: blur(10px); border: 1px solid ${badgeColor}44; color: #fff; padding: 4px 10px; border-radius: 8px; font-size: 0.85em; font-weight: 600; text-transform: uppercase; display: inline-block; box-shadow: 0 4px 12px ${badgeColor}33, inset 0 1px 0 rgba(255,255,255,0.2); letter-spacing: 0.5px;">${resolution}</span>`;
-            return { hasResolution: true, isDownload };
-        }
-        return { hasResolution: false, isDownload };
+        const label = `${resolution}P`;
+        const badgeColor = this.resolutionColors[label] || "#607d8b";
+        addonNameDiv.innerHTML = `<span style="background: linear-gradient(135deg, ${badgeColor}88, ${badgeColor}cc); backdrop-filter: blur(10px); border: 1px solid ${badgeColor}44; color: #fff; padding: 4px 10px; border-radius: 8px; font-size: 0.85em; font-weight: 600; text-transform: uppercase; display: inline-block; box-shadow: 0 4px 12px ${badgeColor}33, inset 0 1px 0 rgba(255,255,255,0.2); letter-spacing: 0.5px;">${label}</span>`;
     }
 
     cleanupDescription(streamElement) {
@@ -355,61 +678,22 @@ class StreamListSorter {
         );
         if (!descriptionDiv) return;
 
-        const originalText = descriptionDiv.textContent;
-        const sizeMatch = originalText.match(this.sizePattern);
-        const fileSize = sizeMatch ? sizeMatch[0] : null;
-
-        const seederMatch = originalText.match(/[👤👥]\s*(\d+)/);
-        const seederCount = seederMatch ? seederMatch[1] : null;
-
-        const qualityMatches = originalText.matchAll(this.qualityPattern);
-        const rawTags = Array.from(qualityMatches, (m) => m[0].toUpperCase());
-
-        const normalizedTags = rawTags.map((tag) => {
-            if (tag === "HDR10") return "HDR";
-            if (tag === "DOLBY VISION") return "DV";
-            if (/(?:BD|UHD)?REMUX/i.test(tag)) return "REMUX";
-            if (tag === "UPSCALE" || tag === "60FPS") return "AI";
-            return tag;
-        });
-
-        const qualityTags = [...new Set(normalizedTags)];
+        const {
+            size: fileSize,
+            sizeGB,
+            seeders: seederCount,
+            tags: qualityTags,
+        } = window.ReleaseParser.forElement(streamElement);
         let styledHTML = "";
 
         if (fileSize) {
-            const sizeValueMatch = this.sizePattern.exec(fileSize);
-            let sizeInGB = 0;
-
-            if (sizeValueMatch) {
-                const value = parseFloat(sizeValueMatch[1]);
-                const unit = sizeValueMatch[2].toUpperCase();
-
-                switch (unit) {
-                    case "TB":
-                        sizeInGB = value * 1024;
-                        break;
-                    case "GB":
-                        sizeInGB = value;
-                        break;
-                    case "MB":
-                        sizeInGB = value / 1024;
-                        break;
-                    case "KB":
-                        sizeInGB = value / 1048576;
-                        break;
-                }
-            }
-
-            // Ensure sizeInGB is a valid number, default to 0
-            sizeInGB = isNaN(sizeInGB) ? 0 : sizeInGB;
-
             // Determine meter color based on size with fallback
             const threshold =
-                this.SIZE_THRESHOLDS.find((t) => sizeInGB < t.max) ||
+                this.SIZE_THRESHOLDS.find((t) => sizeGB < t.max) ||
                 this.SIZE_THRESHOLDS[this.SIZE_THRESHOLDS.length - 1];
             const meterColor = threshold.color;
 
-            const meterWidth = Math.min(100, sizeInGB);
+            const meterWidth = Math.min(100, sizeGB);
             styledHTML += `<div style="display: flex; flex-direction: column; gap: 4px; width: 100px;"><span style="font-size: 1.1em; font-weight: 700; color: #fff; white-space: nowrap;">${fileSize}</span><div style="position: absolute; bottom: 20%; width: 65%; height: 5px; background: rgba(255,255,255,0.08); backdrop-filter: blur(4px); border: 1px solid rgba(255,255,255,0.12); border-radius: 3px; overflow: hidden; box-shadow: inset 0 1px 2px rgba(0,0,0,0.1);"><div style="width: ${meterWidth}%; height: 100%; background: linear-gradient(90deg, ${meterColor}cc, ${meterColor}); box-shadow: 0 0 8px ${meterColor}66; transition: all 0.4s cubic-bezier(0.4, 0, 0.2, 1); position: absolute; bottom: 0;"></div></div></div>`;
         }
 
@@ -427,44 +711,25 @@ class StreamListSorter {
         if (styledHTML) descriptionDiv.innerHTML = styledHTML;
     }
 
-    extractSize(descriptionDiv) {
-        if (!descriptionDiv) return 0;
-
-        const match = this.sizePattern.exec(descriptionDiv.textContent);
-        if (!match) return 0;
-
-        const value = parseFloat(match[1]);
-        const unit = match[2].toUpperCase();
-
-        switch (unit) {
-            case "TB":
-                return value * this.BYTES_PER_GB * 1024;
-            case "GB":
-                return value * this.BYTES_PER_GB;
-            case "MB":
-                return value * this.BYTES_PER_MB;
-            case "KB":
-                return value * this.BYTES_PER_KB;
-            default:
-                return 0;
-        }
-    }
-
     destroy() {
+        window.removeEventListener("hashchange", this.onHashChange);
+        this.unsubscribeSettings?.();
         this.stopObserving();
         this.removeSortButton();
+        this.removeScoreTooltip();
+        this.removeFilterBar();
         this.processedContainers = new WeakSet();
     }
 }
 
 // Initialize the plugin when DOM is ready
-if (window.requestIdleCallback) {
-    window.requestIdleCallback(() => {
-        window.streamListSorter = new StreamListSorter();
+requestIdleCallback(() => {
+    window.PluginHost.register({
+        id: "stream-list",
+        start: () => (window.streamListSorter = new StreamListSorter()),
+        stop: (sorter) => {
+            sorter.destroy();
+            window.streamListSorter = null;
+        },
     });
-} else {
-    // Fallback for browsers that don't support requestIdleCallback
-    setTimeout(() => {
-        window.streamListSorter = new StreamListSorter();
-    }, 1);
-}
+});
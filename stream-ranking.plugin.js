@@ -0,0 +1,482 @@
+/**
+ * @name Stream Ranking
+ * @description Scores streams with weighted rules grouped into named, user-editable profiles
+ * @version 1.0.0
+ * @author EZOBOSS
+ * @dependencies settings-toggle.plugin.js, logger.plugin.js
+ */
+
+/**
+ * Rules run against a stream's ReleaseParser record (see
+ * release-parser.plugin.js for every field) plus `episodeMatch`, which the
+ * stream list sets when the release covers the current episode, and
+ * `affinityMatch` from stream-affinity.plugin.js.
+ */
+class StreamRanking {
+    static CONFIG = {
+        STORAGE_KEY: "stream_ranking_profiles",
+        SETTINGS_ID: "stream_ranking",
+        DEFAULT_PROFILE: "Default",
+        FIELDS: [
+            "resolution",
+            "sizeGB",
+            "seeders",
+            "tags",
+            "addon",
+            "codec",
+            "text",
+            "episodeMatch",
+            "isDownload",
+            "source",
+            "group",
+            "hdr",
+            "audio",
+            "channels",
+            "bitDepth",
+            "languages",
+            "subtitles",
+            "isPack",
+            "tracker",
+            "affinityMatch",
+        ],
+        OPERATORS: [
+            "eq",
+            "ne",
+            "gte",
+            "lte",
+            "between",
+            "has",
+            "oneOf",
+            "matches",
+        ],
+    };
+
+    // Rules every built-in profile shares so broken links always sink
+    static BASE_RULES = [
+        {
+            label: "Matches current episode",
+            field: "episodeMatch",
+            op: "eq",
+            value: true,
+            weight: 100,
+        },
+        {
+            label: "Unknown resolution",
+            field: "resolution",
+            op: "eq",
+            value: 0,
+            weight: -1000,
+        },
+        {
+            label: "Download link",
+            field: "isDownload",
+            op: "eq",
+            value: true,
+            weight: -2000,
+        },
+    ];
+
+    static BUILTIN_PROFILES = [
+        {
+            name: "Default",
+            description: "Largest file first",
+            rules: [...StreamRanking.BASE_RULES],
+            tieBreak: [{ field: "sizeGB", order: "desc" }],
+        },
+        {
+            name: "Balanced 1080p",
+            description: "1080p REMUX under 20GB with healthy swarms",
+            rules: [
+                ...StreamRanking.BASE_RULES,
+                {
+                    label: "1080p",
+                    field: "resolution",
+                    op: "eq",
+                    value: 1080,
+                    weight: 40,
+                },
+                {
+                    label: "REMUX",
+                    field: "tags",
+                    op: "has",
+                    value: "REMUX",
+                    weight: 30,
+                },
+                {
+                    label: "Under 20GB",
+                    field: "sizeGB",
+                    op: "between",
+                    value: [0.1, 20],
+                    weight: 20,
+                },
+                {
+                    label: "10+ seeders",
+                    field: "seeders",
+                    op: "gte",
+                    value: 10,
+                    weight: 15,
+                },
+                {
+                    label: "AI upscale",
+                    field: "tags",
+                    op: "has",
+                    value: "AI",
+                    weight: -40,
+                },
+                {
+                    label: "Camera recording",
+                    field: "source",
+                    op: "oneOf",
+                    value: ["CAM", "TS", "TC"],
+                    weight: -500,
+                },
+            ],
+            tieBreak: [
+                { field: "seeders", order: "desc" },
+                { field: "sizeGB", order: "desc" },
+            ],
+        },
+        {
+            name: "Smallest",
+            description: "Smallest watchable file first",
+            rules: [
+                ...StreamRanking.BASE_RULES,
+                {
+                    label: "Below 720p",
+                    field: "resolution",
+                    op: "between",
+                    value: [1, 719],
+                    weight: -50,
+                },
+                {
+                    label: "Efficient codec",
+                    field: "codec",
+                    op: "oneOf",
+                    value: ["H265", "AV1"],
+                    weight: 10,
+                },
+            ],
+            tieBreak: [{ field: "sizeGB", order: "asc" }],
+        },
+    ];
+
+    constructor() {
+        this.log = window.Logger.create("StreamRanking");
+        this.userProfiles = this.loadUserProfiles();
+        this.activeProfileName = StreamRanking.CONFIG.DEFAULT_PROFILE;
+        this.regexCache = new Map();
+        this.editor = null;
+    }
+
+    // ─── Profiles ───────────────────────────────────────
+
+    loadUserProfiles() {
+        try {
+            const raw = localStorage.getItem(StreamRanking.CONFIG.STORAGE_KEY);
+            const profiles = raw ? JSON.parse(raw) : [];
+            return Array.isArray(profiles)
+                ? profiles.filter((p) => this.validateProfile(p).length === 0)
+                : [];
+        } catch (e) {
+            this.log.warn("Failed to load profiles:", e);
+            return [];
+        }
+    }
+
+    /**
+     * Replace the user-defined profiles. Throws with every problem found so
+     * nothing is persisted from a half-valid list.
+     */
+    saveUserProfiles(profiles) {
+        if (!Array.isArray(profiles)) {
+            throw new Error("Profiles must be a JSON array");
+        }
+        const errors = profiles.flatMap((p, i) =>
+            this.validateProfile(p).map((e) => `#${i + 1}: ${e}`),
+        );
+        if (errors.length > 0) throw new Error(errors.join("\n"));
+
+        localStorage.setItem(
+            StreamRanking.CONFIG.STORAGE_KEY,
+            JSON.stringify(profiles),
+        );
+        this.userProfiles = profiles;
+        this.registerSettings();
+    }
+
+    /**
+     * Built-in profiles followed by user profiles; a user profile with a
+     * built-in's name replaces it
+     */
+    getProfiles() {
+        const userNames = new Set(this.userProfiles.map((p) => p.name));
+        return [
+            ...StreamRanking.BUILTIN_PROFILES.filter(
+                (p) => !userNames.has(p.name),
+            ),
+            ...this.userProfiles,
+        ];
+    }
+
+    getProfile(name) {
+        return this.getProfiles().find((p) => p.name === name);
+    }
+
+    getActiveProfile() {
+        const name =
+            window.StremioSettings?.get(
+                StreamRanking.CONFIG.SETTINGS_ID,
+                "profile",
+            ) ?? this.activeProfileName;
+        return (
+            this.getProfile(name) ||
+            this.getProfile(StreamRanking.CONFIG.DEFAULT_PROFILE)
+        );
+    }
+
+    setActiveProfile(name) {
+        if (!this.getProfile(name)) return;
+        this.activeProfileName = name;
+        window.StremioSettings?.set(
+            StreamRanking.CONFIG.SETTINGS_ID,
+            "profile",
+            name,
+        );
+    }
+
+    /**
+     * Returns a list of problems; an empty list means the profile is usable
+     */
+    validateProfile(profile) {
+        const { FIELDS, OPERATORS } = StreamRanking.CONFIG;
+        if (!profile || typeof profile !== "object") {
+            return ["profile is not an object"];
+        }
+
+        const errors = [];
+        if (typeof profile.name !== "string" || !profile.name.trim()) {
+            errors.push("name is required");
+        }
+        if (!Array.isArray(profile.rules)) {
+            errors.push("rules must be an array");
+        } else {
+            profile.rules.forEach((rule, i) => {
+                const where = `rule ${i + 1}`;
+                if (!FIELDS.includes(rule?.field)) {
+                    errors.push(`${where}: unknown field "${rule?.field}"`);
+                }
+                if (!OPERATORS.includes(rule?.op)) {
+                    errors.push(`${where}: unknown operator "${rule?.op}"`);
+                }
+                if (typeof rule?.weight !== "number") {
+                    errors.push(`${where}: weight must be a number`);
+                }
+                if (
+                    rule?.op === "between" &&
+                    !(Array.isArray(rule.value) && rule.value.length === 2)
+                ) {
+                    errors.push(`${where}: "between" needs [min, max]`);
+                }
+                if (rule?.op === "oneOf" && !Array.isArray(rule.value)) {
+                    errors.push(`${where}: "oneOf" needs an array`);
+                }
+                if (rule?.op === "matches") {
+                    try {
+                        new RegExp(rule.value, "i");
+                    } catch {
+                        errors.push(`${where}: invalid pattern`);
+                    }
+                }
+            });
+        }
+        if (
+            profile.tieBreak !== undefined &&
+            (!Array.isArray(profile.tieBreak) ||
+                profile.tieBreak.some((t) => !FIELDS.includes(t?.field)))
+        ) {
+            errors.push("tieBreak must list known fields");
+        }
+        return errors;
+    }
+
+    // ─── Scoring ────────────────────────────────────────
+
+    normalize(value) {
+        return typeof value === "string" ? value.toUpperCase() : value;
+    }
+
+    matchesRule(rule, attributes) {
+        const actual = attributes[rule.field];
+        const expected = rule.value;
+
+        switch (rule.op) {
+            case "eq":
+                return this.normalize(actual) === this.normalize(expected);
+            case "ne":
+                return this.normalize(actual) !== this.normalize(expected);
+            case "gte":
+                return actual >= expected;
+            case "lte":
+                return actual <= expected;
+            case "between":
+                return actual >= expected[0] && actual <= expected[1];
+            case "has":
+                return (
+                    Array.isArray(actual) &&
+                    actual.some(
+                        (v) => this.normalize(v) === this.normalize(expected),
+                    )
+                );
+            case "oneOf":
+                return expected
+                    .map((v) => this.normalize(v))
+                    .includes(this.normalize(actual));
+            case "matches": {
+                let pattern = this.regexCache.get(expected);
+                if (!pattern) {
+                    pattern = new RegExp(expected, "i");
+                    this.regexCache.set(expected, pattern);
+                }
+                return pattern.test(String(actual ?? ""));
+            }
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Score one stream; `reasons` lists every rule that fired so the
+     * stream list can explain the result
+     */
+    score(attributes, profile = this.getActiveProfile()) {
+        let score = 0;
+        const reasons = [];
+        for (const rule of profile.rules) {
+            if (this.matchesRule(rule, attributes)) {
+                score += rule.weight;
+                reasons.push({
+                    label: rule.label || `${rule.field} ${rule.op}`,
+                    weight: rule.weight,
+                });
+            }
+        }
+        return { score, reasons };
+    }
+
+    /**
+     * Sort items best first. `getAttributes` maps an item to its stream
+     * attributes; each result carries the item, score and reasons.
+     */
+    rank(items, getAttributes, profile = this.getActiveProfile()) {
+        const tieBreak = profile.tieBreak || [];
+        const ranked = items.map((item, index) => {
+            const attributes = getAttributes(item);
+            return {
+                item,
+                index,
+                attributes,
+                ...this.score(attributes, profile),
+            };
+        });
+
+        ranked.sort((a, b) => {
+            if (a.score !== b.score) return b.score - a.score;
+            for (const { field, order } of tieBreak) {
+                const diff =
+                    (Number(a.attributes[field]) || 0) -
+                    (Number(b.attributes[field]) || 0);
+                if (diff !== 0) return order === "asc" ? diff : -diff;
+            }
+            return a.index - b.index;
+        });
+        return ranked;
+    }
+
+    // ─── Settings ───────────────────────────────────────
+
+    registerSettings() {
+        const settings = window.StremioSettings;
+        if (!settings?.register) return;
+
+        settings.register(StreamRanking.CONFIG.SETTINGS_ID, {
+            title: "Stream ranking",
+            settings: [
+                {
+                    key: "profile",
+                    type: "select",
+                    label: "Active profile",
+                    default: StreamRanking.CONFIG.DEFAULT_PROFILE,
+                    options: this.getProfiles().map((p) => p.name),
+                },
+            ],
+        });
+
+        settings.registerAction({
+            id: "stream-ranking-edit",
+            label: "Custom stream ranking profiles",
+            buttonLabel: "Edit",
+            onClick: () => this.openEditor(),
+        });
+    }
+
+    openEditor() {
+        this.editor?.remove();
+
+        const template = this.userProfiles.length
+            ? this.userProfiles
+            : [
+                  {
+                      ...StreamRanking.BUILTIN_PROFILES[1],
+                      name: "My profile",
+                  },
+              ];
+
+        const dialog = document.createElement("div");
+        dialog.className = "stream-ranking-editor";
+        dialog.innerHTML = `
+            <div class="stream-ranking-editor-panel">
+                <h3>Stream ranking profiles</h3>
+                <p>Fields: ${StreamRanking.CONFIG.FIELDS.join(", ")}<br>
+                Operators: ${StreamRanking.CONFIG.OPERATORS.join(", ")}</p>
+                <textarea spellcheck="false"></textarea>
+                <pre class="stream-ranking-editor-error"></pre>
+                <div class="stream-ranking-editor-buttons">
+                    <button class="settings-action-button" data-action="cancel">Cancel</button>
+                    <button class="settings-action-button" data-action="save">Save</button>
+                </div>
+            </div>
+        `;
+
+        const textarea = dialog.querySelector("textarea");
+        const error = dialog.querySelector(".stream-ranking-editor-error");
+        textarea.value = JSON.stringify(template, null, 2);
+
+        dialog.addEventListener("click", (e) => {
+            const action = e.target.dataset?.action;
+            if (e.target === dialog || action === "cancel") {
+                dialog.remove();
+                this.editor = null;
+                return;
+            }
+            if (action !== "save") return;
+
+            try {
+                this.saveUserProfiles(JSON.parse(textarea.value));
+                dialog.remove();
+                this.editor = null;
+            } catch (err) {
+                error.textContent = err.message;
+            }
+        });
+
+        document.body.appendChild(dialog);
+        this.editor = dialog;
+        textarea.focus();
+    }
+}
+
+window.StreamRanking = new StreamRanking();
+
+requestIdleCallback(() => {
+    window.StreamRanking.registerSettings();
+});
@@ -0,0 +1,65 @@
+/**
+ * Checks the release parser against real-world release names.
+ * Each fixture lists the fields parse() must return for one name. With
+ * `details` (the lines an addon shows below the name) the name and
+ * details go through parseStream() instead, for size, seeders and flags.
+ *
+ * Usage: node test/release-parser.test.js
+ */
+
+const assert = require("assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const ROOT = path.join(__dirname, "..");
+
+// The plugin is a browser script; all it needs from the page is `window`
+const window = {};
+vm.runInNewContext(
+    fs.readFileSync(path.join(ROOT, "release-parser.plugin.js"), "utf8"),
+    { window },
+);
+
+const fixtures = JSON.parse(
+    fs.readFileSync(
+        path.join(__dirname, "release-parser.fixtures.json"),
+        "utf8",
+    ),
+);
+
+let failed = 0;
+for (const { name, details, expected } of fixtures) {
+    const parsed =
+        details === undefined
+            ? window.ReleaseParser.parse(name)
+            : window.ReleaseParser.parseStream({
+                  description: `${name}\n${details}`,
+              });
+    // Records come from another context; compare them as plain JSON
+    const record = JSON.parse(JSON.stringify(parsed));
+    const mismatches = Object.keys(expected).filter((field) => {
+        try {
+            assert.deepStrictEqual(record[field], expected[field]);
+            return false;
+        } catch {
+            return true;
+        }
+    });
+
+    if (mismatches.length === 0) continue;
+    failed++;
+    console.error(`✗ ${name}`);
+    mismatches.forEach((field) =>
+        console.error(
+            `    ${field}: expected ${JSON.stringify(
+                expected[field],
+            )}, got ${JSON.stringify(record[field])}`,
+        ),
+    );
+}
+
+console.log(
+    `${fixtures.length - failed}/${fixtures.length} release names parsed as expected`,
+);
+process.exitCode = failed > 0 ? 1 : 0;
@@ -3,6 +3,7 @@
  * @description Removes tooltips from the interface
  * @version 1.0.0
  * @author EZOBOSS
+ * @dependencies dom-observer.plugin.js, plugin-host.plugin.js
  */
 
 (function () {
@@ -12,51 +13,28 @@
         }
 
         init() {
-            // Initial cleanup
-            requestIdleCallback(() => {
-                this.removeTitles(document.body);
-            });
-
-            this.initObserver();
-        }
+            const removeTitles = (elements) =>
+                elements.forEach((el) => el.removeAttribute("title"));
 
-        removeTitles(el) {
-            if (!el) return;
-            if (el.hasAttribute("title")) el.removeAttribute("title");
-            const childrenWithTitles = el.querySelectorAll("[title]");
-            childrenWithTitles.forEach((child) =>
-                child.removeAttribute("title"),
-            );
-        }
-
-        initObserver() {
-            this.observer = new MutationObserver((mutations) => {
-                mutations.forEach((mutation) => {
-                    if (mutation.type === "childList") {
-                        mutation.addedNodes.forEach((node) => {
-                            if (node.nodeType === 1) this.removeTitles(node);
-                        });
-                    } else if (
-                        mutation.type === "attributes" &&
-                        mutation.attributeName === "title"
-                    ) {
-                        if (mutation.target.hasAttribute("title")) {
-                            mutation.target.removeAttribute("title");
-                        }
-                    }
-                });
+            this.unobserve = window.DomObserver.observe({
+                id: "tooltips-remover",
+                selector: "[title]",
+                added: removeTitles,
+                attributes: ["title"],
+                attributeChanged: removeTitles,
+                existing: true, // Initial cleanup
             });
+        }
 
-            this.observer.observe(document.body, {
-                childList: true,
-                subtree: true,
-                attributes: true,
-                attributeFilter: ["title"],
-            });
+        destroy() {
+            this.unobserve();
         }
     }
 
     requestIdleCallback(() => {
-        new TooltipsRemoverPlugin();
+        window.PluginHost.register({
+            id: "tooltips-remover",
+            start: () => new TooltipsRemoverPlugin(),
+        });
     });
 })();
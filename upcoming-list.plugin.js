@@ -3,7 +3,7 @@
  * @description Shows a list of upcoming releases (with IndexedDB metadata caching)
  * @version 2.1.0
  * @author EZOBOSS
- * @dependencies metadatadb.plugin.js
+ * @dependencies metadatadb.plugin.js, http-client.plugin.js, dom-observer.plugin.js, watch-state.plugin.js, hero-div.plugin.js, plugin-host.plugin.js, logger.plugin.js
  */
 
 (function () {
@@ -11,14 +11,13 @@
         static CONFIG = {
             FETCH_TIMEOUT: 5000,
             CACHE_TTL: 1000 * 60 * 60 * 12, // 12 hours for the main catalog list
-            CACHE_PREFIX: "upcoming_cache_",
+            LEGACY_CACHE_PREFIX: "upcoming_cache_", // Pre-MetadataDB localStorage keys
             CACHE_DEBOUNCE_MS: 500, // Debounce cache updates
             DAY_BUFFER: 86400000 * 4, // Include 4 days of past videos
             BATCH_SIZE: 50, // Number of concurrent promises to process at once
             URLS: {
                 CINEMETA_CATALOG:
                     "https://cinemeta-catalogs.strem.io/top/catalog",
-                CINEMETA_META: "https://cinemeta-live.strem.io/meta",
                 POSTER: "https://images.metahub.space/background/large",
                 LOGO: "https://images.metahub.space/logo/medium",
             },
@@ -26,10 +25,32 @@
                 LIBRARY_RECENT: "library_recent",
                 UPCOMING_MODE: "upcoming_mode",
             },
+            CALENDAR: {
+                PRODID: "-//Liquid Glass//Upcoming Releases//EN",
+                UID_DOMAIN: "liquid-glass.stremio",
+                FILE_NAME: "stremio-upcoming.ics",
+                HORIZON: 86400000 * 365, // Export releases up to a year ahead
+                // Events are all-day, so alarms are offsets from local midnight
+                ALARMS: {
+                    same_day: "PT9H",
+                    day_before: "-PT15H",
+                },
+            },
         };
 
         constructor() {
+            this.log = window.Logger.create("UpcomingReleases");
             this.memoryCache = new Map();
+            this.cache = window.MetadataDB.createStore("upcoming", {
+                ttl: UpcomingReleasesPlugin.CONFIG.CACHE_TTL,
+                legacy: {
+                    prefix: UpcomingReleasesPlugin.CONFIG.LEGACY_CACHE_PREFIX,
+                    parse: ({ value, timestamp }) => ({
+                        value,
+                        storedAt: timestamp,
+                    }),
+                },
+            });
             this.libraryRecentCache = null;
             this.updateState = false;
             this.renderTimeout = null;
@@ -38,22 +59,24 @@
                 timeZone: "UTC",
             });
             this.observer = null;
+            this.unobserveHero = null;
             this.currentMode = null;
             this.currentDataSignature = null;
             this.metadataDB = window.MetadataDB;
-
-            // Track when watch state was last synced per series (seriesId -> timestamp)
-            this.lastWatchStateSync = new Map();
+            this.watchState = window.WatchState;
+            this.destroyed = false;
 
             this.init();
         }
 
         init() {
+            this.registerSettings();
+
             // Initial render
             this.waitForHero();
 
             // Event listeners
-            window.addEventListener("hashchange", (event) => {
+            this.onHashChange = (event) => {
                 if (event.oldURL.includes("player")) {
                     this.updateState = true;
                     this.libraryItemsCache = null;
@@ -61,14 +84,26 @@
                 // Debounce render
                 if (this.renderTimeout) clearTimeout(this.renderTimeout);
                 this.waitForHero();
-            });
+            };
+            window.addEventListener("hashchange", this.onHashChange);
+        }
+
+        destroy() {
+            this.destroyed = true;
+            window.removeEventListener("hashchange", this.onHashChange);
+            clearTimeout(this.renderTimeout);
+            this.unobserveHero?.();
+            this.unobserveHero = null;
+            this.observer?.disconnect();
+            window.StremioSettings?.unregisterAction(
+                "upcoming-calendar-export",
+            );
+            document.querySelector(".upcoming-wrapper")?.remove();
         }
 
         waitForHero() {
-            if (this.heroObserver) {
-                this.heroObserver.disconnect();
-                this.heroObserver = null;
-            }
+            this.unobserveHero?.();
+            this.unobserveHero = null;
 
             const check = () => {
                 const hero = document.querySelector(".hero-container");
@@ -84,89 +119,40 @@
 
             if (check()) return;
 
-            this.heroObserver = new MutationObserver((mutations) => {
-                let found = false;
-                for (const mutation of mutations) {
-                    // Optimization: Ignore if target is inside hero (we only care about hero creation)
-                    if (
-                        mutation.target.closest &&
-                        mutation.target.closest(".hero-container")
-                    )
-                        continue;
-
-                    for (const node of mutation.addedNodes) {
-                        if (
-                            node.nodeType === 1 &&
-                            (node.classList?.contains("hero-container") ||
-                                node.querySelector?.(".hero-container"))
-                        ) {
-                            found = true;
-                            break;
-                        }
-                    }
-                    if (found) break;
-                }
-
-                if (found && check()) {
-                    if (this.heroObserver) {
-                        this.heroObserver.disconnect();
-                        this.heroObserver = null;
-                    }
-                }
-            });
-
-            this.heroObserver.observe(document.body, {
-                childList: true,
-                subtree: true,
+            this.unobserveHero = window.DomObserver.observe({
+                id: "upcoming-list:hero",
+                selector: ".hero-container",
+                added: () => {
+                    if (!check()) return;
+                    this.unobserveHero?.();
+                    this.unobserveHero = null;
+                },
             });
         }
 
-        get cacheKey() {
-            return (key) => UpcomingReleasesPlugin.CONFIG.CACHE_PREFIX + key;
-        }
-
         cacheSet(key, value) {
-            const entry = { value, timestamp: Date.now() };
-            this.memoryCache.set(key, entry);
-            requestIdleCallback(() => {
-                try {
-                    localStorage.setItem(
-                        this.cacheKey(key),
-                        JSON.stringify(entry),
-                    );
-                } catch (e) {
-                    console.warn("[UpcomingReleases] LocalStorage error:", e);
-                }
-            });
+            this.memoryCache.set(key, { value, timestamp: Date.now() });
+            requestIdleCallback(() => this.cache.set(key, value));
         }
 
-        cacheGet(key) {
-            const now = Date.now();
+        async cacheGet(key) {
             // Check memory first
             const mem = this.memoryCache.get(key);
             if (
                 mem &&
-                now - mem.timestamp < UpcomingReleasesPlugin.CONFIG.CACHE_TTL
+                Date.now() - mem.timestamp <
+                    UpcomingReleasesPlugin.CONFIG.CACHE_TTL
             )
                 return mem.value;
 
-            // Check localStorage
-            try {
-                const raw = localStorage.getItem(this.cacheKey(key));
-                if (!raw) return null;
-                const data = JSON.parse(raw);
-                if (
-                    now - data.timestamp >
-                    UpcomingReleasesPlugin.CONFIG.CACHE_TTL
-                ) {
-                    localStorage.removeItem(this.cacheKey(key));
-                    return null;
-                }
-                this.memoryCache.set(key, data);
-                return data.value;
-            } catch {
-                return null;
-            }
+            // Keeps the stored age, so the copy expires with the entry
+            const entry = await this.cache.getEntry(key);
+            if (!entry) return null;
+            this.memoryCache.set(key, {
+                value: entry.value,
+                timestamp: entry.storedAt,
+            });
+            return entry.value;
         }
 
         async safeFetch(
@@ -176,23 +162,17 @@
                 retries = 1,
             } = {},
         ) {
-            console.log("[UpcomingReleases] API Request:", url);
-            let attempt = 0;
-            while (attempt <= retries) {
-                attempt++;
-                const controller = new AbortController();
-                const id = setTimeout(() => controller.abort(), timeout);
-                try {
-                    const res = await fetch(url, { signal: controller.signal });
-                    clearTimeout(id);
-                    if (!res.ok) throw new Error(`HTTP ${res.status}`);
-                    return res.json();
-                } catch (err) {
-                    clearTimeout(id);
-                    if (attempt > retries) throw err;
-                    await new Promise((r) => setTimeout(r, 300 * attempt));
-                }
+            this.log.info("API Request:", url);
+            // Serve the last good response when offline or flaky
+            if (window.OfflineCache) {
+                return window.OfflineCache.fetchJSON(url, {
+                    timeout,
+                    retries,
+                    maxAge: UpcomingReleasesPlugin.CONFIG.CACHE_TTL,
+                });
             }
+
+            return window.HttpClient.getJSON(url, { timeout, retries });
         }
 
         formatDaysUntil(dateMs, now = Date.now()) {
@@ -241,8 +221,8 @@
                 const batchResults = await Promise.allSettled(batchPromises);
                 results.push(...batchResults);
 
-                console.log(
-                    `[UpcomingReleases] Processed batch ${
+                this.log.info(
+                    `Processed batch ${
                         Math.floor(i / batchSize) + 1
                     }/${Math.ceil(promiseFns.length / batchSize)} (${
                         i + batch.length
@@ -266,157 +246,34 @@
 
                 const filtered = libraryItems.filter((item) => {
                     if (item?.type !== "series") return false;
-                    if (!item?._id?.startsWith("tt")) return false;
-
-                    const watched = item?.state?.watched;
-                    if (!watched) return false;
+                    if (!this.metadataDB.hasProvider(item?._id)) return false;
 
-                    const [, s, e] = watched.split(":");
-                    return +s > 1 || +e > 1; // exclude only-watched pilot
+                    const last = this.watchState.getLastCompleted(item._id);
+                    if (!last) return false;
+                    return last.season > 1 || last.episode > 1; // exclude only-watched pilot
                 });
 
                 this.libraryRecentCache = filtered;
                 return filtered;
             } catch (err) {
-                console.warn(
-                    "[UpcomingReleases] Failed to read library_recent",
-                    err,
-                );
+                this.log.warn("Failed to read library_recent", err);
                 return [];
             }
         }
 
-        _parseWatchState(watchedState) {
-            if (!watchedState) return { season: 0, episode: 0 };
-            const parts = watchedState.split(":");
-            return parts.length >= 3
-                ? { season: +parts[1], episode: +parts[2] }
-                : { season: 0, episode: 0 };
-        }
-
-        _shouldBeWatched(video, currentSeason, currentEpisode) {
-            if (currentSeason === 0) return false;
-            if (video.season < currentSeason && video.season > 0) return true;
-            if (
-                video.season === currentSeason &&
-                video.episode <= currentEpisode
-            )
-                return true;
-            return false;
-        }
-
-        _getLibraryItemMtime(seriesId) {
-            const items = this._getLibraryItems();
-            if (!items) return 0;
-            return items[seriesId]?._mtime || 0;
-        }
-
-        async _syncWatchStateToDB(episodesBySeries) {
-            for (const [seriesId, episodes] of episodesBySeries) {
-                try {
-                    // Check if library item has changed since last sync
-                    const libMtime = this._getLibraryItemMtime(seriesId);
-                    const lastSync = this.lastWatchStateSync.get(seriesId);
-
-                    if (lastSync && libMtime && lastSync >= libMtime) {
-                        // Library hasn't changed since we last synced this series
-                        continue;
-                    }
-
-                    const rawMeta = await this.metadataDB.get(
-                        seriesId,
-                        "series",
-                    );
-                    if (!rawMeta?.videos) continue;
-
-                    const meta = structuredClone(rawMeta);
-
-                    const videoMap = new Map(
-                        meta.videos.map((v) => [`${v.season}-${v.episode}`, v]),
-                    );
-
-                    let modified = false;
-                    for (const { season, episode, watched } of episodes) {
-                        const match = videoMap.get(`${season}-${episode}`);
-                        if (match && !!match.watched !== watched) {
-                            match.watched = watched;
-                            modified = true;
-                        }
-                    }
-
-                    if (modified) {
-                        await this.metadataDB.putImmediate(
-                            seriesId,
-                            meta,
-                            "series",
-                            true,
-                            true,
-                        );
-                        console.log(
-                            `[UpcomingReleases] Updated ${episodes.length} episodes for ${seriesId}`,
-                        );
-                    }
-
-                    // Record that we've synced this series at this time
-                    this.lastWatchStateSync.set(seriesId, Date.now());
-                } catch (err) {
-                    console.warn(
-                        `[UpcomingReleases] Failed to update ${seriesId}:`,
-                        err,
-                    );
-                }
-            }
-        }
-
         async getUserData(list) {
             const recentItems = this._getLibraryItems();
             if (!recentItems) return list;
 
-            const updates = [];
-
+            await this.watchState.sync();
             for (const item of list) {
                 if (item.type !== "series" || !item.videos) continue;
 
                 const lib = recentItems[item.id];
                 if (!lib) continue;
 
-                const watchedState = lib.state?.watched;
-                const { season: currentSeason, episode: currentEpisode } =
-                    this._parseWatchState(watchedState);
-
-                item.watched = watchedState;
-
-                for (const video of item.videos) {
-                    const shouldBeWatched = this._shouldBeWatched(
-                        video,
-                        currentSeason,
-                        currentEpisode,
-                    );
-                    if (!!video.watched !== shouldBeWatched) {
-                        video.watched = shouldBeWatched;
-                        updates.push({
-                            id: item.id,
-                            season: video.season,
-                            episode: video.episode,
-                            watched: shouldBeWatched,
-                        });
-                    }
-                }
-            }
-
-            if (updates.length > 0) {
-                const episodesBySeries = updates.reduce((map, ep) => {
-                    if (!map.has(ep.id)) map.set(ep.id, []);
-                    map.get(ep.id).push(ep);
-                    return map;
-                }, new Map());
-
-                await this._syncWatchStateToDB(episodesBySeries);
-                console.log(
-                    "Updated watch state for",
-                    updates.length,
-                    "episodes",
-                );
+                item.watched = lib.state?.watched;
+                this.watchState.annotate(item);
             }
 
             return list;
@@ -519,6 +376,8 @@
                 trailer: m?.trailers?.[0]?.source,
                 videos: m.videos ? structuredClone(m.videos) : [],
                 releaseInfo: m.releaseInfo,
+                background: m.background,
+                logo: m.logo,
             };
         }
 
@@ -526,10 +385,10 @@
 
         async fetchLibraryUpcoming(limit = 6) {
             const key = `userLibrary_${limit}`;
-            const cached = this.cacheGet(key);
+            const cached = await this.cacheGet(key);
 
             if (cached) {
-                console.log("[UpcomingReleases] Fetched cached", key);
+                this.log.info("Fetched cached", key);
                 if (this.updateState) {
                     this.updateState = false;
                     const updated = await this.refreshWatchedState(cached);
@@ -539,11 +398,10 @@
                 return cached;
             }
 
+            await this.watchState.sync();
             const seriesIds = this.getUserLibrarySeries();
             if (!seriesIds.length) {
-                console.log(
-                    "[UpcomingReleases] No series found in library_recent",
-                );
+                this.log.info("No series found in library_recent");
                 return [];
             }
 
@@ -554,10 +412,11 @@
 
                 if (!cachedMeta) {
                     try {
-                        const data = await this.safeFetch(
-                            `${UpcomingReleasesPlugin.CONFIG.URLS.CINEMETA_META}/series/${id}.json`,
+                        const fetchedMeta = await this.metadataDB.fetchFromApi(
+                            id,
+                            "series",
+                            { live: true },
                         );
-                        const fetchedMeta = data?.meta;
 
                         if (fetchedMeta) {
                             await this.metadataDB.put(
@@ -565,18 +424,11 @@
                                 fetchedMeta,
                                 "series",
                             );
-                            console.log(
-                                "[UpcomingReleases] Fetched meta for",
-                                id,
-                            );
+                            this.log.info("Fetched meta for", id);
                             cachedMeta = fetchedMeta;
                         }
                     } catch (err) {
-                        console.warn(
-                            "[UpcomingReleases] Failed to fetch meta for",
-                            id,
-                            err,
-                        );
+                        this.log.warn("Failed to fetch meta for", id, err);
                         return null;
                     }
                 }
@@ -607,10 +459,10 @@
 
         async fetchUpcomingTitles(type = "movie", catalog = "top", limit = 10) {
             const key = `${type}_${catalog}_${limit}`;
-            const cached = this.cacheGet(key);
+            const cached = await this.cacheGet(key);
 
             if (cached) {
-                console.log("[UpcomingReleases] Fetched cached", key);
+                this.log.info("Fetched cached", key);
                 if (this.updateState) {
                     this.updateState = false;
                     const updated = await this.refreshWatchedState(cached);
@@ -660,8 +512,8 @@
                     }
                 }
 
-                console.log(
-                    `[UpcomingReleases] Fetched ${all.length} unique items from ${results.length} catalog pages`,
+                this.log.info(
+                    `Fetched ${all.length} unique items from ${results.length} catalog pages`,
                 );
 
                 // 2. Filter and optimize series for metadata fetching
@@ -674,8 +526,8 @@
                     return status === "continuing" || status === "upcoming";
                 });
 
-                console.log(
-                    `[UpcomingReleases] Filtered series: ${activeSeries.length} active (from ${seriesMetas.length} total)`,
+                this.log.info(
+                    `Filtered series: ${activeSeries.length} active (from ${seriesMetas.length} total)`,
                 );
 
                 const promiseFns = activeSeries.map((m) => async () => {
@@ -683,25 +535,24 @@
 
                     if (!cachedMeta) {
                         try {
-                            const data = await this.safeFetch(
-                                `${UpcomingReleasesPlugin.CONFIG.URLS.CINEMETA_META}/${m.type}/${m.id}.json`,
-                            );
-                            const fetchedMeta = data?.meta;
+                            const fetchedMeta =
+                                await this.metadataDB.fetchFromApi(
+                                    m.id,
+                                    m.type,
+                                    { live: true },
+                                );
                             if (fetchedMeta) {
                                 await this.metadataDB.put(
                                     m.id,
                                     fetchedMeta,
                                     m.type,
                                 );
-                                console.log(
-                                    "[UpcomingReleases] Fetched meta for",
-                                    m.id,
-                                );
+                                this.log.info("Fetched meta for", m.id);
                                 cachedMeta = fetchedMeta;
                             }
                         } catch (err) {
-                            console.warn(
-                                "[UpcomingReleases] Failed to pre-fetch meta for",
+                            this.log.warn(
+                                "Failed to pre-fetch meta for",
                                 m.id,
                                 err,
                             );
@@ -739,10 +590,7 @@
                 this.cacheSet(key, metadataList);
                 return metadataList;
             } catch (e) {
-                console.warn(
-                    "[UpcomingReleases] Failed to fetch upcoming titles",
-                    e,
-                );
+                this.log.warn("Failed to fetch upcoming titles", e);
                 return [];
             }
         }
@@ -768,6 +616,8 @@
                     ? `#/detail/${m.type}/${id}/${id}%3A${video.season}%3A${video.episode}`
                     : `#/detail/${m.type}/${id}/${id}`;
                 const isNewSeason = video.episode === 1;
+                // Metahub artwork only exists for IMDb IDs
+                const hasMetahubArt = id.startsWith("tt");
 
                 // Only filter videos if it's a series
                 const latestSeasonVideos = isSeries
@@ -785,8 +635,10 @@
                     releaseDate: new Date(dateMs),
                     releaseText: this.formatDaysUntil(dateMs),
                     episodeText,
-                    poster: `${posterBase}/${id}/img`,
-                    logo: `${logoBase}/${id}/img`,
+                    poster: hasMetahubArt
+                        ? `${posterBase}/${id}/img`
+                        : m.background || m.poster,
+                    logo: hasMetahubArt ? `${logoBase}/${id}/img` : m.logo,
                     href,
                     videos: latestSeasonVideos,
                     isNewSeason,
@@ -795,11 +647,247 @@
             return list;
         }
 
+        // --- Calendar Export ---
+
+        registerSettings() {
+            const settings = window.StremioSettings;
+            if (!settings?.register) return;
+
+            settings.register("upcoming", {
+                title: "Upcoming releases",
+                settings: [
+                    {
+                        key: "calendar_alarm",
+                        type: "select",
+                        label: "Calendar export reminder",
+                        default: "none",
+                        options: [
+                            { value: "none", label: "None" },
+                            { value: "same_day", label: "On the day (9:00)" },
+                            {
+                                value: "day_before",
+                                label: "The day before (9:00)",
+                            },
+                        ],
+                    },
+                ],
+            });
+
+            settings.registerAction({
+                id: "upcoming-calendar-export",
+                label: "Upcoming releases of your library as a calendar file",
+                buttonLabel: "Export calendar",
+                onClick: () => this.downloadCalendar(),
+            });
+        }
+
+        /**
+         * Every dated, unwatched episode of library series and every
+         * library movie releasing between DAY_BUFFER ago and HORIZON ahead
+         */
+        async collectCalendarEvents() {
+            const { DAY_BUFFER, CALENDAR } = UpcomingReleasesPlugin.CONFIG;
+            const now = Date.now();
+            const from = now - DAY_BUFFER;
+            const to = now + CALENDAR.HORIZON;
+            const inRange = (released) => {
+                const ms = Date.parse(released);
+                return ms >= from && ms <= to;
+            };
+
+            const libraryItems = Object.values(
+                this._getLibraryItems() || {},
+            ).filter(
+                (item) =>
+                    (item?.type === "series" || item?.type === "movie") &&
+                    !item.removed &&
+                    !item.temp &&
+                    this.metadataDB.hasProvider(item._id),
+            );
+
+            const promiseFns = libraryItems.map((item) => async () => {
+                let meta = await this.metadataDB.get(item._id, item.type);
+                if (!meta) {
+                    meta = await this.metadataDB.fetchFromApi(
+                        item._id,
+                        item.type,
+                        { live: true },
+                    );
+                    if (meta) {
+                        await this.metadataDB.put(item._id, meta, item.type);
+                    }
+                }
+                return meta;
+            });
+            const results = await this.batchPromiseAllSettled(promiseFns);
+
+            const events = [];
+            results.forEach((result) => {
+                const meta = result.status === "fulfilled" && result.value;
+                if (!meta) return;
+                const name = meta.name || meta.title;
+
+                if (meta.type === "movie") {
+                    if (meta.released && inRange(meta.released)) {
+                        events.push({
+                            uid: meta.id,
+                            date: meta.released,
+                            summary: name,
+                            description: meta.description,
+                            url: `stremio:///detail/movie/${meta.id}/${meta.id}`,
+                        });
+                    }
+                    return;
+                }
+
+                (meta.videos || []).forEach((video) => {
+                    if (!video.released || video.watched === true) return;
+                    if (video.season === 0 || !inRange(video.released)) return;
+
+                    const episode = `S${video.season} E${video.episode}`;
+                    events.push({
+                        uid: `${meta.id}-s${video.season}e${video.episode}`,
+                        date: video.released,
+                        summary: `${name} ${episode}${
+                            video.episode === 1 ? " (season premiere)" : ""
+                        }`,
+                        description: video.name || video.title || episode,
+                        url: `stremio:///detail/series/${meta.id}/${encodeURIComponent(
+                            `${meta.id}:${video.season}:${video.episode}`,
+                        )}`,
+                    });
+                });
+            });
+
+            return events.sort(
+                (a, b) => Date.parse(a.date) - Date.parse(b.date),
+            );
+        }
+
+        /**
+         * Escape a TEXT value (RFC 5545 3.3.11)
+         */
+        icsText(value) {
+            return String(value ?? "")
+                .replace(/\\/g, "\\\\")
+                .replace(/;/g, "\\;")
+                .replace(/,/g, "\\,")
+                .replace(/\r?\n/g, "\\n");
+        }
+
+        /**
+         * Fold a content line at 75 octets (RFC 5545 3.1) without splitting
+         * multi-byte characters
+         */
+        icsFold(line) {
+            const encoder = new TextEncoder();
+            const parts = [];
+            let current = "";
+            let size = 0;
+
+            for (const char of line) {
+                const bytes = encoder.encode(char).length;
+                // Continuation lines start with a space, which counts too
+                const limit = parts.length === 0 ? 75 : 74;
+                if (size + bytes > limit) {
+                    parts.push(current);
+                    current = "";
+                    size = 0;
+                }
+                current += char;
+                size += bytes;
+            }
+            parts.push(current);
+            return parts.join("\r\n ");
+        }
+
+        icsDate(dateMs) {
+            // Release dates are UTC days, like the rest of the list
+            return new Date(dateMs)
+                .toISOString()
+                .slice(0, 10)
+                .replace(/-/g, "");
+        }
+
+        buildIcs(events, { alarm = "none" } = {}) {
+            const { CALENDAR } = UpcomingReleasesPlugin.CONFIG;
+            const stamp = new Date()
+                .toISOString()
+                .replace(/[-:]/g, "")
+                .replace(/\.\d{3}/, "");
+            const trigger = CALENDAR.ALARMS[alarm];
+
+            const lines = [
+                "BEGIN:VCALENDAR",
+                "VERSION:2.0",
+                `PRODID:${CALENDAR.PRODID}`,
+                "CALSCALE:GREGORIAN",
+                "METHOD:PUBLISH",
+                "X-WR-CALNAME:Stremio upcoming releases",
+            ];
+
+            for (const event of events) {
+                const start = Date.parse(event.date);
+                lines.push(
+                    "BEGIN:VEVENT",
+                    // Stable per title/episode, so re-imports update in place
+                    `UID:${event.uid}@${CALENDAR.UID_DOMAIN}`,
+                    `DTSTAMP:${stamp}`,
+                    `DTSTART;VALUE=DATE:${this.icsDate(start)}`,
+                    `DTEND;VALUE=DATE:${this.icsDate(start + 86400000)}`,
+                    `SUMMARY:${this.icsText(event.summary)}`,
+                    "TRANSP:TRANSPARENT",
+                );
+                if (event.description) {
+                    lines.push(
+                        `DESCRIPTION:${this.icsText(event.description)}`,
+                    );
+                }
+                if (event.url) lines.push(`URL:${event.url}`);
+                if (trigger) {
+                    lines.push(
+                        "BEGIN:VALARM",
+                        "ACTION:DISPLAY",
+                        `DESCRIPTION:${this.icsText(event.summary)}`,
+                        `TRIGGER:${trigger}`,
+                        "END:VALARM",
+                    );
+                }
+                lines.push("END:VEVENT");
+            }
+            lines.push("END:VCALENDAR");
+
+            return (
+                lines.map((line) => this.icsFold(line)).join("\r\n") + "\r\n"
+            );
+        }
+
+        async downloadCalendar() {
+            const events = await this.collectCalendarEvents();
+            const alarm =
+                window.StremioSettings?.get("upcoming", "calendar_alarm") ||
+                "none";
+            const blob = new Blob([this.buildIcs(events, { alarm })], {
+                type: "text/calendar;charset=utf-8",
+            });
+            const url = URL.createObjectURL(blob);
+
+            const link = document.createElement("a");
+            link.href = url;
+            link.download = UpcomingReleasesPlugin.CONFIG.CALENDAR.FILE_NAME;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+            this.log.info(`Exported ${events.length} calendar events`);
+        }
+
         // --- Rendering Logic ---
 
         async render() {
             const heroContainer = document.querySelector(".hero-container");
-            if (!heroContainer) return;
+            if (!heroContainer || this.destroyed) return;
 
             // Ensure wrapper structure exists
             let wrapper = heroContainer.querySelector(".upcoming-wrapper");
@@ -1925,6 +2013,9 @@
 
     // Initialize
     requestIdleCallback(() => {
-        new UpcomingReleasesPlugin();
+        window.PluginHost.register({
+            id: "upcoming-list",
+            start: () => new UpcomingReleasesPlugin(),
+        });
     });
 })();
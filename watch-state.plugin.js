@@ -0,0 +1,404 @@
+/**
+ * @name Watch State
+ * @description Decodes Stremio's library into a per-episode watch store (completion, progress, last watched) shared by all plugins
+ * @version 1.0.0
+ * @author EZOBOSS
+ * @dependencies metadatadb.plugin.js, logger.plugin.js
+ */
+
+class WatchState {
+    static CONFIG = {
+        LIBRARY_KEY: "library_recent",
+        NAMESPACE: "watch-state",
+        PLAYER_EXIT_DELAY: 1000, // Let the player write the library first
+        REDECODE_DELAY: 500, // Batch metadata updates before re-decoding
+    };
+
+    constructor() {
+        this.log = window.Logger.create("WatchState");
+        // seriesId -> {
+        //   mtime, decoded, lastCompleted: { season, episode },
+        //   current: "s:e", episodes: { "s:e": episode }
+        // }
+        this.series = new Map();
+        this.listeners = new Set();
+        this.libraryRaw = null;
+        this.queue = Promise.resolve(); // Syncs run one after another
+        this.pending = new Set(); // Series to re-decode after metadata changed
+        this.pendingTimer = null;
+        this.store = window.MetadataDB.createStore(WatchState.CONFIG.NAMESPACE);
+
+        this.loaded = this._load();
+        this.init();
+    }
+
+    init() {
+        this.sync();
+
+        window.addEventListener("storage", (e) => {
+            if (e.key === WatchState.CONFIG.LIBRARY_KEY) this.sync();
+        });
+        window.addEventListener("hashchange", (e) => {
+            if (e.oldURL?.includes("/player/")) {
+                setTimeout(
+                    () => this.sync(),
+                    WatchState.CONFIG.PLAYER_EXIT_DELAY,
+                );
+            }
+        });
+
+        // Fresh metadata can come without watched flags, or with a new
+        // episode list the bitfield has to be lined up against again
+        window.MetadataDB.subscribe("*", (id, data, changeType) => {
+            if (changeType === "delete" || data?.type !== "series") return;
+            const doc = this.series.get(id);
+            if (!doc) return;
+            if (
+                doc.decoded &&
+                !data.videos?.some(
+                    (v) =>
+                        !!v.watched !== this.isWatched(id, v.season, v.episode),
+                )
+            )
+                return;
+
+            this.pending.add(id);
+            clearTimeout(this.pendingTimer);
+            this.pendingTimer = setTimeout(() => {
+                this.sync(new Set(this.pending));
+                this.pending.clear();
+            }, WatchState.CONFIG.REDECODE_DELAY);
+        });
+    }
+
+    // ─── Reading ────────────────────────────────────────
+
+    static episodeKey(season, episode) {
+        return `${season}:${episode}`;
+    }
+
+    /**
+     * Whether an episode is watched. Without a decodable bitfield every
+     * episode up to the last completed one counts as watched.
+     */
+    isWatched(seriesId, season, episode) {
+        const doc = this.series.get(seriesId);
+        if (!doc) return false;
+
+        if (doc.decoded) {
+            return (
+                doc.episodes[WatchState.episodeKey(season, episode)]
+                    ?.completed === true
+            );
+        }
+
+        return this._isUpTo({ season, episode }, doc.lastCompleted);
+    }
+
+    /**
+     * { videoId, season, episode, completed, progress, timeOffset,
+     *   duration, lastWatched } or null when nothing is known about it
+     */
+    getEpisode(seriesId, season, episode) {
+        const doc = this.series.get(seriesId);
+        const stored = doc?.episodes[WatchState.episodeKey(season, episode)];
+        if (stored) return stored;
+        if (!this.isWatched(seriesId, season, episode)) return null;
+        return { season, episode, completed: true };
+    }
+
+    /**
+     * The episode last opened in the player, with its progress
+     */
+    getCurrent(seriesId) {
+        const doc = this.series.get(seriesId);
+        return doc?.current ? doc.episodes[doc.current] || null : null;
+    }
+
+    /**
+     * Highest completed { season, episode } of a series, specials aside
+     */
+    getLastCompleted(seriesId) {
+        return this.series.get(seriesId)?.lastCompleted || null;
+    }
+
+    hasSeries(seriesId) {
+        return this.series.has(seriesId);
+    }
+
+    /**
+     * Set `watched` on each of a meta's videos from the store; returns the meta
+     */
+    annotate(meta) {
+        meta?.videos?.forEach((v) => {
+            v.watched = this.isWatched(meta.id, v.season, v.episode);
+        });
+        return meta;
+    }
+
+    /**
+     * Called with the changed series ids after each sync; returns an
+     * unsubscribe function
+     */
+    onChange(callback) {
+        this.listeners.add(callback);
+        return () => this.listeners.delete(callback);
+    }
+
+    _emit(seriesIds) {
+        this.listeners.forEach((callback) => {
+            try {
+                callback(seriesIds);
+            } catch (e) {
+                this.log.error("Listener error:", e);
+            }
+        });
+    }
+
+    // ─── Sync ───────────────────────────────────────────
+
+    async _load() {
+        const entries = await this.store.entries();
+        entries.forEach(([seriesId, doc]) => this.series.set(seriesId, doc));
+    }
+
+    /**
+     * Library items by id, or null when unchanged since the last read
+     */
+    _readLibrary(force = false) {
+        const raw = localStorage.getItem(WatchState.CONFIG.LIBRARY_KEY);
+        if (!force && raw === this.libraryRaw) return null;
+        this.libraryRaw = raw;
+        try {
+            return raw ? JSON.parse(raw).items || {} : {};
+        } catch {
+            return {};
+        }
+    }
+
+    /**
+     * Bring the store up to date with the library, or re-decode the given
+     * series. Cheap when nothing changed, so readers can await it before
+     * looking anything up.
+     */
+    sync(seriesIds = null) {
+        this.queue = this.queue
+            .then(() => this._sync(seriesIds))
+            .catch((e) => this.log.error("Sync failed:", e));
+        return this.queue;
+    }
+
+    async _sync(seriesIds) {
+        await this.loaded;
+
+        const library = this._readLibrary(Boolean(seriesIds));
+        if (!library) return;
+
+        const items = Object.values(library).filter((item) => {
+            if (item?.type !== "series" || !item.state) return false;
+            if (seriesIds) return seriesIds.has(item._id);
+
+            const doc = this.series.get(item._id);
+            // Undecoded series get another go, their meta may be cached by now
+            return !doc || doc.mtime !== item._mtime || !doc.decoded;
+        });
+        if (items.length === 0) return;
+
+        const metas = await window.MetadataDB.getMany(items.map((i) => i._id));
+        const changed = [];
+        for (const item of items) {
+            const meta = metas.get(item._id) || null;
+            const doc = await this._buildDoc(
+                item,
+                meta,
+                this.series.get(item._id),
+            );
+            this.series.set(item._id, doc);
+            this.store.set(item._id, doc);
+            changed.push(item._id);
+
+            if (meta) await this._mirror(item._id, meta);
+        }
+
+        this.log.info(`Synced ${changed.length} series`);
+        this._emit(changed);
+    }
+
+    // ─── Decoding ───────────────────────────────────────
+
+    _parseVideoId(videoId) {
+        // "tt0903747:1:2" -> season 1, episode 2
+        const parts = String(videoId || "").split(":");
+        if (parts.length < 3) return null;
+        const season = parseInt(parts[parts.length - 2]);
+        const episode = parseInt(parts[parts.length - 1]);
+        return isNaN(season) || isNaN(episode) ? null : { season, episode };
+    }
+
+    /**
+     * Stremio stores watched episodes as "<anchorVideoId>:<anchorLength>:
+     * <base64 zlib bitfield>", one bit per video of the meta (LSB first).
+     * The anchor is the last watched video and where the list stood then,
+     * so bits can be shifted onto today's list after episodes were added.
+     * Returns one boolean per video id, or null if it can't be trusted.
+     */
+    async _decodeBitfield(serialized, videoIds) {
+        if (!("DecompressionStream" in window)) return null;
+
+        const last = serialized.lastIndexOf(":");
+        const middle = serialized.lastIndexOf(":", last - 1);
+        if (middle < 1) return null;
+
+        const anchorId = serialized.slice(0, middle);
+        const anchorLength = parseInt(serialized.slice(middle + 1, last));
+        const anchorIndex = videoIds.indexOf(anchorId);
+        if (anchorIndex === -1 || isNaN(anchorLength)) return null;
+
+        const packed = Uint8Array.from(atob(serialized.slice(last + 1)), (c) =>
+            c.charCodeAt(0),
+        );
+        const stream = new Blob([packed])
+            .stream()
+            .pipeThrough(new DecompressionStream("deflate"));
+        const bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+
+        const offset = anchorLength - 1 - anchorIndex;
+        const bits = videoIds.map((_, i) => {
+            const bit = i + offset;
+            return bit >= 0 && bit < bytes.length * 8
+                ? ((bytes[bit >> 3] >> (bit & 7)) & 1) === 1
+                : false;
+        });
+
+        // The anchor is always watched; if not, the lists don't line up
+        return bits[anchorIndex] ? bits : null;
+    }
+
+    async _buildDoc(item, meta, previous) {
+        const { state } = item;
+        const episodes = {};
+        let decoded = false;
+
+        if (state.watched && Array.isArray(meta?.videos)) {
+            try {
+                const bits = await this._decodeBitfield(
+                    state.watched,
+                    meta.videos.map((v) => v.id),
+                );
+                if (bits) {
+                    decoded = true;
+                    meta.videos.forEach((v, i) => {
+                        if (!bits[i]) return;
+                        episodes[WatchState.episodeKey(v.season, v.episode)] = {
+                            videoId: v.id,
+                            season: v.season,
+                            episode: v.episode,
+                            completed: true,
+                        };
+                    });
+                }
+            } catch (e) {
+                this.log.warn(
+                    `Couldn't decode watched episodes of ${item._id}:`,
+                    e,
+                );
+            }
+        }
+
+        // Progress of earlier episodes outlives the library, which only
+        // remembers the current one
+        Object.entries(previous?.episodes || {}).forEach(([key, episode]) => {
+            if (!episode.lastWatched) return;
+            episodes[key] = {
+                ...episode,
+                completed: decoded
+                    ? episodes[key]?.completed === true
+                    : episode.completed,
+            };
+        });
+
+        let lastCompleted = null;
+        if (decoded) {
+            Object.values(episodes).forEach(
+                ({ season, episode, completed }) => {
+                    if (!completed || season < 1) return;
+                    if (
+                        !lastCompleted ||
+                        season > lastCompleted.season ||
+                        (season === lastCompleted.season &&
+                            episode > lastCompleted.episode)
+                    ) {
+                        lastCompleted = { season, episode };
+                    }
+                },
+            );
+        } else if (state.watched) {
+            // The anchor, "<videoId>:<length>:<bitfield>", is the last watched
+            const parts = state.watched.split(":");
+            lastCompleted = this._parseVideoId(parts.slice(0, -2).join(":"));
+        }
+
+        let current = null;
+        const playing = this._parseVideoId(state.video_id);
+        if (playing) {
+            current = WatchState.episodeKey(playing.season, playing.episode);
+            const duration = state.duration || 0;
+            const timeOffset = state.timeOffset || 0;
+            episodes[current] = {
+                videoId: state.video_id,
+                season: playing.season,
+                episode: playing.episode,
+                completed: decoded
+                    ? episodes[current]?.completed === true
+                    : this._isUpTo(playing, lastCompleted),
+                progress: duration > 0 ? timeOffset / duration : null,
+                timeOffset,
+                duration,
+                lastWatched: Date.parse(state.lastWatched) || null,
+            };
+        }
+
+        return {
+            mtime: item._mtime,
+            decoded,
+            lastCompleted,
+            current,
+            episodes,
+        };
+    }
+
+    _isUpTo(episode, last) {
+        if (!last || episode.season < 1) return false;
+        return (
+            episode.season < last.season ||
+            (episode.season === last.season && episode.episode <= last.episode)
+        );
+    }
+
+    /**
+     * Copy watched flags onto the cached meta, so its `watched` index and
+     * older readers of `video.watched` agree with the store
+     */
+    async _mirror(seriesId, meta) {
+        if (!Array.isArray(meta.videos)) return;
+
+        let modified = false;
+        const videos = meta.videos.map((v) => {
+            const watched = this.isWatched(seriesId, v.season, v.episode);
+            if (!!v.watched === watched) return v;
+            modified = true;
+            return { ...v, watched };
+        });
+        if (!modified) return;
+
+        await window.MetadataDB.putImmediate(
+            seriesId,
+            { ...meta, videos },
+            "series",
+            true,
+            true,
+        );
+    }
+}
+
+window.WatchState = new WatchState();